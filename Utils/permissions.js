@@ -0,0 +1,78 @@
+// Staff permissions. Admins hold every permission; other staff get theirs from
+// the named roles in `User.staffRoles`, so support can look things up without
+// being able to move money.
+
+const PERMISSIONS = [
+  'users.view',
+  'users.manage', // Approve agents, unlock and delete accounts (staff accounts also need roles.assign)
+  'roles.assign', // Change user roles and staff roles
+  'courses.edit',
+  'coupons.manage',
+  'payments.view',
+  'payments.manage', // Refunds and Stripe event replays
+  'commissions.manage', // Commission statuses and rules
+  'payouts.view',
+  'payouts.approve', // Approve payout requests, verify bank details and tax profiles
+  'payouts.execute', // Send money and record it as sent
+  'reports.view',
+  'settings.manage'
+];
+
+const STAFF_ROLES = {
+  finance: [
+    'users.view',
+    'payments.view',
+    'payments.manage',
+    'commissions.manage',
+    'payouts.view',
+    'payouts.approve',
+    'payouts.execute',
+    'reports.view',
+    'settings.manage'
+  ],
+  support: [
+    'users.view',
+    'users.manage',
+    'payments.view',
+    'payouts.view'
+  ],
+  'content-editor': [
+    'courses.edit',
+    'coupons.manage'
+  ]
+};
+
+const STAFF_ROLE_NAMES = Object.keys(STAFF_ROLES);
+
+// `user` is a User or `req.user`
+const getPermissions = (user) => {
+  if (user.role === 'admin') return [...PERMISSIONS];
+
+  const granted = new Set();
+  for (const staffRole of user.staffRoles || []) {
+    for (const permission of STAFF_ROLES[staffRole] || []) granted.add(permission);
+  }
+  return [...granted];
+};
+
+const hasPermission = (user, permission) => {
+  if (user.role === 'admin') return true;
+  return !!permission && getPermissions(user).includes(permission);
+};
+
+// Staff are admins or users with at least one staff role; they must use 2FA
+const isStaff = (user) => user.role === 'admin' || (user.staffRoles || []).length > 0;
+
+// Unlocking or deleting a staff account needs roles.assign on top of
+// users.manage, so support can't remove or unlock admins. `actor` is `req.user`.
+const canManageUser = (actor, target) => !isStaff(target) || hasPermission(actor, 'roles.assign');
+
+module.exports = {
+  PERMISSIONS,
+  STAFF_ROLES,
+  STAFF_ROLE_NAMES,
+  getPermissions,
+  hasPermission,
+  isStaff,
+  canManageUser
+};
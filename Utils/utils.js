@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const PDFDocument = require('pdfkit');
@@ -24,9 +25,18 @@ const comparePassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
-// Generate JWT token
+// Generate a short-lived JWT access token; sessions hand out new ones with their refresh token
 const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' });
+};
+
+// Random token for links and refresh tokens; only its hash is stored
+const generateSecureToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
 // Verify JWT token
@@ -34,19 +44,40 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
-// Calculate commission amount
-const calculateCommission = (amount, rate = 0.1) => {
-  return amount * rate;
+// Calculate commission amount from a percentage rate (10 = 10%), rounded to the cent
+const calculateCommission = (amount, ratePercentage = 10) => {
+  return Math.round(amount * ratePercentage) / 100;
 };
 
+// Currencies courses can be priced and paid in
+const SUPPORTED_CURRENCIES = ['gbp', 'usd', 'eur'];
+
+// Currency of Course.price and of records created before multi-currency pricing
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'usd').toLowerCase();
+
 // Format currency
-const formatCurrency = (amount) => {
+const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD'
+    currency: currency.toUpperCase()
   }).format(amount);
 };
 
+// Get a course's price in a currency (null if the course is not sold in it)
+const getCoursePrice = (course, currency = DEFAULT_CURRENCY) => {
+  const price = (course.prices || []).find(p => p.currency === currency);
+  if (price) return price.amount;
+  return currency === DEFAULT_CURRENCY ? course.price : null;
+};
+
+// Turn [{ _id: currency, total }] aggregation results into { currency: total }
+const totalsByCurrency = (results, field = 'total') => {
+  return results.reduce((totals, result) => {
+    totals[result._id || DEFAULT_CURRENCY] = result[field];
+    return totals;
+  }, {});
+};
+
 // Validate email format
 const isValidEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -151,16 +182,40 @@ const formatDateTime = (date) => {
   });
 };
 
+// Calculate when course access expires (null means lifetime access)
+const calculateAccessExpiry = (course, startDate = new Date()) => {
+  if (!course.accessDurationDays) return null;
+  return new Date(new Date(startDate).getTime() + course.accessDurationDays * 24 * 60 * 60 * 1000);
+};
+
+// Check if a coursesPurchased record has passed its expiry date
+const isAccessExpired = (purchase) => {
+  return !!(purchase && purchase.accessExpires && new Date(purchase.accessExpires) <= new Date());
+};
+
+// Build CSV text from rows of values, quoting fields that need it
+const toCSV = (rows) => {
+  const field = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
 
+  return rows.map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+};
 
-const generatePDFReceipt = async (user, course) => {
+// Finish a pdfkit document and collect it into a Buffer
+const pdfToBuffer = async (doc) => {
+  doc.end();
+  return await getStream.getStreamAsBuffer(doc);
+};
+
+const generatePDFReceipt = async (user, course, payment = null) => {
   const doc = new PDFDocument();
   doc.text(`Receipt for ${user.firstName} ${user.lastName}`);
   doc.text(`Course: ${course.title}`);
-  doc.text(`Amount: £${course.price}`);
+  doc.text(`Amount: ${payment ? formatCurrency(payment.amount, payment.currency) : formatCurrency(course.price)}`);
   doc.text(`Date: ${new Date().toLocaleDateString()}`);
-  doc.end();
-  return await getStream.buffer(doc);
+  return await pdfToBuffer(doc);
 };
 
 
@@ -171,8 +226,14 @@ module.exports = {
   comparePassword,
   generateToken,
   verifyToken,
+  generateSecureToken,
+  hashToken,
   calculateCommission,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
   formatCurrency,
+  getCoursePrice,
+  totalsByCurrency,
   isValidEmail,
   generatePagination,
   sanitizeUser,
@@ -183,5 +244,9 @@ module.exports = {
   calculatePercentage,
   formatDate,
   formatDateTime,
+  calculateAccessExpiry,
+  isAccessExpired,
+  toCSV,
+  pdfToBuffer,
   generatePDFReceipt
 };
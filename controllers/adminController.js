@@ -1,4 +1,4 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('../services/stripeClient');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Course = require('../models/Course');
@@ -6,17 +6,39 @@ const Payment = require('../models/Payment');
 const Commission = require('../models/Commission');
 const Payout = require('../models/Payout');
 const PayoutRequest = require('../models/PayoutRequest');
+const Dispute = require('../models/Dispute');
+const AgentLedgerEntry = require('../models/AgentLedgerEntry');
+const { getAgentBalances, reconcileAgentLedgers } = require('../services/ledgerService');
+const { cancelCommission } = require('../services/commissionService');
+const {
+  createPayoutRequest: requestAgentPayout,
+  approvePayoutRequest,
+  rejectPayoutRequest,
+  executePayoutRequest,
+  completePayout,
+  failPayout,
+  reversePayout,
+  startPayout,
+  sendStripeTransfer
+} = require('../services/payoutService');
+const { TAX_REPORT_TYPES, buildTaxReport } = require('../services/taxReportService');
+const { revokeUserSessions } = require('../services/sessionService');
+const { clearFailedLogins } = require('../services/loginProtectionService');
+const FailedLogin = require('../models/FailedLogin');
+const { getPermissions, hasPermission, canManageUser } = require('../Utils/permissions');
 const { 
   generatePagination,
   createErrorResponse,
   createSuccessResponse,
   isValidObjectId,
-  getDateRange
+  getDateRange,
+  DEFAULT_CURRENCY,
+  totalsByCurrency
 } = require('../Utils/utils');
 
 // @desc    Get admin dashboard data
 // @route   GET /api/admin/dashboard
-// @access  Private (Admin only)
+// @access  Private (reports.view)
 const getAdminDashboard = async (req, res) => {
   try {
     // Get total users
@@ -40,10 +62,10 @@ const getAdminDashboard = async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(5);
 
-    // Get revenue stats
+    // Get revenue stats (per currency, net of partial refunds)
     const totalRevenue = await Payment.aggregate([
       { $match: { status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: '$currency', total: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } } } }
     ]);
 
     const monthlyRevenue = await Payment.aggregate([
@@ -52,29 +74,36 @@ const getAdminDashboard = async (req, res) => {
         $group: {
           _id: {
             year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' }
+            month: { $month: '$createdAt' },
+            currency: '$currency'
           },
           total: { $sum: '$amount' },
           count: { $sum: 1 }
         }
       },
-      { $sort: { '_id.year': -1, '_id.month': -1 } },
-      { $limit: 6 }
+      { $sort: { '_id.year': -1, '_id.month': -1, '_id.currency': 1 } },
+      { $limit: 18 }
     ]);
 
     // Get commission stats
     const totalCommissions = await Commission.aggregate([
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } }
     ]);
 
+    // Pending commissions are still in their hold period
     const pendingCommissions = await Commission.aggregate([
       { $match: { status: 'pending' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } }
+    ]);
+
+    const availableCommissions = await Commission.aggregate([
+      { $match: { status: 'available' } },
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } }
     ]);
 
     const paidCommissions = await Commission.aggregate([
       { $match: { status: 'paid' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } }
     ]);
 
     // Get referral stats
@@ -84,7 +113,7 @@ const getAdminDashboard = async (req, res) => {
 
     const referralRevenue = await Payment.aggregate([
       { $match: { status: 'completed', referralAgent: { $exists: true, $ne: null } } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } }
     ]);
 
     res.json(createSuccessResponse({
@@ -96,13 +125,14 @@ const getAdminDashboard = async (req, res) => {
         totalPayments,
         recentUsers,
         recentPayments,
-        totalRevenue: totalRevenue[0]?.total || 0,
+        totalRevenue: totalsByCurrency(totalRevenue),
         monthlyRevenue,
-        totalCommissions: totalCommissions[0]?.total || 0,
-        pendingCommissions: pendingCommissions[0]?.total || 0,
-        paidCommissions: paidCommissions[0]?.total || 0,
+        totalCommissions: totalsByCurrency(totalCommissions),
+        pendingCommissions: totalsByCurrency(pendingCommissions),
+        availableCommissions: totalsByCurrency(availableCommissions),
+        paidCommissions: totalsByCurrency(paidCommissions),
         referralPayments,
-        referralRevenue: referralRevenue[0]?.total || 0
+        referralRevenue: totalsByCurrency(referralRevenue)
       }
     }));
 
@@ -114,7 +144,7 @@ const getAdminDashboard = async (req, res) => {
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/admin/users
-// @access  Private (Admin only)
+// @access  Private (users.view)
 const getAllUsers = async (req, res) => {
   try {
     const { page = 1, limit = 10, role, search, status } = req.query;
@@ -201,7 +231,7 @@ const getAllUsers = async (req, res) => {
 
 // @desc    Update user role (Admin only)
 // @route   PUT /api/admin/users/:id/role
-// @access  Private (Admin only)
+// @access  Private (roles.assign)
 const updateUserRole = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -232,14 +262,20 @@ const updateUserRole = async (req, res) => {
       updateData.isActiveAgent = Boolean(isActiveAgent);
     }
 
+    const previous = await User.findById(id).select('role');
+    if (!previous) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
     const user = await User.findByIdAndUpdate(
       id,
       updateData,
       { new: true, runValidators: true }
     ).select('-password');
 
-    if (!user) {
-      return res.status(404).json(createErrorResponse('User not found', 404));
+    // Tokens carry the old role, so sign the user out everywhere
+    if (previous.role !== user.role) {
+      await revokeUserSessions(user._id, 'role_changed');
     }
 
     res.json(createSuccessResponse({ user }, 'User updated successfully'));
@@ -250,9 +286,48 @@ const updateUserRole = async (req, res) => {
   }
 };
 
+// @desc    Set a user's staff roles (Admin only)
+// @route   PUT /api/admin/users/:id/staff-roles
+// @access  Private (roles.assign)
+const updateUserStaffRoles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id } = req.params;
+    const staffRoles = [...new Set(req.body.staffRoles)];
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid user ID'));
+    }
+
+    // Permissions are read on every request, so no need to sign the user out
+    const user = await User.findByIdAndUpdate(
+      id,
+      { staffRoles },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    res.json(createSuccessResponse({
+      user,
+      permissions: getPermissions(user)
+    }, 'Staff roles updated successfully'));
+
+  } catch (error) {
+    console.error('Update staff roles error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
 // @desc    Approve agent application (Admin only)
 // @route   PUT /api/admin/users/:id/approve-agent
-// @access  Private (Admin only)
+// @access  Private (users.manage)
 const approveAgent = async (req, res) => {
   try {
     const { id } = req.params;
@@ -300,7 +375,7 @@ const approveAgent = async (req, res) => {
 
 // @desc    Delete user (Admin only)
 // @route   DELETE /api/admin/users/:id
-// @access  Private (Admin only)
+// @access  Private (users.manage)
 const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
@@ -309,12 +384,23 @@ const deleteUser = async (req, res) => {
       return res.status(400).json(createErrorResponse('Invalid user ID'));
     }
 
-    const user = await User.findByIdAndDelete(id);
+    if (id === req.user.userId) {
+      return res.status(400).json(createErrorResponse('You cannot delete your own account'));
+    }
+
+    const user = await User.findById(id).select('role staffRoles');
 
     if (!user) {
       return res.status(404).json(createErrorResponse('User not found', 404));
     }
 
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json(createErrorResponse('Only admins can delete staff accounts', 403));
+    }
+
+    await user.deleteOne();
+    await revokeUserSessions(user._id, 'user_deleted');
+
     res.json(createSuccessResponse({}, 'User deleted successfully'));
 
   } catch (error) {
@@ -325,7 +411,7 @@ const deleteUser = async (req, res) => {
 
 // @desc    Get all payments (Admin only)
 // @route   GET /api/admin/payments
-// @access  Private (Admin only)
+// @access  Private (payments.view)
 const getAllPayments = async (req, res) => {
   try {
     const { page = 1, limit = 10, status, referral, agentId, courseId, dateRange } = req.query;
@@ -409,7 +495,7 @@ const getAllPayments = async (req, res) => {
 
 // @desc    Get all commissions (Admin only)
 // @route   GET /api/admin/commissions
-// @access  Private (Admin only)
+// @access  Private (payouts.view)
 const getAllCommissions = async (req, res) => {
   try {
     const { page = 1, limit = 10, status, agentId, dateRange } = req.query;
@@ -431,6 +517,7 @@ const getAllCommissions = async (req, res) => {
       .populate('referral', 'username email firstName lastName')
       .populate('payment', 'amount transactionId createdAt course')
       .populate('payment.course', 'title')
+      .populate('commissionRule', 'name rate course category agent startsAt endsAt')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -446,9 +533,11 @@ const getAllCommissions = async (req, res) => {
         _id: null,
         totalCommission: { $sum: '$amount' },
         pendingCommission: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0] } },
+        availableCommission: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, '$amount', 0] } },
         paidCommission: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$amount', 0] } },
         totalCommissions: { $sum: 1 },
         pendingCount: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+        availableCount: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] } },
         paidCount: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, 1, 0] } }
       }}
     ]);
@@ -460,6 +549,7 @@ const getAllCommissions = async (req, res) => {
         _id: '$agent',
         totalCommission: { $sum: '$amount' },
         pendingCommission: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0] } },
+        availableCommission: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, '$amount', 0] } },
         paidCommission: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$amount', 0] } },
         commissionCount: { $sum: 1 }
       }},
@@ -491,9 +581,11 @@ const getAllCommissions = async (req, res) => {
       summary: summaryStats[0] || {
         totalCommission: 0,
         pendingCommission: 0,
+        availableCommission: 0,
         paidCommission: 0,
         totalCommissions: 0,
         pendingCount: 0,
+        availableCount: 0,
         paidCount: 0
       },
       agentSummary
@@ -507,7 +599,7 @@ const getAllCommissions = async (req, res) => {
 
 // @desc    Update commission status (Admin only)
 // @route   PUT /api/admin/commissions/:id/status
-// @access  Private (Admin only)
+// @access  Private (commissions.manage)
 const updateCommissionStatus = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -522,25 +614,47 @@ const updateCommissionStatus = async (req, res) => {
       return res.status(400).json(createErrorResponse('Invalid commission ID'));
     }
 
-    const updateData = { status };
-    
-    if (status === 'paid') {
-      updateData.paidAt = new Date();
-      updateData.processedBy = req.user.userId;
-      updateData.processedAt = new Date();
+    const existingCommission = await Commission.findById(id);
+    if (!existingCommission) {
+      return res.status(404).json(createErrorResponse('Commission not found', 404));
     }
-    
+
+    // Paid and cancelled commissions are settled in the agent ledger
+    if (existingCommission.status !== status &&
+        (['paid', 'cancelled'].includes(existingCommission.status) || existingCommission.type === 'adjustment')) {
+      return res.status(400).json(createErrorResponse(`Cannot change the status of a ${existingCommission.type === 'adjustment' ? 'commission adjustment' : `${existingCommission.status} commission`}`));
+    }
+
+    // Commissions are only ever paid by a payout, so there is a Payout record for every payment
+    if (existingCommission.status !== status && status === 'paid') {
+      return res.status(400).json(createErrorResponse('Commissions are paid through payouts, please create a payout for this agent'));
+    }
+
+    if (existingCommission.payoutId && existingCommission.status !== status) {
+      return res.status(400).json(createErrorResponse('Commission is part of a payout that is being processed'));
+    }
+
+    if (existingCommission.status !== status && status === 'cancelled') {
+      const cancelled = await cancelCommission(id, payoutNotes || 'Cancelled by admin', req.user.userId);
+      if (!cancelled) {
+        return res.status(409).json(createErrorResponse('Commission was updated by another request, please retry', 409));
+      }
+    }
+
+    const updateData = {};
+    if (existingCommission.status !== status && status !== 'cancelled') updateData.status = status;
     if (payoutMethod) updateData.payoutMethod = payoutMethod;
     if (payoutNotes) updateData.payoutNotes = payoutNotes;
 
-    const commission = await Commission.findByIdAndUpdate(
-      id,
+    // Only move the commission if nobody else changed its status in the meantime
+    const commission = await Commission.findOneAndUpdate(
+      { _id: id, status: status === 'cancelled' ? 'cancelled' : existingCommission.status },
       updateData,
       { new: true }
     ).populate('agent', 'username email firstName lastName');
 
     if (!commission) {
-      return res.status(404).json(createErrorResponse('Commission not found', 404));
+      return res.status(409).json(createErrorResponse('Commission was updated by another request, please retry', 409));
     }
 
     res.json(createSuccessResponse({ commission }, 'Commission status updated successfully'));
@@ -553,7 +667,7 @@ const updateCommissionStatus = async (req, res) => {
 
 // @desc    Process bulk commission payouts (Admin only)
 // @route   POST /api/admin/commissions/bulk-payout
-// @access  Private (Admin only)
+// @access  Private (payouts.execute)
 const processBulkPayout = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -563,37 +677,69 @@ const processBulkPayout = async (req, res) => {
 
     const { commissionIds, payoutMethod, payoutNotes } = req.body;
 
+    // These payouts are recorded as completed at once; Stripe payouts only
+    // complete when the transfer webhook arrives
+    if (payoutMethod === 'stripe_payout') {
+      return res.status(400).json(createErrorResponse('Use /api/admin/commissions/stripe-payout for Stripe payouts'));
+    }
+
     const commissions = await Commission.find({
       _id: { $in: commissionIds },
-      status: 'pending'
+      status: 'available',
+      payoutId: null
     });
 
     if (commissions.length === 0) {
-      return res.status(400).json(createErrorResponse('No pending commissions found'));
+      return res.status(400).json(createErrorResponse('No available commissions found'));
     }
 
-    const totalAmount = commissions.reduce((sum, commission) => sum + commission.amount, 0);
+    // One payout per agent and currency
+    const groups = {};
+    commissions.forEach(commission => {
+      const currency = commission.currency || DEFAULT_CURRENCY;
+      const key = `${commission.agent}:${currency}`;
+      if (!groups[key]) groups[key] = { agentId: commission.agent, currency, commissionIds: [] };
+      groups[key].commissionIds.push(commission._id);
+    });
 
-    // Update all commissions to paid status
-    await Commission.updateMany(
-      { _id: { $in: commissionIds } },
-      {
-        status: 'paid',
-        paidAt: new Date(),
-        payoutMethod,
-        payoutNotes,
-        processedBy: req.user.userId,
-        processedAt: new Date()
+    const payouts = [];
+    const failures = [];
+
+    for (const group of Object.values(groups)) {
+      const agent = await User.findById(group.agentId);
+      const started = await startPayout(agent, {
+        currency: group.currency,
+        commissionIds: group.commissionIds,
+        paymentMethod: payoutMethod,
+        notes: payoutNotes,
+        adminId: req.user.userId
+      });
+
+      if (started.error) {
+        failures.push({ agent: group.agentId, currency: group.currency, error: started.error });
+        continue;
       }
-    );
+
+      const { payout } = await completePayout(started.payout, { adminId: req.user.userId });
+      payouts.push(payout);
+    }
+
+    if (payouts.length === 0) {
+      return res.status(400).json(createErrorResponse('No payouts could be processed', 400, failures));
+    }
 
     res.json(createSuccessResponse({
       payout: {
-        totalCommissions: commissions.length,
-        totalAmount,
+        totalCommissions: payouts.reduce((sum, payout) => sum + payout.commissionIds.length, 0),
+        totalAmount: payouts.reduce((totals, payout) => {
+          totals[payout.currency] = Math.round(((totals[payout.currency] || 0) + payout.amount) * 100) / 100;
+          return totals;
+        }, {}),
         method: payoutMethod,
         processedAt: new Date()
-      }
+      },
+      payouts,
+      failures
     }, 'Bulk payout processed successfully'));
 
   } catch (error) {
@@ -604,98 +750,44 @@ const processBulkPayout = async (req, res) => {
 
 // @desc    Process manual payout to agent (Admin only)
 // @route   POST /api/admin/commissions/payout
-// @access  Private (Admin only)
+// @access  Private (payouts.execute)
 const processManualPayout = async (req, res) => {
   try {
-    const { agentId, amount, paymentMethod, notes } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { agentId, amount, paymentMethod, notes, currency = DEFAULT_CURRENCY } = req.body;
 
     if (!agentId || !amount || !paymentMethod) {
       return res.status(400).json(createErrorResponse('Agent ID, amount, and payment method are required'));
     }
 
+    // These payouts are recorded as completed at once; Stripe payouts only
+    // complete when the transfer webhook arrives
+    if (paymentMethod === 'stripe_payout') {
+      return res.status(400).json(createErrorResponse('Use /api/admin/commissions/stripe-payout for Stripe payouts'));
+    }
+
     if (!isValidObjectId(agentId)) {
       return res.status(400).json(createErrorResponse('Invalid agent ID'));
     }
 
-    // Find the agent
     const agent = await User.findById(agentId);
-    if (!agent || agent.role !== 'agent') {
-      return res.status(404).json(createErrorResponse('Agent not found'));
-    }
-
-    // Check if agent has bank details
-    if (!agent.bankDetails || !agent.bankDetails.accountNumber || !agent.bankDetails.bankName) {
-      return res.status(400).json(createErrorResponse('Agent has not provided bank details yet'));
-    }
-
-    // Check if bank details are verified (for bank transfers)
-    if (paymentMethod === 'bank_transfer' && !agent.bankDetails.isVerified) {
-      return res.status(400).json(createErrorResponse('Agent bank details must be verified before processing bank transfer'));
-    }
-
-    // Get pending commissions for this agent
-    const pendingCommissions = await Commission.find({
-      agent: agentId,
-      status: 'pending'
-    });
-
-    if (pendingCommissions.length === 0) {
-      return res.status(400).json(createErrorResponse('No pending commissions found for this agent'));
-    }
-
-    const totalPendingAmount = pendingCommissions.reduce((sum, commission) => sum + commission.amount, 0);
-    
-    if (amount > totalPendingAmount) {
-      return res.status(400).json(createErrorResponse(`Amount exceeds pending commission. Maximum payout: £${totalPendingAmount}`));
-    }
-
-    // Calculate how many commissions we can pay with this amount
-    let remainingAmount = amount;
-    const commissionsToPay = [];
-    let totalCommissionsPaid = 0;
-
-    for (const commission of pendingCommissions) {
-      if (remainingAmount >= commission.amount) {
-        commissionsToPay.push(commission._id);
-        remainingAmount -= commission.amount;
-        totalCommissionsPaid += commission.amount;
-      } else {
-        break;
-      }
-    }
-
-    // Update commission status to paid and link to payout
-    await Commission.updateMany(
-      { _id: { $in: commissionsToPay } },
-      { 
-        status: 'paid',
-        paidAt: new Date(),
-        adminNotes: notes
-      }
-    );
 
-    // Create payout record
-    const payout = new Payout({
-      agent: agentId,
-      amount: totalCommissionsPaid,
-      status: 'completed',
+    const started = await startPayout(agent, {
+      amount,
+      currency,
       paymentMethod,
-      notes: notes,
-      adminNotes: notes,
-      processedBy: req.user._id,
-      processedAt: new Date(),
-      completedAt: new Date(),
-      commissionIds: commissionsToPay,
-      totalCommissionsPaid: totalCommissionsPaid
+      notes,
+      adminId: req.user.userId
     });
+    if (started.error) {
+      return res.status(started.statusCode).json(createErrorResponse(started.error, started.statusCode));
+    }
 
-    await payout.save();
-
-    // Update commissions with payout reference
-    await Commission.updateMany(
-      { _id: { $in: commissionsToPay } },
-      { payoutId: payout._id }
-    );
+    const { payout } = await completePayout(started.payout, { adminId: req.user.userId });
 
     res.json(createSuccessResponse({
       payout: {
@@ -705,17 +797,18 @@ const processManualPayout = async (req, res) => {
           username: agent.username,
           firstName: agent.firstName,
           lastName: agent.lastName,
-          bankDetails: {
+          bankDetails: agent.bankDetails ? {
             accountNumber: agent.bankDetails.accountNumber,
             bankName: agent.bankDetails.bankName,
             accountHolderName: agent.bankDetails.accountHolderName,
             routingNumber: agent.bankDetails.routingNumber,
             isVerified: agent.bankDetails.isVerified
-          }
+          } : undefined
         },
-        amount,
+        amount: payout.amount,
+        currency: payout.currency,
         paymentMethod,
-        paidAt: payout.paidAt,
+        paidAt: payout.completedAt,
         notes
       }
     }, 'Payout processed successfully'));
@@ -728,10 +821,15 @@ const processManualPayout = async (req, res) => {
 
 // @desc    Process bank transfer to agent (Admin only)
 // @route   POST /api/admin/commissions/bank-transfer
-// @access  Private (Admin only)
+// @access  Private (payouts.execute)
 const processBankTransfer = async (req, res) => {
   try {
-    const { agentId, amount, notes, transferReference } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { agentId, amount, notes, transferReference, currency = DEFAULT_CURRENCY } = req.body;
 
     if (!agentId || !amount) {
       return res.status(400).json(createErrorResponse('Agent ID and amount are required'));
@@ -741,64 +839,22 @@ const processBankTransfer = async (req, res) => {
       return res.status(400).json(createErrorResponse('Invalid agent ID'));
     }
 
-    // Find the agent
     const agent = await User.findById(agentId);
-    if (!agent || agent.role !== 'agent') {
-      return res.status(404).json(createErrorResponse('Agent not found'));
-    }
-
-    // Check if agent has bank details
-    if (!agent.bankDetails || !agent.bankDetails.accountNumber || !agent.bankDetails.bankName) {
-      return res.status(400).json(createErrorResponse('Agent has not provided bank details yet'));
-    }
-
-    // Check if bank details are verified
-    if (!agent.bankDetails.isVerified) {
-      return res.status(400).json(createErrorResponse('Agent bank details must be verified before processing bank transfer'));
-    }
-
-    // Get pending commissions for this agent
-    const pendingCommissions = await Commission.find({
-      agent: agentId,
-      status: 'pending'
-    });
-
-    if (pendingCommissions.length === 0) {
-      return res.status(400).json(createErrorResponse('No pending commissions found for this agent'));
-    }
-
-    const totalPendingAmount = pendingCommissions.reduce((sum, commission) => sum + commission.amount, 0);
-    
-    if (amount > totalPendingAmount) {
-      return res.status(400).json(createErrorResponse(`Amount exceeds pending commission. Maximum payout: £${totalPendingAmount}`));
-    }
 
-    // Update commission status to paid
-    const commissionIds = pendingCommissions.map(c => c._id);
-    await Commission.updateMany(
-      { _id: { $in: commissionIds } },
-      { 
-        status: 'paid',
-        paidAt: new Date(),
-        paymentMethod: 'bank_transfer',
-        adminNotes: notes,
-        transferReference
-      }
-    );
-
-    // Create payout record
-    const payout = new Commission({
-      agent: agentId,
-      amount: amount,
-      status: 'paid',
+    // Pay whole commissions up to the transfer amount
+    const started = await startPayout(agent, {
+      amount,
+      currency,
       paymentMethod: 'bank_transfer',
-      adminNotes: notes,
-      transferReference,
-      paidAt: new Date(),
-      type: 'payout'
+      paymentReference: transferReference,
+      notes,
+      adminId: req.user.userId
     });
+    if (started.error) {
+      return res.status(started.statusCode).json(createErrorResponse(started.error, started.statusCode));
+    }
 
-    await payout.save();
+    const { payout } = await completePayout(started.payout, { adminId: req.user.userId });
 
     res.json(createSuccessResponse({
       payout: {
@@ -817,9 +873,10 @@ const processBankTransfer = async (req, res) => {
             iban: agent.bankDetails.iban
           }
         },
-        amount,
+        amount: payout.amount,
+        currency: payout.currency,
         paymentMethod: 'bank_transfer',
-        paidAt: payout.paidAt,
+        paidAt: payout.completedAt,
         notes,
         transferReference
       }
@@ -833,10 +890,15 @@ const processBankTransfer = async (req, res) => {
 
 // @desc    Process Stripe payout for commission payment
 // @route   POST /api/admin/commissions/stripe-payout
-// @access  Private (Admin only)
+// @access  Private (payouts.execute)
 const processStripePayout = async (req, res) => {
   try {
-    const { agentId, amount, notes, transferReference } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { agentId, amount, notes, transferReference, currency = DEFAULT_CURRENCY } = req.body;
 
     if (!agentId || !amount) {
       return res.status(400).json(createErrorResponse('Agent ID and amount are required'));
@@ -846,94 +908,47 @@ const processStripePayout = async (req, res) => {
       return res.status(400).json(createErrorResponse('Invalid agent ID'));
     }
 
-    // Find the agent
     const agent = await User.findById(agentId);
-    if (!agent || agent.role !== 'agent') {
-      return res.status(404).json(createErrorResponse('Agent not found'));
-    }
-
-    // Check if agent has Stripe account connected
-    if (!agent.stripeAccountId) {
-      return res.status(400).json(createErrorResponse('Agent must have Stripe account connected for payouts'));
-    }
 
-    // Get pending commissions for this agent
-    const pendingCommissions = await Commission.find({
-      agent: agentId,
-      status: 'pending'
+    const started = await startPayout(agent, {
+      amount,
+      currency,
+      paymentMethod: 'stripe_payout',
+      notes,
+      adminId: req.user.userId
     });
-
-    if (pendingCommissions.length === 0) {
-      return res.status(400).json(createErrorResponse('No pending commissions found for this agent'));
+    if (started.error) {
+      return res.status(started.statusCode).json(createErrorResponse(started.error, started.statusCode));
     }
 
-    const totalPendingAmount = pendingCommissions.reduce((sum, commission) => sum + commission.amount, 0);
-    
-    if (amount > totalPendingAmount) {
-      return res.status(400).json(createErrorResponse(`Amount exceeds pending commission. Maximum payout: £${totalPendingAmount}`));
-    }
-
-    // Create Stripe payout
-    const payout = await stripe.payouts.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: 'usd',
-      destination: agent.stripeAccountId,
-      metadata: {
-        agentId: agentId,
-        transferReference: transferReference,
-        notes: notes
-      }
-    });
-
-    // Update commission status to paid
-    const commissionIds = pendingCommissions.map(c => c._id);
-    await Commission.updateMany(
-      { _id: { $in: commissionIds } },
-      { 
-        status: 'paid',
-        paidAt: new Date(),
-        paymentMethod: 'stripe_payout',
-        adminNotes: notes,
-        transferReference,
-        stripePayoutId: payout.id
-      }
-    );
-
-    // Create payout record
-    const payoutRecord = new Payout({
-      agent: agentId,
-      amount: amount,
-      status: 'completed',
-      paymentMethod: 'stripe_payout',
-      paymentReference: payout.id,
-      notes: notes,
-      adminNotes: `Stripe payout: ${payout.id}`,
-      processedBy: req.user.userId,
-      processedAt: new Date(),
-      completedAt: new Date(),
-      commissionIds: commissionIds,
-      totalCommissionsPaid: amount
+    const sent = await sendStripeTransfer(started.payout, agent, {
+      adminId: req.user.userId,
+      metadata: { transferReference, notes }
     });
+    if (sent.error) {
+      return res.status(sent.statusCode).json(createErrorResponse(sent.error, sent.statusCode));
+    }
 
-    await payoutRecord.save();
+    const { payout } = sent;
 
     res.json(createSuccessResponse({
       payout: {
-        id: payoutRecord._id,
-        stripePayoutId: payout.id,
+        id: payout._id,
+        stripeTransferId: payout.stripeTransferId,
         agent: {
           _id: agent._id,
           username: agent.username,
           firstName: agent.firstName,
           lastName: agent.lastName
         },
-        amount,
+        amount: payout.amount,
+        currency,
+        status: payout.status,
         paymentMethod: 'stripe_payout',
-        paidAt: payoutRecord.completedAt,
         notes,
         transferReference
       }
-    }, 'Stripe payout processed successfully'));
+    }, 'Stripe transfer sent and payout completed'));
 
   } catch (error) {
     console.error('Process Stripe payout error:', error);
@@ -941,15 +956,86 @@ const processStripePayout = async (req, res) => {
   }
 };
 
+// @desc    Mark a processing payout as completed (Admin only)
+// @route   PUT /api/admin/payouts/:id/complete
+// @access  Private (payouts.execute)
+const completePayoutById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { paymentReference } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid payout ID'));
+    }
+
+    const payout = await Payout.findById(id);
+    if (!payout) {
+      return res.status(404).json(createErrorResponse('Payout not found', 404));
+    }
+
+    const result = await completePayout(payout, { adminId: req.user.userId, paymentReference });
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    res.json(createSuccessResponse({ payout: result.payout }, 'Payout completed successfully'));
+
+  } catch (error) {
+    console.error('Complete payout error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Mark a processing payout as failed, or a completed one as bounced (Admin only)
+// @route   PUT /api/admin/payouts/:id/fail
+// @access  Private (payouts.execute)
+const failPayoutById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid payout ID'));
+    }
+
+    const payout = await Payout.findById(id);
+    if (!payout) {
+      return res.status(404).json(createErrorResponse('Payout not found', 404));
+    }
+
+    // Once a Stripe transfer is sent the money has left; failing the payout
+    // here would free the commissions to be paid a second time. Only the
+    // transfer.reversed webhook takes it back.
+    if (payout.stripeTransferId) {
+      return res.status(400).json(createErrorResponse('This payout was sent as a Stripe transfer; reverse the transfer in Stripe instead'));
+    }
+
+    // A completed payout that bounced is reversed so the agent is owed the money again
+    const result = payout.status === 'completed'
+      ? await reversePayout(payout, { adminId: req.user.userId, reason })
+      : await failPayout(payout, { adminId: req.user.userId, reason });
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    res.json(createSuccessResponse({ payout: result.payout }, 'Payout marked as failed, commissions returned to the agent balance'));
+
+  } catch (error) {
+    console.error('Fail payout error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
 // @desc    Get payout history (Admin only)
 // @route   GET /api/admin/commissions/payouts
-// @access  Private (Admin only)
+// @access  Private (payouts.view)
 const getPayoutHistory = async (req, res) => {
   try {
-    const { page = 1, limit = 10, agentId, dateRange } = req.query;
+    const { page = 1, limit = 10, agentId, status, dateRange } = req.query;
     
     const query = {};
     if (agentId) query.agent = agentId;
+    if (status) query.status = status;
     
     if (dateRange) {
       const { startDate, endDate } = getDateRange(dateRange);
@@ -1000,7 +1086,7 @@ const getPayoutHistory = async (req, res) => {
 
 // @desc    Get comprehensive system statistics (Admin only)
 // @route   GET /api/admin/stats/overview
-// @access  Private (Admin only)
+// @access  Private (reports.view)
 const getSystemStats = async (req, res) => {
   try {
     // User statistics
@@ -1155,7 +1241,7 @@ const getSystemStats = async (req, res) => {
 
 // @desc    Perform bulk actions (Admin only)
 // @route   POST /api/admin/bulk-actions
-// @access  Private (Admin only)
+// @access  Private (permission of the action)
 const performBulkActions = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1167,9 +1253,16 @@ const performBulkActions = async (req, res) => {
     let result;
 
     switch (action) {
-      case 'delete-users':
-        result = await User.deleteMany({ _id: { $in: ids } });
+      case 'delete-users': {
+        // Never the caller's own account, and staff accounts only with roles.assign
+        const query = { _id: { $in: ids, $ne: req.user.userId } };
+        if (!hasPermission(req.user, 'roles.assign')) {
+          query.role = { $ne: 'admin' };
+          query['staffRoles.0'] = { $exists: false };
+        }
+        result = await User.deleteMany(query);
         break;
+      }
       
       case 'approve-agents':
         result = await User.updateMany(
@@ -1182,15 +1275,28 @@ const performBulkActions = async (req, res) => {
         break;
       
       case 'update-commission-status':
-        const updateData = { status: data.status };
-        if (data.status === 'paid') {
-          updateData.paidAt = new Date();
-          updateData.processedBy = req.user.userId;
-          updateData.processedAt = new Date();
+        if (!data || !['pending', 'available', 'cancelled'].includes(data.status)) {
+          return res.status(400).json(createErrorResponse('Commissions can only be moved to pending, available or cancelled, paid commissions go through payouts'));
+        }
+
+        if (data.status === 'cancelled') {
+          let cancelledCount = 0;
+          for (const id of ids) {
+            if (await cancelCommission(id, data.reason || 'Cancelled by admin', req.user.userId)) cancelledCount++;
+          }
+          result = { matchedCount: ids.length, modifiedCount: cancelledCount };
+          break;
         }
+
+        // Settled commissions, adjustments and commissions in a payout keep their status
         result = await Commission.updateMany(
-          { _id: { $in: ids } },
-          updateData
+          {
+            _id: { $in: ids },
+            type: 'commission',
+            status: { $in: ['pending', 'available'] },
+            payoutId: null
+          },
+          { status: data.status, updatedAt: new Date() }
         );
         break;
       
@@ -1212,7 +1318,7 @@ const performBulkActions = async (req, res) => {
 
 // @desc    Get detailed purchase tracking (Admin only)
 // @route   GET /api/admin/purchases
-// @access  Private (Admin only)
+// @access  Private (payments.view)
 const getPurchaseTracking = async (req, res) => {
   try {
     const { page = 1, limit = 10, courseId, agentId, dateRange, referral } = req.query;
@@ -1325,7 +1431,7 @@ const getPurchaseTracking = async (req, res) => {
 
 // @desc    Get agent performance analytics (Admin only)
 // @route   GET /api/admin/agents/analytics
-// @access  Private (Admin only)
+// @access  Private (reports.view)
 const getAgentAnalytics = async (req, res) => {
   try {
     const { agentId, dateRange } = req.query;
@@ -1413,7 +1519,7 @@ const getAgentAnalytics = async (req, res) => {
 
 // @desc    Get all payout requests (Admin only)
 // @route   GET /api/admin/payout-requests
-// @access  Private (Admin only)
+// @access  Private (payouts.view)
 const getAllPayoutRequests = async (req, res) => {
   try {
     const { page = 1, limit = 10, status, agentId, dateRange } = req.query;
@@ -1434,6 +1540,7 @@ const getAllPayoutRequests = async (req, res) => {
       .populate('agent', 'username email firstName lastName commissionRate bankDetails')
       .populate('processedBy', 'username firstName lastName')
       .populate('commissionIds', 'amount status payment')
+      .populate('payout', 'status amount currency paymentReference completedAt failureReason')
       .sort({ requestDate: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -1450,10 +1557,12 @@ const getAllPayoutRequests = async (req, res) => {
         totalAmount: { $sum: '$amount' },
         pendingAmount: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0] } },
         approvedAmount: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, '$amount', 0] } },
+        processingAmount: { $sum: { $cond: [{ $eq: ['$status', 'processing'] }, '$amount', 0] } },
         completedAmount: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$amount', 0] } },
         totalRequests: { $sum: 1 },
         pendingCount: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
         approvedCount: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+        processingCount: { $sum: { $cond: [{ $eq: ['$status', 'processing'] }, 1, 0] } },
         completedCount: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
       }}
     ]);
@@ -1465,10 +1574,12 @@ const getAllPayoutRequests = async (req, res) => {
         totalAmount: 0,
         pendingAmount: 0,
         approvedAmount: 0,
+        processingAmount: 0,
         completedAmount: 0,
         totalRequests: 0,
         pendingCount: 0,
         approvedCount: 0,
+        processingCount: 0,
         completedCount: 0
       }
     }));
@@ -1481,57 +1592,59 @@ const getAllPayoutRequests = async (req, res) => {
 
 // @desc    Process payout request (Admin only)
 // @route   PUT /api/admin/payout-requests/:id/process
-// @access  Private (Admin only)
+// @access  Private (payouts.approve; payouts.execute to mark completed)
 const processPayoutRequest = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
     const { id } = req.params;
     const { status, adminNotes, payoutReference, rejectionReason } = req.body;
 
-    const payoutRequest = await PayoutRequest.findById(id)
-      .populate('agent', 'username email firstName lastName bankDetails')
-      .populate('commissionIds', 'amount status');
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid payout request ID'));
+    }
 
+    const payoutRequest = await PayoutRequest.findById(id);
     if (!payoutRequest) {
       return res.status(404).json(createErrorResponse('Payout request not found', 404));
     }
 
-    // Check if agent has bank details
-    if (status === 'approved' || status === 'completed') {
-      if (!payoutRequest.agent.bankDetails || 
-          !payoutRequest.agent.bankDetails.accountNumber || 
-          !payoutRequest.agent.bankDetails.bankName) {
-        return res.status(400).json(createErrorResponse('Agent has not provided bank details yet', 400));
+    const adminId = req.user.userId;
+    let result;
+
+    if (status === 'rejected') {
+      result = await rejectPayoutRequest(payoutRequest, { adminId, rejectionReason, adminNotes });
+    } else if (status === 'completed') {
+      // Money already sent outside the system: approve, execute and complete in one step
+      result = payoutRequest.status === 'approved'
+        ? { payoutRequest }
+        : await approvePayoutRequest(payoutRequest, { adminId, adminNotes });
+
+      if (!result.error) {
+        const agent = await User.findById(payoutRequest.agent);
+        result = await executePayoutRequest(payoutRequest, agent, { adminId, paymentReference: payoutReference });
+      }
+      if (!result.error) {
+        result = await completePayout(result.payout, { adminId, paymentReference: payoutReference });
       }
+    } else {
+      result = await approvePayoutRequest(payoutRequest, { adminId, adminNotes });
     }
 
-    // Update payout request
-    payoutRequest.status = status;
-    payoutRequest.processedBy = req.user._id;
-    payoutRequest.processedDate = new Date();
-    payoutRequest.adminNotes = adminNotes;
-    payoutRequest.payoutReference = payoutReference;
-    payoutRequest.rejectionReason = rejectionReason;
-
-    if (status === 'completed') {
-      // Update commission statuses to paid
-      await Commission.updateMany(
-        { _id: { $in: payoutRequest.commissionIds } },
-        { 
-          status: 'paid', 
-          paidAt: new Date(),
-          payoutMethod: 'bank_transfer',
-          payoutReference: payoutReference,
-          adminNotes: adminNotes,
-          processedBy: req.user._id,
-          processedAt: new Date()
-        }
-      );
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
     }
 
-    await payoutRequest.save();
+    const updatedRequest = await PayoutRequest.findById(id)
+      .populate('agent', 'username email firstName lastName bankDetails')
+      .populate('commissionIds', 'amount status')
+      .populate('payout');
 
     res.json(createSuccessResponse({
-      payoutRequest,
+      payoutRequest: updatedRequest,
       message: `Payout request ${status} successfully`
     }));
 
@@ -1541,9 +1654,66 @@ const processPayoutRequest = async (req, res) => {
   }
 };
 
+// @desc    Execute an approved payout request (Admin only)
+// @route   POST /api/admin/payout-requests/:id/execute
+// @access  Private (payouts.execute)
+const executePayoutRequestById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id } = req.params;
+    const { paymentMethod, paymentReference, notes } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid payout request ID'));
+    }
+
+    const payoutRequest = await PayoutRequest.findById(id);
+    if (!payoutRequest) {
+      return res.status(404).json(createErrorResponse('Payout request not found', 404));
+    }
+
+    const agent = await User.findById(payoutRequest.agent);
+
+    const result = await executePayoutRequest(payoutRequest, agent, {
+      adminId: req.user.userId,
+      paymentMethod,
+      paymentReference,
+      notes
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    // Stripe requests are sent straight away; other methods wait for the admin to confirm
+    if (result.payout.paymentMethod === 'stripe_payout') {
+      const sent = await sendStripeTransfer(result.payout, agent, { adminId: req.user.userId, metadata: { notes } });
+      if (sent.error) {
+        return res.status(sent.statusCode).json(createErrorResponse(sent.error, sent.statusCode));
+      }
+
+      return res.status(201).json(createSuccessResponse({
+        payout: sent.payout
+      }, 'Stripe transfer sent and payout completed'));
+    }
+
+    res.status(201).json(createSuccessResponse({
+      payout: result.payout,
+      payoutRequest: result.payoutRequest
+    }, 'Payout is processing, complete or fail it once the transfer is confirmed'));
+
+  } catch (error) {
+    console.error('Execute payout request error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
 // @desc    Verify agent bank details (Admin only)
 // @route   PUT /api/admin/users/:id/verify-bank-details
-// @access  Private (Admin only)
+// @access  Private (payouts.approve)
 const verifyAgentBankDetails = async (req, res) => {
   try {
     const { id } = req.params;
@@ -1588,52 +1758,289 @@ const verifyAgentBankDetails = async (req, res) => {
   }
 };
 
+// @desc    Verify agent tax profile (Admin only)
+// @route   PUT /api/admin/users/:id/verify-tax-profile
+// @access  Private (payouts.approve)
+const verifyAgentTaxProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id } = req.params;
+    const { isVerified, verificationNotes } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    if (user.role !== 'agent') {
+      return res.status(400).json(createErrorResponse('Only agents can have tax profiles verified', 400));
+    }
+
+    if (!user.taxProfile || !user.taxProfile.submittedAt) {
+      return res.status(400).json(createErrorResponse('Agent has not submitted a tax profile yet', 400));
+    }
+
+    user.taxProfile.isVerified = isVerified;
+    user.taxProfile.verificationNotes = verificationNotes;
+    user.taxProfile.verifiedAt = new Date();
+    user.taxProfile.verifiedBy = req.user.userId;
+
+    await user.save();
+
+    res.json(createSuccessResponse({
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        // Only the last digits of the tax ID are ever returned
+        taxProfile: {
+          taxIdLast4: user.taxProfile.taxIdLast4,
+          isVerified: user.taxProfile.isVerified,
+          verificationNotes: user.taxProfile.verificationNotes,
+          verifiedAt: user.taxProfile.verifiedAt
+        }
+      }
+    }, `Tax profile ${isVerified ? 'verified' : 'unverified'} successfully`));
+
+  } catch (error) {
+    console.error('Verify tax profile error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Export agents' payout totals for a tax year as CSV (Admin only)
+// @route   GET /api/admin/tax-reports/:year
+// @access  Private (reports.view)
+const getTaxReport = async (req, res) => {
+  try {
+    const year = parseInt(req.params.year);
+    const { type = 'generic' } = req.query;
+
+    if (!(year >= 2000 && year <= 9999)) {
+      return res.status(400).json(createErrorResponse('Invalid tax year'));
+    }
+
+    if (!TAX_REPORT_TYPES.includes(type)) {
+      return res.status(400).json(createErrorResponse(`Report type must be one of: ${TAX_REPORT_TYPES.join(', ')}`));
+    }
+
+    const csv = await buildTaxReport(year, type);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="agent_tax_report_${year}_${type}.csv"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Tax report error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
 // @desc    Create payout request (Agent only)
 // @route   POST /api/admin/payout-requests
 // @access  Private (Agent only)
 const createPayoutRequest = async (req, res) => {
   try {
-    const { amount, notes, commissionIds } = req.body;
-    const agentId = req.user._id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
 
-    // Check if agent has bank details
-    const agent = await User.findById(agentId);
-    if (!agent.bankDetails || 
-        !agent.bankDetails.accountNumber || 
-        !agent.bankDetails.bankName) {
-      return res.status(400).json(createErrorResponse('Please add your bank details before requesting a payout', 400));
-    }
-
-    // Validate commission IDs belong to this agent
-    if (commissionIds && commissionIds.length > 0) {
-      const commissions = await Commission.find({
-        _id: { $in: commissionIds },
-        agent: agentId,
-        status: 'pending'
-      });
+    const { amount, notes, commissionIds, paymentMethod, currency } = req.body;
+
+    const agent = await User.findById(req.user.userId);
 
-      if (commissions.length !== commissionIds.length) {
-        return res.status(400).json(createErrorResponse('Invalid commission IDs or commissions already paid', 400));
+    const result = await requestAgentPayout(agent, { amount, currency, commissionIds, paymentMethod, notes });
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    res.status(201).json(createSuccessResponse({
+      payoutRequest: result.payoutRequest,
+      message: 'Payout request created successfully'
+    }));
+
+  } catch (error) {
+    console.error('Create payout request error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Get chargebacks recorded from Stripe (Admin only)
+// @route   GET /api/admin/disputes
+// @access  Private (payments.view)
+const getAllDisputes = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const disputes = await Dispute.find(query)
+      .populate('user', 'username email firstName lastName')
+      .populate({
+        path: 'payments',
+        select: 'amount currency status purchaseType course',
+        populate: { path: 'course', select: 'title' }
+      })
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Dispute.countDocuments(query);
+    const pagination = generatePagination(page, limit, total);
+
+    res.json(createSuccessResponse({
+      disputes,
+      pagination
+    }));
+
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Get an agent's ledger with running balance (Admin only)
+// @route   GET /api/admin/agents/:id/ledger
+// @access  Private (payouts.view)
+const getAgentLedger = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, currency, type } = req.query;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid agent ID'));
+    }
+
+    const agent = await User.findById(id).select('username email firstName lastName role totalCommission');
+    if (!agent) {
+      return res.status(404).json(createErrorResponse('Agent not found', 404));
+    }
+
+    const query = { agent: agent._id };
+    if (currency) query.currency = currency;
+    if (type) query.type = type;
+
+    const entries = await AgentLedgerEntry.find(query)
+      .populate('commission', 'amount status type tier')
+      .populate('payment', 'amount currency course transactionId createdAt')
+      .populate('payout', 'amount currency status paymentMethod paymentReference completedAt')
+      .populate('createdBy', 'username firstName lastName')
+      .sort({ createdAt: -1, sequence: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await AgentLedgerEntry.countDocuments(query);
+    const pagination = generatePagination(page, limit, total);
+
+    res.json(createSuccessResponse({
+      agent,
+      balances: await getAgentBalances(agent._id),
+      entries,
+      pagination
+    }));
+
+  } catch (error) {
+    console.error('Get agent ledger error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Report agents whose stored totals disagree with their ledger (Admin only)
+// @route   GET /api/admin/ledger/reconciliation
+// @access  Private (payouts.view)
+const getLedgerReconciliation = async (req, res) => {
+  try {
+    const report = await reconcileAgentLedgers();
+
+    res.json(createSuccessResponse({
+      reconciliation: {
+        checkedAt: new Date(),
+        ...report
       }
+    }, report.discrepancies.length > 0
+      ? `${report.discrepancies.length} agent(s) disagree with the ledger`
+      : 'All agents reconcile with the ledger'));
+
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Lift a login lockout and reset the failed attempt count
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private (users.manage)
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid user ID'));
     }
 
-    const payoutRequest = new PayoutRequest({
-      agent: agentId,
-      amount,
-      notes,
-      commissionIds: commissionIds || [],
-      bankDetails: agent.bankDetails
-    });
+    const user = await User.findById(id).select('role staffRoles');
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json(createErrorResponse('Only admins can unlock staff accounts', 403));
+    }
+
+    await clearFailedLogins(user._id);
+
+    res.json(createSuccessResponse({}, 'Account unlocked successfully'));
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Review failed logins, optionally for one user, email or IP address
+// @route   GET /api/admin/failed-logins
+// @access  Private (users.view)
+const getFailedLogins = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, user, email, ipAddress, reason } = req.query;
+
+    const query = {};
+    if (user) {
+      if (!isValidObjectId(user)) {
+        return res.status(400).json(createErrorResponse('Invalid user ID'));
+      }
+      query.user = user;
+    }
+    if (email) query.email = String(email).toLowerCase();
+    if (ipAddress) query.ipAddress = ipAddress;
+    if (reason) query.reason = reason;
+
+    const failedLogins = await FailedLogin.find(query)
+      .populate('user', 'username email firstName lastName lockedUntil')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
 
-    await payoutRequest.save();
+    const total = await FailedLogin.countDocuments(query);
 
     res.json(createSuccessResponse({
-      payoutRequest,
-      message: 'Payout request created successfully'
+      failedLogins,
+      pagination: generatePagination(page, limit, total)
     }));
 
   } catch (error) {
-    console.error('Create payout request error:', error);
+    console.error('Get failed logins error:', error);
     res.status(500).json(createErrorResponse('Server error', 500));
   }
 };
@@ -1642,8 +2049,11 @@ module.exports = {
   getAdminDashboard,
   getAllUsers,
   updateUserRole,
+  updateUserStaffRoles,
   approveAgent,
   deleteUser,
+  unlockUser,
+  getFailedLogins,
   getAllPayments,
   getAllCommissions,
   updateCommissionStatus,
@@ -1658,6 +2068,14 @@ module.exports = {
   processPayoutRequest,
   createPayoutRequest,
   verifyAgentBankDetails,
+  verifyAgentTaxProfile,
+  getTaxReport,
   processBankTransfer,
-  processStripePayout
+  processStripePayout,
+  executePayoutRequestById,
+  completePayoutById,
+  failPayoutById,
+  getAllDisputes,
+  getAgentLedger,
+  getLedgerReconciliation
 }; 
\ No newline at end of file
@@ -1,14 +1,34 @@
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  accessTokenFor,
+  createLoginChallenge
+} = require('../services/sessionService');
+const {
+  sendEmailVerification,
+  verifyEmail: verifyEmailToken,
+  sendPasswordReset,
+  resetPassword: resetPasswordWithToken
+} = require('../services/accountTokenService');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../services/loginProtectionService');
 const { 
   generateReferralCode, 
-  hashPassword, 
   comparePassword, 
-  generateToken, 
   sanitizeUser,
   createErrorResponse,
-  createSuccessResponse
+  createSuccessResponse,
+  isValidObjectId
 } = require('../Utils/utils');
+const { getPermissions } = require('../Utils/permissions');
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -77,16 +97,21 @@ const register = async (req, res) => {
     console.log('User created successfully:', user._id);
     console.log('Generated referral code:', user.referralCode);
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      role: user.role
-    });
+    // A failed email shouldn't fail registration; the user can ask for another
+    try {
+      await sendEmailVerification(user);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
+
+    // Start a session: short-lived access token plus refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json(createSuccessResponse({
       token,
+      refreshToken,
       user: sanitizeUser(user)
-    }, 'User registered successfully'));
+    }, 'User registered successfully. Please check your email to verify your address.'));
 
   } catch (error) {
     console.error('Registration error:', error);
@@ -109,23 +134,44 @@ const login = async (req, res) => {
     // Check if user exists
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordFailedLogin(req, { email, reason: 'unknown_email' });
       return res.status(400).json(createErrorResponse('Invalid credentials'));
     }
 
+    // Refuse locked accounts before checking the password
+    const lockout = checkLoginAllowed(user);
+    if (lockout) {
+      await recordFailedLogin(req, { user, reason: 'account_locked' });
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(lockout.statusCode).json({
+        ...createErrorResponse(lockout.error, lockout.statusCode),
+        retryAfter: lockout.retryAfter
+      });
+    }
+
     // Check password
     const isMatch = await comparePassword(password, user.password);
     if (!isMatch) {
+      await recordFailedLogin(req, { user, reason: 'invalid_password' });
       return res.status(400).json(createErrorResponse('Invalid credentials'));
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      role: user.role
-    });
+    // With 2FA on, the session is only started once a code is given to /2fa/login
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json(createSuccessResponse({
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user)
+      }, 'Two-factor authentication required'));
+    }
+
+    await clearFailedLogins(user._id);
+
+    // Start a session: short-lived access token plus refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json(createSuccessResponse({
       token,
+      refreshToken,
       user: sanitizeUser(user)
     }, 'Login successful'));
 
@@ -148,7 +194,8 @@ const getProfile = async (req, res) => {
       return res.status(404).json(createErrorResponse('User not found', 404));
     }
 
-    res.json(createSuccessResponse({ user }));
+    // Lets the frontend show only the admin screens the user can use
+    res.json(createSuccessResponse({ user, permissions: getPermissions(user) }));
 
   } catch (error) {
     console.error('Get profile error:', error);
@@ -191,13 +238,30 @@ const updateProfile = async (req, res) => {
       }
     }
 
+    // A new address has to be verified again
+    const current = await User.findById(req.user.userId).select('email');
+    const emailChanged = email && current && email !== current.email;
+    if (emailChanged) {
+      updateFields.$unset = { emailVerifiedAt: 1 };
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.userId,
       updateFields,
       { new: true, runValidators: true }
     ).select('-password');
 
-    res.json(createSuccessResponse({ user }, 'Profile updated successfully'));
+    if (emailChanged) {
+      try {
+        await sendEmailVerification(user);
+      } catch (emailError) {
+        console.error('Verification email error:', emailError);
+      }
+    }
+
+    res.json(createSuccessResponse({ user }, emailChanged
+      ? 'Profile updated successfully. Please check your email to verify your new address.'
+      : 'Profile updated successfully'));
 
   } catch (error) {
     console.error('Update profile error:', error);
@@ -229,14 +293,15 @@ const changePassword = async (req, res) => {
       return res.status(400).json(createErrorResponse('Current password is incorrect'));
     }
 
-    // Hash new password
-    const hashedPassword = await hashPassword(newPassword);
-
-    // Update password
-    user.password = hashedPassword;
+    // Update password (the User model hashes it)
+    user.password = newPassword;
     await user.save();
 
-    res.json(createSuccessResponse({}, 'Password changed successfully'));
+    // Sign out every other device; this one gets a fresh access token
+    await revokeUserSessions(user._id, 'password_changed', { exceptSessionId: req.user.sessionId });
+    const token = accessTokenFor(user, { _id: req.user.sessionId });
+
+    res.json(createSuccessResponse({ token }, 'Password changed successfully'));
 
   } catch (error) {
     console.error('Change password error:', error);
@@ -295,11 +360,229 @@ const updateBankDetails = async (req, res) => {
   }
 };
 
+// @desc    Swap a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const result = await refreshSession(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    res.json(createSuccessResponse({
+      token: result.token,
+      refreshToken: result.refreshToken
+    }, 'Token refreshed'));
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sessionId);
+    if (session && !session.revokedAt) {
+      await revokeSession(session, 'logout');
+    }
+
+    res.json(createSuccessResponse({}, 'Logged out successfully'));
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    List the user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json(createSuccessResponse({
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.equals(req.user.sessionId)
+      }))
+    }));
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Revoke one of the user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSessionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid session ID'));
+    }
+
+    const session = await Session.findOne({ _id: id, user: req.user.userId, revokedAt: null });
+    if (!session) {
+      return res.status(404).json(createErrorResponse('Session not found', 404));
+    }
+
+    await revokeSession(session, 'revoked');
+
+    res.json(createSuccessResponse({}, 'Session revoked successfully'));
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { user: req.user.userId, _id: { $ne: req.user.sessionId }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked' }
+    );
+
+    res.json(createSuccessResponse({
+      revoked: result.modifiedCount
+    }, 'Other sessions revoked successfully'));
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Confirm the user's email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const result = await verifyEmailToken(req.body.token);
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    res.json(createSuccessResponse({ user: result.user }, 'Email verified successfully'));
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json(createErrorResponse('Email is already verified'));
+    }
+
+    await sendEmailVerification(user);
+
+    res.json(createSuccessResponse({}, 'Verification email sent'));
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    await sendPasswordReset(req.body.email);
+
+    // Same answer whether or not the account exists
+    res.json(createSuccessResponse({}, 'If an account exists for that email, a password reset link has been sent'));
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Set a new password using a reset link
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { token, password } = req.body;
+
+    const result = await resetPasswordWithToken(token, password);
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    res.json(createSuccessResponse({}, 'Password reset successfully. Please log in with your new password.'));
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
 module.exports = {
   register,
   login,
   getProfile,
   updateProfile,
   changePassword,
-  updateBankDetails
+  updateBankDetails,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword
 }; 
\ No newline at end of file
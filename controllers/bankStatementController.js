@@ -0,0 +1,105 @@
+const BankStatementImport = require('../models/BankStatementImport');
+const { importBankStatement: importStatement } = require('../services/bankStatementService');
+const {
+  generatePagination,
+  createErrorResponse,
+  createSuccessResponse,
+  isValidObjectId
+} = require('../Utils/utils');
+
+const payoutFields = 'agent amount currency status paymentReference payoutBatch createdAt completedAt';
+const agentFields = 'username email firstName lastName';
+
+// @desc    Import a bank statement and complete the payouts it confirms (Admin only)
+// @route   POST /api/admin/bank-statements
+// @access  Private (payouts.execute)
+const importBankStatement = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json(createErrorResponse(req.fileValidationError || 'Bank statement file is required'));
+    }
+
+    const result = await importStatement({
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      adminId: req.user.userId
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    const statementImport = await BankStatementImport.findById(result.statementImport._id)
+      .populate({ path: 'openPayouts', select: payoutFields, populate: { path: 'agent', select: agentFields } });
+
+    res.status(201).json(createSuccessResponse({
+      statementImport
+    }, `Bank statement imported: ${statementImport.matchedLines.length} matched, ${statementImport.unmatchedLines.length} unmatched, ${statementImport.openPayouts.length} payouts still open`));
+
+  } catch (error) {
+    console.error('Import bank statement error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Get bank statement imports (Admin only)
+// @route   GET /api/admin/bank-statements
+// @access  Private (payouts.view)
+const getBankStatementImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const statementImports = await BankStatementImport.find()
+      .select('-matchedLines -unmatchedLines -openPayouts')
+      .populate('importedBy', 'username firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await BankStatementImport.countDocuments();
+    const pagination = generatePagination(page, limit, total);
+
+    res.json(createSuccessResponse({
+      statementImports,
+      pagination
+    }));
+
+  } catch (error) {
+    console.error('Get bank statement imports error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Get a bank statement import's reconciliation report (Admin only)
+// @route   GET /api/admin/bank-statements/:id
+// @access  Private (payouts.view)
+const getBankStatementImportById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid statement import ID'));
+    }
+
+    const statementImport = await BankStatementImport.findById(id)
+      .populate({ path: 'matchedLines.payouts', select: payoutFields, populate: { path: 'agent', select: agentFields } })
+      .populate({ path: 'openPayouts', select: payoutFields, populate: { path: 'agent', select: agentFields } })
+      .populate('importedBy', 'username firstName lastName');
+
+    if (!statementImport) {
+      return res.status(404).json(createErrorResponse('Bank statement import not found', 404));
+    }
+
+    res.json(createSuccessResponse({ statementImport }));
+
+  } catch (error) {
+    console.error('Get bank statement import error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+module.exports = {
+  importBankStatement,
+  getBankStatementImports,
+  getBankStatementImportById
+};
@@ -0,0 +1,233 @@
+const stripe = require('../services/stripeClient');
+const { body, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const {
+  createErrorResponse,
+  createSuccessResponse,
+  isValidObjectId,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  getCoursePrice
+} = require('../Utils/utils');
+
+// Stripe metadata values are capped at 500 characters, which limits how many
+// course IDs fit into a single checkout
+const MAX_CART_ITEMS = 20;
+
+// Build the cart summary returned by every cart endpoint
+const buildCartSummary = (cart, currency = DEFAULT_CURRENCY) => {
+  const items = cart.filter(course => course);
+  const total = items.reduce((sum, course) => sum + (getCoursePrice(course, currency) || 0), 0);
+
+  return {
+    items,
+    itemCount: items.length,
+    currency,
+    total
+  };
+};
+
+// @desc    Get user's cart
+// @route   GET /api/cart
+// @access  Private
+const getCart = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .populate('cart', 'title description price prices image duration category isActive');
+
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    const currency = SUPPORTED_CURRENCIES.includes(req.query.currency) ? req.query.currency : DEFAULT_CURRENCY;
+
+    res.json(createSuccessResponse({ cart: buildCartSummary(user.cart, currency) }));
+
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Add course to cart
+// @route   POST /api/cart/items
+// @access  Private
+const addToCart = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { courseId } = req.body;
+
+    if (!isValidObjectId(courseId)) {
+      return res.status(400).json(createErrorResponse('Invalid course ID'));
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course || !course.isActive) {
+      return res.status(404).json(createErrorResponse('Course not found', 404));
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    // Check if user already purchased this course
+    if (user.coursesEnrolled.includes(courseId)) {
+      return res.status(400).json(createErrorResponse('You already purchased this course'));
+    }
+
+    if (user.cart.includes(courseId)) {
+      return res.status(400).json(createErrorResponse('Course is already in your cart'));
+    }
+
+    if (user.cart.length >= MAX_CART_ITEMS) {
+      return res.status(400).json(createErrorResponse(`Cart cannot contain more than ${MAX_CART_ITEMS} courses`));
+    }
+
+    user.cart.push(course._id);
+    await user.save();
+    await user.populate('cart', 'title description price prices image duration category isActive');
+
+    res.json(createSuccessResponse({ cart: buildCartSummary(user.cart) }, 'Course added to cart'));
+
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Remove course from cart
+// @route   DELETE /api/cart/items/:courseId
+// @access  Private
+const removeFromCart = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    if (!isValidObjectId(courseId)) {
+      return res.status(400).json(createErrorResponse('Invalid course ID'));
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    if (!user.cart.includes(courseId)) {
+      return res.status(404).json(createErrorResponse('Course is not in your cart', 404));
+    }
+
+    user.cart.pull(courseId);
+    await user.save();
+    await user.populate('cart', 'title description price prices image duration category isActive');
+
+    res.json(createSuccessResponse({ cart: buildCartSummary(user.cart) }, 'Course removed from cart'));
+
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Clear cart
+// @route   DELETE /api/cart
+// @access  Private
+const clearCart = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { cart: [] },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    res.json(createSuccessResponse({ cart: buildCartSummary([]) }, 'Cart cleared'));
+
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Create one Stripe payment intent for every course in the cart
+// @route   POST /api/cart/checkout
+// @access  Private
+const checkoutCart = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const currency = req.body.currency || DEFAULT_CURRENCY;
+    const user = await User.findById(req.user.userId)
+      .populate('cart', 'title description price prices isActive');
+
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    // Skip courses that were deleted, deactivated or bought since they were added
+    const courses = user.cart.filter(course =>
+      course && course.isActive && !user.coursesEnrolled.includes(course._id)
+    );
+
+    if (courses.length === 0) {
+      return res.status(400).json(createErrorResponse('Your cart is empty'));
+    }
+
+    // Every course must be sold in the chosen currency
+    const unavailable = courses.filter(course => getCoursePrice(course, currency) === null);
+    if (unavailable.length > 0) {
+      return res.status(400).json(createErrorResponse(
+        `Not available in ${currency.toUpperCase()}: ${unavailable.map(course => course.title).join(', ')}`
+      ));
+    }
+
+    const prices = courses.map(course => getCoursePrice(course, currency));
+    const amount = prices.reduce((sum, price) => sum + price, 0);
+
+    // Create payment intent
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(amount * 100), // Stripe uses cents
+      currency,
+      metadata: {
+        userId: req.user.userId,
+        courseIds: courses.map(course => course._id.toString()).join(','),
+        courseAmounts: prices.join(','),
+        integration_check: 'accept_a_payment'
+      }
+    });
+
+    res.json(createSuccessResponse({
+      clientSecret: paymentIntent.client_secret,
+      amount,
+      currency: paymentIntent.currency,
+      courses: courses.map((course, index) => ({
+        id: course._id,
+        title: course.title,
+        description: course.description,
+        price: prices[index]
+      }))
+    }));
+
+  } catch (error) {
+    console.error('Cart checkout error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+module.exports = {
+  getCart,
+  addToCart,
+  removeFromCart,
+  clearCart,
+  checkoutCart
+};
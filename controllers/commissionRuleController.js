@@ -0,0 +1,239 @@
+const { body, validationResult } = require('express-validator');
+const CommissionRule = require('../models/CommissionRule');
+const Commission = require('../models/Commission');
+const {
+  generatePagination,
+  createErrorResponse,
+  createSuccessResponse,
+  isValidObjectId
+} = require('../Utils/utils');
+
+// Fields admins may set when creating or updating a rule
+const RULE_FIELDS = [
+  'name',
+  'description',
+  'course',
+  'category',
+  'agent',
+  'rate',
+  'startsAt',
+  'endsAt',
+  'isActive'
+];
+
+const pickRuleFields = (source) => {
+  const data = {};
+  RULE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) data[field] = source[field];
+  });
+  return data;
+};
+
+// A rule targets either a course or a category; an agent narrows a course rule.
+// Returns an error message, or null when the rule is valid.
+const validateRuleScope = (rule) => {
+  if (!rule.course && !rule.category) {
+    return 'A rule needs a course or a category';
+  }
+  if (rule.course && rule.category) {
+    return 'A rule can target a course or a category, not both';
+  }
+  if (rule.agent && !rule.course) {
+    return 'Agent rules must also name a course';
+  }
+  if (rule.startsAt && rule.endsAt && new Date(rule.endsAt) <= new Date(rule.startsAt)) {
+    return 'End date must be after the start date';
+  }
+  return null;
+};
+
+// @desc    Get all commission rules (Admin only)
+// @route   GET /api/admin/commission-rules
+// @access  Private (commissions.manage)
+const getAllCommissionRules = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, courseId, category, agentId } = req.query;
+
+    const query = {};
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (courseId) query.course = courseId;
+    if (category) query.category = category;
+    if (agentId) query.agent = agentId;
+
+    const rules = await CommissionRule.find(query)
+      .populate('course', 'title category')
+      .populate('agent', 'username firstName lastName commissionRate')
+      .populate('createdBy', 'username firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await CommissionRule.countDocuments(query);
+    const pagination = generatePagination(page, limit, total);
+
+    res.json(createSuccessResponse({
+      rules,
+      pagination
+    }));
+
+  } catch (error) {
+    console.error('Get commission rules error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Get commission rule with usage summary (Admin only)
+// @route   GET /api/admin/commission-rules/:id
+// @access  Private (commissions.manage)
+const getCommissionRuleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid rule ID'));
+    }
+
+    const rule = await CommissionRule.findById(id)
+      .populate('course', 'title category')
+      .populate('agent', 'username firstName lastName commissionRate')
+      .populate('createdBy', 'username firstName lastName');
+
+    if (!rule) {
+      return res.status(404).json(createErrorResponse('Commission rule not found', 404));
+    }
+
+    const usageStats = await Commission.aggregate([
+      { $match: { commissionRule: rule._id, type: 'commission' } },
+      { $group: {
+        _id: '$currency',
+        commissions: { $sum: 1 },
+        totalCommission: { $sum: '$amount' },
+        totalSales: { $sum: '$originalAmount' }
+      }},
+      { $project: { _id: 0, currency: '$_id', commissions: 1, totalCommission: 1, totalSales: 1 } }
+    ]);
+
+    res.json(createSuccessResponse({
+      rule,
+      usageStats
+    }));
+
+  } catch (error) {
+    console.error('Get commission rule error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Create commission rule (Admin only)
+// @route   POST /api/admin/commission-rules
+// @access  Private (commissions.manage)
+const createCommissionRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const data = pickRuleFields(req.body);
+
+    const scopeError = validateRuleScope(data);
+    if (scopeError) {
+      return res.status(400).json(createErrorResponse(scopeError));
+    }
+
+    const rule = new CommissionRule({
+      ...data,
+      createdBy: req.user.userId
+    });
+
+    await rule.save();
+
+    res.status(201).json(createSuccessResponse({ rule }, 'Commission rule created successfully'));
+
+  } catch (error) {
+    console.error('Create commission rule error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Update commission rule (Admin only)
+// @route   PUT /api/admin/commission-rules/:id
+// @access  Private (commissions.manage)
+const updateCommissionRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid rule ID'));
+    }
+
+    const rule = await CommissionRule.findById(id);
+    if (!rule) {
+      return res.status(404).json(createErrorResponse('Commission rule not found', 404));
+    }
+
+    rule.set(pickRuleFields(req.body));
+
+    const scopeError = validateRuleScope(rule);
+    if (scopeError) {
+      return res.status(400).json(createErrorResponse(scopeError));
+    }
+
+    await rule.save();
+
+    res.json(createSuccessResponse({ rule }, 'Commission rule updated successfully'));
+
+  } catch (error) {
+    console.error('Update commission rule error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Delete commission rule (Admin only)
+// @route   DELETE /api/admin/commission-rules/:id
+// @access  Private (commissions.manage)
+const deleteCommissionRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid rule ID'));
+    }
+
+    const rule = await CommissionRule.findById(id);
+    if (!rule) {
+      return res.status(404).json(createErrorResponse('Commission rule not found', 404));
+    }
+
+    // Keep rules that priced commissions so those amounts can still be explained
+    const usedBy = await Commission.countDocuments({ commissionRule: rule._id });
+    if (usedBy > 0) {
+      rule.isActive = false;
+      await rule.save();
+      return res.json(createSuccessResponse({ rule }, 'Commission rule has been applied and was deactivated instead'));
+    }
+
+    await rule.deleteOne();
+
+    res.json(createSuccessResponse({}, 'Commission rule deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete commission rule error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+module.exports = {
+  getAllCommissionRules,
+  getCommissionRuleById,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule
+};
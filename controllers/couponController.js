@@ -0,0 +1,241 @@
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Payment = require('../models/Payment');
+const {
+  generatePagination,
+  createErrorResponse,
+  createSuccessResponse,
+  isValidObjectId,
+  DEFAULT_CURRENCY
+} = require('../Utils/utils');
+
+// Fields admins may set when creating or updating a coupon
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'currency',
+  'startsAt',
+  'expiresAt',
+  'maxRedemptions',
+  'maxRedemptionsPerUser',
+  'courses',
+  'isActive'
+];
+
+const pickCouponFields = (source) => {
+  const data = {};
+  COUPON_FIELDS.forEach(field => {
+    if (source[field] !== undefined) data[field] = source[field];
+  });
+  return data;
+};
+
+// @desc    Get all coupons (Admin only)
+// @route   GET /api/admin/coupons
+// @access  Private (coupons.manage)
+const getAllCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, search } = req.query;
+
+    const query = {};
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (status === 'expired') query.expiresAt = { $lte: new Date() };
+    if (search) query.code = { $regex: search, $options: 'i' };
+
+    const coupons = await Coupon.find(query)
+      .populate('courses', 'title price')
+      .populate('createdBy', 'username firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Coupon.countDocuments(query);
+    const pagination = generatePagination(page, limit, total);
+
+    res.json(createSuccessResponse({
+      coupons,
+      pagination
+    }));
+
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Get coupon by ID with redemption summary (Admin only)
+// @route   GET /api/admin/coupons/:id
+// @access  Private (coupons.manage)
+const getCouponById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid coupon ID'));
+    }
+
+    const coupon = await Coupon.findById(id)
+      .populate('courses', 'title price')
+      .populate('createdBy', 'username firstName lastName');
+
+    if (!coupon) {
+      return res.status(404).json(createErrorResponse('Coupon not found', 404));
+    }
+
+    // Amounts are reported per currency rather than summed together
+    const redemptionStats = await Payment.aggregate([
+      { $match: { coupon: coupon._id, status: 'completed' } },
+      { $group: {
+        _id: '$currency',
+        redemptions: { $sum: 1 },
+        totalDiscount: { $sum: '$discountAmount' },
+        totalRevenue: { $sum: '$amount' }
+      }},
+      { $project: { _id: 0, currency: '$_id', redemptions: 1, totalDiscount: 1, totalRevenue: 1 } }
+    ]);
+
+    res.json(createSuccessResponse({
+      coupon,
+      redemptionStats
+    }));
+
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Create coupon (Admin only)
+// @route   POST /api/admin/coupons
+// @access  Private (coupons.manage)
+const createCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const data = pickCouponFields(req.body);
+
+    if (data.discountType === 'percent' && data.discountValue > 100) {
+      return res.status(400).json(createErrorResponse('Percentage discount cannot exceed 100'));
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: data.code.trim().toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json(createErrorResponse('Coupon code already exists'));
+    }
+
+    if (data.discountType === 'fixed' && !data.currency) {
+      data.currency = DEFAULT_CURRENCY;
+    }
+
+    const coupon = new Coupon({
+      ...data,
+      createdBy: req.user.userId
+    });
+
+    await coupon.save();
+
+    res.status(201).json(createSuccessResponse({ coupon }, 'Coupon created successfully'));
+
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Update coupon (Admin only)
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (coupons.manage)
+const updateCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid coupon ID'));
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json(createErrorResponse('Coupon not found', 404));
+    }
+
+    const data = pickCouponFields(req.body);
+    const discountType = data.discountType || coupon.discountType;
+    const discountValue = data.discountValue !== undefined ? data.discountValue : coupon.discountValue;
+
+    if (discountType === 'percent' && discountValue > 100) {
+      return res.status(400).json(createErrorResponse('Percentage discount cannot exceed 100'));
+    }
+
+    if (data.code) {
+      const existingCoupon = await Coupon.findOne({
+        code: data.code.trim().toUpperCase(),
+        _id: { $ne: coupon._id }
+      });
+      if (existingCoupon) {
+        return res.status(400).json(createErrorResponse('Coupon code already exists'));
+      }
+    }
+
+    coupon.set(data);
+    await coupon.save();
+
+    res.json(createSuccessResponse({ coupon }, 'Coupon updated successfully'));
+
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Delete coupon (Admin only)
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private (coupons.manage)
+const deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid coupon ID'));
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json(createErrorResponse('Coupon not found', 404));
+    }
+
+    // Keep redeemed coupons so past payments still reference them
+    if (coupon.timesRedeemed > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json(createSuccessResponse({ coupon }, 'Coupon has redemptions and was deactivated instead'));
+    }
+
+    await coupon.deleteOne();
+
+    res.json(createSuccessResponse({}, 'Coupon deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+module.exports = {
+  getAllCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
@@ -5,7 +5,8 @@ const {
   generatePagination,
   createErrorResponse,
   createSuccessResponse,
-  isValidObjectId
+  isValidObjectId,
+  isAccessExpired
 } = require('../Utils/utils');
 
 // @desc    Get all courses
@@ -73,7 +74,7 @@ const getCourseById = async (req, res) => {
 
 // @desc    Create a new course
 // @route   POST /api/courses
-// @access  Private (Admin only)
+// @access  Private (courses.edit)
 const createCourse = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -95,7 +96,9 @@ const createCourse = async (req, res) => {
       whatYouWillLearn,
       image,
       videoUrl,
-      pdfUrl
+      pdfUrl,
+      accessDurationDays,
+      prices
     } = req.body;
 
     // ✅ No parsing needed
@@ -111,7 +114,9 @@ const createCourse = async (req, res) => {
       whatYouWillLearn: whatYouWillLearn || [],
       image,
       videoUrl,
-      pdfUrl
+      pdfUrl,
+      accessDurationDays: accessDurationDays || undefined,
+      prices: prices || []
     });
 
     await course.save();
@@ -126,7 +131,7 @@ const createCourse = async (req, res) => {
 
 // @desc    Update a course
 // @route   PUT /api/courses/:id
-// @access  Private (Admin only)
+// @access  Private (courses.edit)
 const updateCourse = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -162,7 +167,7 @@ const updateCourse = async (req, res) => {
 
 // @desc    Delete a course
 // @route   DELETE /api/courses/:id
-// @access  Private (Admin only)
+// @access  Private (courses.edit)
 const deleteCourse = async (req, res) => {
   try {
     const { id } = req.params;
@@ -235,13 +240,26 @@ const enrollInCourse = async (req, res) => {
 const getEnrolledCourses = async (req, res) => {
   try {
     const user = await User.findById(req.user.userId)
-      .populate('coursesEnrolled', 'title description duration content');
+      .populate('coursesEnrolled', 'title description duration content accessDurationDays');
 
     if (!user) {
       return res.status(404).json(createErrorResponse('User not found', 404));
     }
 
-    res.json(createSuccessResponse({ courses: user.coursesEnrolled }));
+    // Flag courses whose time-limited access has run out
+    const courses = user.coursesEnrolled.filter(course => course).map(course => {
+      const purchase = user.coursesPurchased.find(p =>
+        p.courseId && p.courseId.toString() === course._id.toString()
+      );
+
+      return {
+        ...course.toObject(),
+        accessExpires: purchase?.accessExpires || null,
+        accessExpired: isAccessExpired(purchase)
+      };
+    });
+
+    res.json(createSuccessResponse({ courses }));
 
   } catch (error) {
     console.error('Get enrolled courses error:', error);
@@ -275,6 +293,14 @@ const getCourseContent = async (req, res) => {
       return res.status(403).json(createErrorResponse('Not enrolled in this course', 403));
     }
 
+    // Check if time-limited access has expired
+    const purchase = user.coursesPurchased.find(p =>
+      p.courseId && p.courseId.toString() === course._id.toString()
+    );
+    if (isAccessExpired(purchase)) {
+      return res.status(403).json(createErrorResponse('Your access to this course has expired. Please renew to continue', 403));
+    }
+
     res.json(createSuccessResponse({ content: course.content }));
 
   } catch (error) {
@@ -1,18 +1,45 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('../services/stripeClient');
 const { body, validationResult } = require('express-validator');
 const Payment = require('../models/Payment');
 const Course = require('../models/Course');
 const User = require('../models/User');
 const Commission = require('../models/Commission');
+const StripeEvent = require('../models/StripeEvent');
+const Dispute = require('../models/Dispute');
+const Payout = require('../models/Payout');
 const { 
   generatePagination,
   createErrorResponse,
   createSuccessResponse,
   isValidObjectId,
   calculateCommission,
+  calculateAccessExpiry,
+  isAccessExpired,
+  DEFAULT_CURRENCY,
+  formatCurrency,
+  getCoursePrice,
+  totalsByCurrency,
   generatePDFReceipt
 } = require('../Utils/utils');
 const { sendCourseAccessEmail, sendCoursePurchaseEmail } = require('../services/emailService');
+const {
+  findRedeemableCoupon,
+  calculateDiscount,
+  reserveRedemption,
+  releaseRedemption,
+  recordRedemption
+} = require('../services/couponService');
+const { applyRefund, reversePayment, restoreCourseAccess } = require('../services/paymentReversalService');
+const { createCommissionsForPayment } = require('../services/commissionService');
+const { syncAccountStatus } = require('../services/stripeConnectService');
+const { completePayout, failPayout, reversePayout } = require('../services/payoutService');
+const { hasPermission } = require('../Utils/permissions');
+
+// Smallest amount Stripe will charge in a single payment intent
+const MIN_CHARGE_AMOUNT = 0.5;
+
+// Events stuck in 'processing' this long are assumed to have crashed and may be retried
+const STALE_EVENT_MS = 10 * 60 * 1000;
 
 // @desc    Test webhook endpoint
 // @route   POST /api/payments/test-webhook
@@ -39,23 +66,153 @@ const createPaymentIntent = async (req, res) => {
     // Check if user already purchased this course
     const user = await User.findById(req.user.userId);
     if (user.coursesEnrolled.includes(req.body.courseId)) {
+      const purchase = user.coursesPurchased.find(p => p.courseId.toString() === req.body.courseId);
+      if (isAccessExpired(purchase)) {
+        return res.status(400).json(createErrorResponse('Your access to this course has expired. Please renew it instead'));
+      }
       return res.status(400).json(createErrorResponse('You already purchased this course'));
     }
 
+    // Price the course in the buyer's chosen currency
+    const currency = req.body.currency || DEFAULT_CURRENCY;
+    const price = getCoursePrice(course, currency);
+    if (price === null) {
+      return res.status(400).json(createErrorResponse(`This course is not available in ${currency.toUpperCase()}`));
+    }
+
+    // Apply coupon if one was provided
+    let coupon = null;
+    let discountAmount = 0;
+    if (req.body.couponCode) {
+      const result = await findRedeemableCoupon(req.body.couponCode, user._id, course._id, currency);
+      if (result.error) {
+        return res.status(400).json(createErrorResponse(result.error));
+      }
+      coupon = result.coupon;
+      discountAmount = calculateDiscount(coupon, price);
+    }
+
+    const amount = Math.round((price - discountAmount) * 100) / 100;
+    if (amount < MIN_CHARGE_AMOUNT) {
+      return res.status(400).json(createErrorResponse(`Discounted price must be at least ${formatCurrency(MIN_CHARGE_AMOUNT, currency)}`));
+    }
+
+    const metadata = {
+      userId: req.user.userId,
+      courseId: req.body.courseId,
+      integration_check: 'accept_a_payment'
+    };
+
+    // Hold a use of the coupon until the payment succeeds or fails
+    let reservation = null;
+    if (coupon) {
+      const reserved = await reserveRedemption(coupon, user._id);
+      if (reserved.error) {
+        return res.status(400).json(createErrorResponse(reserved.error));
+      }
+      reservation = reserved.reservation;
+
+      metadata.couponId = coupon._id.toString();
+      metadata.couponCode = coupon.code;
+      metadata.couponReservationId = reservation._id.toString();
+      metadata.originalAmount = price;
+      metadata.discountAmount = discountAmount;
+    }
+
+    // Create payment intent
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(amount * 100), // Stripe uses cents
+        currency,
+        metadata
+      });
+    } catch (stripeError) {
+      if (reservation) await releaseRedemption(reservation._id);
+      throw stripeError;
+    }
+
+    if (reservation) {
+      reservation.paymentIntentId = paymentIntent.id;
+      await reservation.save();
+    }
+
+    res.json(createSuccessResponse({
+      clientSecret: paymentIntent.client_secret,
+      amount,
+      currency: paymentIntent.currency,
+      originalAmount: price,
+      discountAmount,
+      couponCode: coupon ? coupon.code : null,
+      course: {
+        id: course._id,
+        title: course.title,
+        description: course.description
+      }
+    }));
+
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Create Stripe payment intent to renew time-limited course access
+// @route   POST /api/payments/renew-access
+// @access  Private
+const createRenewalPaymentIntent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const course = await Course.findById(req.body.courseId);
+    if (!course) {
+      return res.status(404).json(createErrorResponse('Course not found', 404));
+    }
+
+    if (!course.accessDurationDays) {
+      return res.status(400).json(createErrorResponse('This course includes lifetime access'));
+    }
+
+    const user = await User.findById(req.user.userId);
+    const purchase = user.coursesPurchased.find(p => p.courseId.toString() === req.body.courseId);
+    if (!purchase) {
+      return res.status(400).json(createErrorResponse('You have not purchased this course'));
+    }
+
+    if (!purchase.accessExpires) {
+      return res.status(400).json(createErrorResponse('You already have lifetime access to this course'));
+    }
+
+    const currency = req.body.currency || DEFAULT_CURRENCY;
+    const price = getCoursePrice(course, currency);
+    if (price === null) {
+      return res.status(400).json(createErrorResponse(`This course is not available in ${currency.toUpperCase()}`));
+    }
+
     // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: course.price * 100, // Stripe uses cents
-      currency: 'usd',
+      amount: Math.round(price * 100), // Stripe uses cents
+      currency,
       metadata: {
         userId: req.user.userId,
         courseId: req.body.courseId,
+        purchaseType: 'renewal',
         integration_check: 'accept_a_payment'
       }
     });
 
     res.json(createSuccessResponse({
       clientSecret: paymentIntent.client_secret,
-      amount: course.price,
+      amount: price,
+      currency: paymentIntent.currency,
+      currentAccessExpires: purchase.accessExpires,
+      newAccessExpires: calculateAccessExpiry(
+        course,
+        isAccessExpired(purchase) ? new Date() : purchase.accessExpires
+      ),
       course: {
         id: course._id,
         title: course.title,
@@ -64,11 +221,407 @@ const createPaymentIntent = async (req, res) => {
     }));
 
   } catch (error) {
-    console.error('Create payment intent error:', error);
+    console.error('Create renewal payment intent error:', error);
     res.status(500).json(createErrorResponse('Server error', 500));
   }
 };
 
+// Record a completed Stripe payment for one course and give the buyer access.
+// Renewals extend the expiry of an existing purchase instead of adding a new one.
+const fulfillCoursePurchase = async (user, course, paymentIntent, amount, purchaseType = 'purchase') => {
+  const userId = user._id;
+  const courseId = course._id.toString();
+  const existingPurchase = user.coursesPurchased.find(purchase =>
+    purchase.courseId.toString() === courseId
+  );
+  const isRenewal = purchaseType === 'renewal' && !!existingPurchase;
+
+  // Check if user already purchased this course
+  if (!isRenewal && user.coursesEnrolled.includes(courseId)) {
+    return null;
+  }
+
+  // Create payment record
+  const payment = new Payment({
+    user: userId,
+    course: courseId,
+    amount,
+    currency: paymentIntent.currency,
+    paymentMethod: 'stripe',
+    transactionId: paymentIntent.id,
+    status: 'completed',
+    purchaseType: isRenewal ? 'renewal' : 'purchase',
+    referralAgent: user.referredBy || null
+  });
+
+  // Record coupon redemption
+  const { couponId, couponCode, couponReservationId, originalAmount, discountAmount } = paymentIntent.metadata;
+  if (couponId) {
+    payment.coupon = couponId;
+    payment.couponCode = couponCode;
+    payment.originalAmount = Number(originalAmount);
+    payment.discountAmount = Number(discountAmount);
+  }
+
+  try {
+    await payment.save();
+  } catch (error) {
+    // The webhook and manual confirmation raced and the other one won
+    if (error.code !== 11000) throw error;
+    console.log('Payment already processed:', paymentIntent.id, courseId);
+    return null;
+  }
+
+  if (couponId) {
+    await recordRedemption(couponId, couponReservationId);
+  }
+
+  // Create the referral commissions (skipped if already recorded for this payment)
+  try {
+    await createCommissionsForPayment(payment, user);
+  } catch (commissionError) {
+    console.error('Error creating commissions:', commissionError);
+    // Don't fail the payment if commission creation fails
+  }
+
+  if (isRenewal) {
+    // Extend from the current expiry if access has not lapsed yet
+    const renewFrom = isAccessExpired(existingPurchase) || !existingPurchase.accessExpires
+      ? new Date()
+      : existingPurchase.accessExpires;
+    existingPurchase.accessExpires = calculateAccessExpiry(course, renewFrom);
+  } else if (!existingPurchase) {
+    // Add course to purchased courses (separate from enrolled)
+    user.coursesPurchased.push({
+      courseId: courseId,
+      purchasedAt: new Date(),
+      accessExpires: calculateAccessExpiry(course) // null means lifetime access
+    });
+  }
+
+  // Enroll user in course (for immediate access)
+  if (!user.coursesEnrolled.includes(courseId)) {
+    user.coursesEnrolled.push(courseId);
+  }
+
+  await user.save();
+
+  // Generate PDF receipt and send purchase confirmation email
+  try {
+    const pdfBuffer = await generatePDFReceipt(user, course, payment);
+    await sendCoursePurchaseEmail(user, course, pdfBuffer, payment);
+    console.log('Purchase confirmation email sent to:', user.email);
+  } catch (emailError) {
+    console.error('Error sending purchase confirmation email:', emailError);
+    // Don't fail the payment if email fails
+  }
+
+  return payment;
+};
+
+// Fulfil every course paid for by a successful payment intent
+const handlePaymentIntentSucceeded = async (paymentIntent) => {
+  // Extract metadata (cart checkouts carry a comma separated list of courses)
+  const { userId, courseId, courseIds, courseAmounts, purchaseType } = paymentIntent.metadata;
+  const purchasedCourseIds = courseIds ? courseIds.split(',') : [courseId];
+  
+  if (!userId || !purchasedCourseIds[0]) {
+    throw new Error('Missing metadata');
+  }
+  
+  // Find user and courses
+  const user = await User.findById(userId);
+  const courses = await Course.find({ _id: { $in: purchasedCourseIds } });
+  
+  if (!user) {
+    console.error('User not found:', userId);
+    throw new Error('User not found');
+  }
+  
+  if (courses.length !== purchasedCourseIds.length) {
+    console.error('Course not found:', purchasedCourseIds);
+    throw new Error('Course not found');
+  }
+
+  const amounts = courseAmounts ? courseAmounts.split(',').map(Number) : [paymentIntent.amount / 100];
+
+  for (const [index, id] of purchasedCourseIds.entries()) {
+    // Check if payment already processed (e.g. through manual confirmation or an earlier partial attempt).
+    // Concurrent attempts are caught by the payment's unique index instead.
+    const existingPayment = await Payment.findOne({ 
+      transactionId: paymentIntent.id,
+      course: id,
+      status: { $ne: 'failed' }
+    });
+
+    if (existingPayment) {
+      console.log('Payment already processed:', paymentIntent.id, id);
+      continue;
+    }
+
+    const course = courses.find(c => c._id.toString() === id);
+    await fulfillCoursePurchase(user, course, paymentIntent, amounts[index], purchaseType);
+  }
+
+  // Remove purchased courses from the cart
+  if (courseIds) {
+    await User.findByIdAndUpdate(userId, {
+      $pull: { cart: { $in: purchasedCourseIds } }
+    });
+  }
+
+  console.log(`Payment processed successfully for user ${userId} for courses ${purchasedCourseIds.join(', ')}`);
+};
+
+// Log a failed payment attempt
+const handlePaymentIntentFailed = async (paymentIntent) => {
+  console.log('Payment failed:', paymentIntent.id);
+
+  const { userId, courseId, courseIds, couponReservationId } = paymentIntent.metadata;
+  const purchasedCourseIds = courseIds ? courseIds.split(',') : [courseId];
+
+  // Give the coupon use back; it is taken again if a retry succeeds
+  if (couponReservationId) {
+    await releaseRedemption(couponReservationId);
+  }
+
+  if (!userId || !purchasedCourseIds[0]) {
+    throw new Error('Missing metadata');
+  }
+
+  // Log the failed payment
+  const payment = new Payment({
+    user: userId,
+    course: purchasedCourseIds[0],
+    amount: paymentIntent.amount / 100,
+    currency: paymentIntent.currency,
+    paymentMethod: 'stripe',
+    transactionId: paymentIntent.id,
+    status: 'failed',
+    referralAgent: null
+  });
+
+  await payment.save();
+  console.log('Failed payment record created:', payment._id);
+};
+
+// Give back the coupon use held by an abandoned payment intent
+const handlePaymentIntentCanceled = async (paymentIntent) => {
+  const { couponReservationId } = paymentIntent.metadata;
+  if (couponReservationId) {
+    await releaseRedemption(couponReservationId);
+  }
+};
+
+// Bring payments in line with the amount refunded on their charge, including
+// refunds issued from the Stripe dashboard. Refunds made through processRefund
+// are already recorded, so only the difference is applied.
+const handleChargeRefunded = async (charge) => {
+  const payments = await Payment.find({
+    transactionId: charge.payment_intent,
+    status: { $in: ['completed', 'refunded'] }
+  });
+
+  const recorded = payments.reduce((sum, payment) => sum + (payment.refundedAmount || 0), 0);
+  const outstanding = Math.round(charge.amount_refunded - recorded * 100) / 100;
+  if (outstanding <= 0) return;
+
+  const refundable = payments.filter(payment => payment.status === 'completed');
+
+  if (charge.refunded) {
+    for (const payment of refundable) {
+      await applyRefund(payment, payment.amount - payment.refundedAmount, 'Refunded in Stripe');
+      console.log('Payment refunded from Stripe:', payment._id);
+    }
+  } else if (refundable.length === 1) {
+    await applyRefund(refundable[0], outstanding, 'Partially refunded in Stripe');
+    console.log('Payment partially refunded from Stripe:', refundable[0]._id);
+  } else {
+    // A partial refund on a cart checkout cannot be matched to a course
+    console.warn(`Charge ${charge.id} partially refunded across ${refundable.length} courses, needs manual review`);
+  }
+};
+
+// Record a chargeback and keep the disputed payments in step with it
+const handleChargeDispute = async (eventType, stripeDispute) => {
+  let paymentIntentId = stripeDispute.payment_intent;
+  if (!paymentIntentId) {
+    const charge = await stripe.charges.retrieve(stripeDispute.charge);
+    paymentIntentId = charge.payment_intent;
+  }
+
+  const payments = await Payment.find({ transactionId: paymentIntentId, status: { $ne: 'failed' } });
+
+  const dispute = await Dispute.findOneAndUpdate(
+    { stripeDisputeId: stripeDispute.id },
+    {
+      chargeId: stripeDispute.charge,
+      paymentIntentId,
+      payments: payments.map(payment => payment._id),
+      user: payments.length > 0 ? payments[0].user : undefined,
+      amount: stripeDispute.amount / 100,
+      currency: stripeDispute.currency,
+      reason: stripeDispute.reason,
+      status: stripeDispute.status,
+      evidenceDueBy: stripeDispute.evidence_details && stripeDispute.evidence_details.due_by
+        ? new Date(stripeDispute.evidence_details.due_by * 1000)
+        : undefined,
+      ...(eventType === 'charge.dispute.closed' && { closedAt: new Date() })
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  // Access and commission are withdrawn as soon as a chargeback is opened
+  for (const payment of payments.filter(p => p.status === 'completed')) {
+    await reversePayment(payment, 'disputed', `Disputed: ${stripeDispute.reason}`);
+  }
+
+  // A won dispute gives the buyer their access back. Reversed commissions stay
+  // reversed and can be reinstated by an admin after review.
+  if (eventType === 'charge.dispute.closed' && dispute.status === 'won') {
+    for (const payment of payments.filter(p => p.status === 'disputed')) {
+      payment.status = 'completed';
+      await payment.save();
+      await restoreCourseAccess(payment);
+    }
+  }
+
+  console.log(`Dispute ${stripeDispute.id} is ${stripeDispute.status}`);
+};
+
+// Settle the agent payout behind a Stripe transfer. The payout normally
+// completes when sendStripeTransfer creates the transfer; transfer.created
+// completes one left processing if that request died after Stripe accepted it.
+// A full reversal takes the money back from the agent.
+const handleAgentPayoutEvent = async (eventType, transfer) => {
+  const payout = await Payout.findOne({ stripeTransferId: transfer.id });
+
+  if (!payout) {
+    console.log(`No agent payout found for Stripe transfer ${transfer.id}`);
+    return;
+  }
+
+  if (eventType === 'transfer.created') {
+    if (payout.status === 'processing') {
+      await completePayout(payout, { paymentReference: transfer.id });
+    }
+    return;
+  }
+
+  if (transfer.amount_reversed < transfer.amount) {
+    console.warn(`Transfer ${transfer.id} was partly reversed, payout ${payout._id} needs manual review`);
+    return;
+  }
+
+  const reason = 'Stripe transfer was reversed';
+
+  if (payout.status === 'processing') {
+    await failPayout(payout, { reason });
+  } else if (payout.status === 'completed') {
+    await reversePayout(payout, { reason });
+  }
+};
+
+// Route a verified Stripe event to its handler
+const processStripeEvent = async (event) => {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      await handlePaymentIntentSucceeded(event.data.object);
+      break;
+
+    case 'payment_intent.payment_failed':
+      await handlePaymentIntentFailed(event.data.object);
+      break;
+
+    case 'payment_intent.canceled':
+      await handlePaymentIntentCanceled(event.data.object);
+      break;
+
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object);
+      break;
+
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed':
+      await handleChargeDispute(event.type, event.data.object);
+      break;
+
+    case 'account.updated':
+      await syncAccountStatus(event.data.object);
+      break;
+
+    case 'transfer.created':
+    case 'transfer.reversed':
+      await handleAgentPayoutEvent(event.type, event.data.object);
+      break;
+
+    default:
+      console.log('Unhandled Stripe event type:', event.type);
+  }
+};
+
+// Record an event in the StripeEvent ledger and claim it for processing.
+// Resolves to null when the event was already processed or is being processed.
+const claimStripeEvent = async (event) => {
+  try {
+    return await StripeEvent.create({
+      eventId: event.id,
+      type: event.type,
+      livemode: !!event.livemode,
+      payload: event
+    });
+  } catch (error) {
+    // Anything other than a duplicate event ID is a real error
+    if (error.code !== 11000) throw error;
+  }
+
+  // Seen before: only take it over if the last attempt failed or stalled
+  return StripeEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - STALE_EVENT_MS) } }
+      ]
+    },
+    {
+      status: 'processing',
+      lastAttemptAt: new Date(),
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Process a claimed event and store the outcome on its ledger entry
+const runStripeEvent = async (stripeEvent) => {
+  try {
+    await processStripeEvent(stripeEvent.payload);
+    stripeEvent.status = 'processed';
+    stripeEvent.processedAt = new Date();
+    stripeEvent.lastError = undefined;
+  } catch (error) {
+    console.error(`Error processing Stripe event ${stripeEvent.eventId}:`, error);
+    stripeEvent.status = 'failed';
+    stripeEvent.lastError = error.message;
+  }
+
+  await stripeEvent.save();
+  return stripeEvent;
+};
+
+// Verify a webhook with the platform endpoint's secret, falling back to the
+// Connect endpoint's secret that signs connected account events (account.updated)
+const constructWebhookEvent = (payload, signature) => {
+  try {
+    return stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    if (!process.env.STRIPE_CONNECT_WEBHOOK_SECRET) throw error;
+    return stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_CONNECT_WEBHOOK_SECRET);
+  }
+};
+
 // @desc    Stripe webhook for payment confirmation
 // @route   POST /api/payments/webhook
 // @access  Public
@@ -77,213 +630,111 @@ const handleWebhook = async (req, res) => {
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
+    event = constructWebhookEvent(req.body, sig);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the payment_intent.succeeded event
-  if (event.type === 'payment_intent.succeeded') {
-    const paymentIntent = event.data.object;
-    
-    try {
-      
-      // Extract metadata
-      const { userId, courseId } = paymentIntent.metadata;
-      
-      if (!userId || !courseId) {
-        return res.status(400).json({ error: 'Missing metadata' });
-      }
-      
-      // Find user and course
-      const user = await User.findById(userId);
-      const course = await Course.findById(courseId);
-      
-      if (!user) {
-        console.error('User not found:', userId);
-        return res.status(400).json({ error: 'User not found' });
-      }
-      
-      if (!course) {
-        console.error('Course not found:', courseId);
-        return res.status(400).json({ error: 'Course not found' });
-      }
+  try {
+    const stripeEvent = await claimStripeEvent(event);
 
-      // Check if payment already processed
-      const existingPayment = await Payment.findOne({ 
-        transactionId: paymentIntent.id 
-      });
-      
-      if (existingPayment) {
-        console.log('Payment already processed:', paymentIntent.id);
-        return res.status(200).json({ received: true });
-      }
+    if (!stripeEvent) {
+      console.log('Duplicate Stripe event skipped:', event.id);
+      return res.json({ received: true, duplicate: true });
+    }
 
-      // Check if user already purchased this course
-      if (user.coursesEnrolled.includes(courseId)) {
-        return res.status(200).json({ received: true });
-      }
+    await runStripeEvent(stripeEvent);
 
-      // Create payment record
-      const payment = new Payment({
-        user: userId,
-        course: courseId,
-        amount: paymentIntent.amount / 100,
-        paymentMethod: 'stripe',
-        transactionId: paymentIntent.id,
-        status: 'completed',
-        referralAgent: user.referredBy || null
-      });
+    // A non-2xx response makes Stripe retry the delivery
+    if (stripeEvent.status === 'failed') {
+      return res.status(400).json({ error: stripeEvent.lastError });
+    }
+  } catch (err) {
+    console.error('Error processing webhook:', err);
+    return res.status(400).json({ error: err.message });
+  }
 
-      await payment.save();
+  res.json({ received: true });
+};
 
-      // Create commission automatically if there's a referral agent
-      if (user.referredBy) {
-        try {
-          
-          // Find the referral agent
-          const referralAgent = await User.findById(user.referredBy);
-          
-          if (referralAgent && referralAgent.role === 'agent') {
-            // Calculate commission amount
-            const commissionAmount = (payment.amount * referralAgent.commissionRate / 100);
-
-            // Create commission record
-            const commission = new Commission({
-              agent: user.referredBy,
-              referral: userId,
-              payment: payment._id,
-              amount: commissionAmount,
-              status: 'pending', // Start as pending until admin pays out
-              commissionRate: referralAgent.commissionRate / 100,
-              originalAmount: payment.amount,
-              type: 'commission'
-            });
-
-            await commission.save();
-
-            // Update payment with commission status
-            payment.commissionStatus = 'pending';
-            await payment.save();
-          }
-        } catch (commissionError) {
-          // Don't fail the payment if commission creation fails
-        }
-      }
+// @desc    Get Stripe webhook events (Admin only)
+// @route   GET /api/admin/stripe-events
+// @access  Private (payments.view)
+const getStripeEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = 'failed', type } = req.query;
 
-      // Add course to purchased courses (separate from enrolled)
-      const purchaseRecord = {
-        courseId: courseId,
-        purchasedAt: new Date(),
-        accessExpires: null // Lifetime access
-      };
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (type) query.type = type;
 
-      // Check if already purchased
-      const alreadyPurchased = user.coursesPurchased.some(purchase => 
-        purchase.courseId.toString() === courseId
-      );
+    const events = await StripeEvent.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
 
-      if (!alreadyPurchased) {
-        user.coursesPurchased.push(purchaseRecord);
-      }
+    const total = await StripeEvent.countDocuments(query);
+    const pagination = generatePagination(page, limit, total);
 
-      // Enroll user in course (for immediate access)
-      if (!user.coursesEnrolled.includes(courseId)) {
-        user.coursesEnrolled.push(courseId);
-      }
+    res.json(createSuccessResponse({
+      events,
+      pagination
+    }));
 
-      await user.save();
+  } catch (error) {
+    console.error('Get Stripe events error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
 
-      // Generate PDF receipt and send purchase confirmation email
-      try {
-        const pdfBuffer = await generatePDFReceipt(user, course);
-        await sendCoursePurchaseEmail(user, course, pdfBuffer, payment);
-        console.log('Purchase confirmation email sent to:', user.email);
-      } catch (emailError) {
-        console.error('Error sending purchase confirmation email:', emailError);
-        // Don't fail the payment if email fails
-      }
+// @desc    Replay a failed Stripe webhook event (Admin only)
+// @route   POST /api/admin/stripe-events/:id/replay
+// @access  Private (payments.manage)
+const replayStripeEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
 
-      // Handle referral commission if applicable
-      if (user.referredBy) {
-        try {
-          const referrer = await User.findById(user.referredBy);
-          if (referrer && referrer.role === 'agent' && referrer.isActiveAgent) {
-            const commissionPercentage = referrer.commissionRate || parseFloat(process.env.COMMISSION_PERCENTAGE || 10);
-            const commissionAmount = (paymentIntent.amount / 100) * (commissionPercentage / 100);
-          
-            const commission = new Commission({
-              agent: user.referredBy,
-              referral: userId,
-              payment: payment._id,
-              amount: commissionAmount,
-              originalAmount: paymentIntent.amount / 100,
-              status: 'pending'
-            });
-          
-            await commission.save();
-            console.log('Commission record created:', commission._id);
-          
-            // Update payment record with commission info
-            payment.commissionAmount = commissionAmount;
-            payment.referralAgent = user.referredBy;
-            await payment.save();
-            console.log('Payment updated with commission info');
-          
-            await User.findByIdAndUpdate(user.referredBy, {
-              $inc: {
-                totalCommission: commissionAmount,
-                totalReferrals: 1
-              },
-              $addToSet: { referrals: userId }
-            });
-            console.log('Referrer stats updated:', user.referredBy);
-          }
-        } catch (commissionError) {
-          console.error('Error processing commission:', commissionError);
-          // Don't fail the payment if commission processing fails
-        }
-      }
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid event ID'));
+    }
 
-      console.log(`Payment processed successfully for user ${userId} for course ${courseId}`);
-    } catch (err) {
-      console.error('Error processing webhook:', err);
-      return res.status(400).json({ error: err.message });
+    // Claim the event so a concurrent Stripe retry cannot process it at the same time
+    const stripeEvent = await StripeEvent.findOneAndUpdate(
+      { _id: id, status: 'failed' },
+      {
+        status: 'processing',
+        lastAttemptAt: new Date(),
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+
+    if (!stripeEvent) {
+      const exists = await StripeEvent.exists({ _id: id });
+      if (!exists) {
+        return res.status(404).json(createErrorResponse('Stripe event not found', 404));
+      }
+      return res.status(400).json(createErrorResponse('Only failed events can be replayed'));
     }
-  }
 
-  // Handle payment_intent.payment_failed event
-  if (event.type === 'payment_intent.payment_failed') {
-    const paymentIntent = event.data.object;
-    console.log('Payment failed:', paymentIntent.id);
-    
-    try {
-      const { userId, courseId } = paymentIntent.metadata;
-      
-      // Log the failed payment
-      const payment = new Payment({
-        user: userId,
-        course: courseId,
-        amount: paymentIntent.amount / 100,
-        paymentMethod: 'stripe',
-        transactionId: paymentIntent.id,
-        status: 'failed',
-        referralAgent: null
-      });
+    await runStripeEvent(stripeEvent);
 
-      await payment.save();
-      console.log('Failed payment record created:', payment._id);
-    } catch (err) {
-      console.error('Error processing failed payment:', err);
+    const event = stripeEvent.toObject();
+    delete event.payload;
+
+    if (stripeEvent.status === 'failed') {
+      return res.status(400).json(createErrorResponse(`Replay failed: ${stripeEvent.lastError}`));
     }
-  }
 
-  res.json({ received: true });
+    res.json(createSuccessResponse({ event }, 'Stripe event replayed successfully'));
+
+  } catch (error) {
+    console.error('Replay Stripe event error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
 };
 
 // @desc    Get user's payment history
@@ -340,8 +791,8 @@ const getPaymentById = async (req, res) => {
       return res.status(404).json(createErrorResponse('Payment not found', 404));
     }
 
-    // Check if user owns this payment or is admin
-    if (payment.user._id.toString() !== req.user.userId && req.user.role !== 'admin') {
+    // Check if user owns this payment or is staff who can see payments
+    if (payment.user._id.toString() !== req.user.userId && !hasPermission(req.user, 'payments.view')) {
       return res.status(403).json(createErrorResponse('Access denied', 403));
     }
 
@@ -355,7 +806,7 @@ const getPaymentById = async (req, res) => {
 
 // @desc    Get payment statistics (Admin only)
 // @route   GET /api/payments/stats/overview
-// @access  Private (Admin only)
+// @access  Private (reports.view)
 const getPaymentStats = async (req, res) => {
   try {
     const totalPayments = await Payment.countDocuments();
@@ -363,9 +814,10 @@ const getPaymentStats = async (req, res) => {
     const pendingPayments = await Payment.countDocuments({ status: 'pending' });
     const failedPayments = await Payment.countDocuments({ status: 'failed' });
 
+    // Revenue is reported per currency, net of partial refunds
     const totalRevenue = await Payment.aggregate([
       { $match: { status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: '$currency', total: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } } } }
     ]);
 
     const monthlyRevenue = await Payment.aggregate([
@@ -374,14 +826,15 @@ const getPaymentStats = async (req, res) => {
         $group: {
           _id: {
             year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' }
+            month: { $month: '$createdAt' },
+            currency: '$currency'
           },
           total: { $sum: '$amount' },
           count: { $sum: 1 }
         }
       },
-      { $sort: { '_id.year': -1, '_id.month': -1 } },
-      { $limit: 12 }
+      { $sort: { '_id.year': -1, '_id.month': -1, '_id.currency': 1 } },
+      { $limit: 36 }
     ]);
 
     // Referral payment stats
@@ -391,7 +844,7 @@ const getPaymentStats = async (req, res) => {
 
     const referralRevenue = await Payment.aggregate([
       { $match: { status: 'completed', referralAgent: { $exists: true, $ne: null } } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } }
     ]);
 
     res.json(createSuccessResponse({
@@ -400,10 +853,10 @@ const getPaymentStats = async (req, res) => {
         completedPayments,
         pendingPayments,
         failedPayments,
-        totalRevenue: totalRevenue[0]?.total || 0,
+        totalRevenue: totalsByCurrency(totalRevenue),
         monthlyRevenue,
         referralPayments,
-        referralRevenue: referralRevenue[0]?.total || 0
+        referralRevenue: totalsByCurrency(referralRevenue)
       }
     }));
 
@@ -455,6 +908,11 @@ const getUserCommissions = async (req, res) => {
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
+    const availableEarnings = await Commission.aggregate([
+      { $match: { agent: user._id, status: 'available' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
     const pagination = generatePagination(page, limit, total);
 
     res.json(createSuccessResponse({
@@ -463,7 +921,9 @@ const getUserCommissions = async (req, res) => {
       earnings: {
         total: totalEarnings[0]?.total || 0,
         paid: paidEarnings[0]?.total || 0,
-        pending: pendingEarnings[0]?.total || 0
+        held: pendingEarnings[0]?.total || 0,
+        pending: pendingEarnings[0]?.total || 0, // Deprecated alias of held
+        available: availableEarnings[0]?.total || 0
       }
     }));
 
@@ -475,7 +935,7 @@ const getUserCommissions = async (req, res) => {
 
 // @desc    Process refund (Admin only)
 // @route   POST /api/payments/refund
-// @access  Private (Admin only)
+// @access  Private (payments.manage)
 const processRefund = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -483,7 +943,7 @@ const processRefund = async (req, res) => {
       return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
     }
 
-    const { paymentId, reason } = req.body;
+    const { paymentId, reason, amount } = req.body;
 
     if (!isValidObjectId(paymentId)) {
       return res.status(400).json(createErrorResponse('Invalid payment ID'));
@@ -498,44 +958,51 @@ const processRefund = async (req, res) => {
       return res.status(400).json(createErrorResponse('Payment is not completed'));
     }
 
+    // Refund what is left of this course's payment unless an amount is given.
+    // Cart checkouts share one payment intent, so never refund the whole intent.
+    const refundable = Math.round((payment.amount - (payment.refundedAmount || 0)) * 100) / 100;
+    const refundAmount = amount !== undefined ? Number(amount) : refundable;
+
+    if (refundAmount > refundable) {
+      return res.status(400).json(createErrorResponse(
+        `Refund amount cannot exceed the refundable balance of ${formatCurrency(refundable, payment.currency)}`
+      ));
+    }
+
     // Process refund through Stripe
     const refund = await stripe.refunds.create({
       payment_intent: payment.transactionId,
+      amount: Math.round(refundAmount * 100),
       reason: 'requested_by_customer',
       metadata: {
         reason: reason,
-        processedBy: req.user.userId
+        processedBy: req.user.userId,
+        paymentId: payment._id.toString()
       }
     });
 
-    // Update payment status
-    payment.status = 'refunded';
-    payment.refundReason = reason;
-    payment.refundedAt = new Date();
-    await payment.save();
-
-    // Handle commission reversal if applicable
-    if (payment.referralAgent) {
-      const commission = await Commission.findOne({ payment: payment._id });
-      if (commission && commission.status === 'pending') {
-        commission.status = 'cancelled';
-        commission.payoutNotes = `Refunded: ${reason}`;
-        await commission.save();
-
-        // Update agent's total commission
-        await User.findByIdAndUpdate(payment.referralAgent, {
-          $inc: { totalCommission: -commission.amount }
-        });
-      }
-    }
+    // Record the refund, reduce the commission in proportion and revoke course
+    // access once fully refunded. The charge.refunded webhook that follows only
+    // applies refunds that are not recorded yet.
+    await applyRefund(payment, refundAmount, reason, {
+      stripeRefundId: refund.id,
+      processedBy: req.user.userId
+    });
 
     res.json(createSuccessResponse({
       refund: {
         id: refund.id,
         amount: refund.amount / 100,
         status: refund.status
+      },
+      payment: {
+        id: payment._id,
+        status: payment.status,
+        amount: payment.amount,
+        refundedAmount: payment.refundedAmount,
+        refunds: payment.refunds
       }
-    }, 'Refund processed successfully'));
+    }, payment.status === 'refunded' ? 'Refund processed successfully' : 'Partial refund processed successfully'));
 
   } catch (error) {
     console.error('Refund error:', error);
@@ -548,144 +1015,28 @@ const processRefund = async (req, res) => {
 // @access  Private
 const manualPaymentConfirm = async (req, res) => {
   try {
-    const { paymentIntentId, courseId } = req.body;
-    
-    if (!paymentIntentId || !courseId) {
-      return res.status(400).json(createErrorResponse('Payment intent ID and course ID are required'));
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
     }
 
-    console.log('Manual payment confirmation:', { paymentIntentId, courseId });
+    const { paymentIntentId } = req.body;
 
-    // Find the payment intent
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    
-    console.log('Payment intent status:', paymentIntent.status);
-    console.log('Payment intent amount:', paymentIntent.amount);
-    
+
     if (paymentIntent.status !== 'succeeded') {
       return res.status(400).json(createErrorResponse('Payment not succeeded'));
     }
 
-    const userId = req.user.userId;
-    console.log('User ID from token:', userId);
-
-    // Find user and course
-    const user = await User.findById(userId);
-    const course = await Course.findById(courseId);
-    
-    console.log('User found:', !!user);
-    console.log('Course found:', !!course);
-    
-    if (!user || !course) {
-      return res.status(404).json(createErrorResponse('User or course not found'));
-    }
-
-    console.log('User before update:', {
-      coursesEnrolled: user.coursesEnrolled,
-      coursesPurchased: user.coursesPurchased
-    });
-
-    // Check if payment already processed
-    const existingPayment = await Payment.findOne({ 
-      transactionId: paymentIntentId 
-    });
-    
-    if (existingPayment) {
-      return res.status(400).json(createErrorResponse('Payment already processed'));
-    }
-
-    // Create payment record
-    const payment = new Payment({
-      user: userId,
-      course: courseId,
-      amount: paymentIntent.amount / 100,
-      paymentMethod: 'stripe',
-      transactionId: paymentIntentId,
-      status: 'completed',
-      referralAgent: user.referredBy || null
-    });
-
-    await payment.save();
-
-    // Create commission automatically if there's a referral agent
-    if (user.referredBy) {
-      try {
-        console.log('Creating commission for referral agent:', user.referredBy);
-        
-        // Find the referral agent
-        const referralAgent = await User.findById(user.referredBy);
-        
-        if (referralAgent && referralAgent.role === 'agent') {
-          // Calculate commission amount
-          const commissionAmount = (payment.amount * referralAgent.commissionRate / 100);
-          
-          console.log('Commission calculation:', {
-            paymentAmount: payment.amount,
-            commissionRate: referralAgent.commissionRate,
-            commissionAmount: commissionAmount
-          });
-
-          // Create commission record
-          const commission = new Commission({
-            agent: user.referredBy,
-            referral: userId,
-            payment: payment._id,
-            amount: commissionAmount,
-            status: 'pending', // Start as pending until admin pays out
-            commissionRate: referralAgent.commissionRate / 100,
-            originalAmount: payment.amount,
-            type: 'commission'
-          });
-
-          await commission.save();
-          console.log('Commission created:', commission._id);
-
-          // Update payment with commission status
-          payment.commissionStatus = 'pending';
-          await payment.save();
-          console.log('Payment updated with commission status');
-        }
-      } catch (commissionError) {
-        console.error('Error creating commission:', commissionError);
-        // Don't fail the payment if commission creation fails
-      }
-    }
-
-    // Add course to purchased courses
-    const purchaseRecord = {
-      courseId: courseId,
-      purchasedAt: new Date(),
-      accessExpires: null
-    };
-
-    const alreadyPurchased = user.coursesPurchased.some(purchase => 
-      purchase.courseId.toString() === courseId
-    );
-
-    if (!alreadyPurchased) {
-      user.coursesPurchased.push(purchaseRecord);
-    }
-
-    // Enroll user in course
-    if (!user.coursesEnrolled.includes(courseId)) {
-      user.coursesEnrolled.push(courseId);
+    if (paymentIntent.metadata.userId !== req.user.userId) {
+      return res.status(403).json(createErrorResponse('Access denied', 403));
     }
 
-    await user.save();
+    // Same fulfilment as the webhook: every course in a cart, renewals extend
+    // access, and courses already recorded for this intent are skipped
+    await handlePaymentIntentSucceeded(paymentIntent);
 
-    console.log('User after update:', {
-      coursesEnrolled: user.coursesEnrolled,
-      coursesPurchased: user.coursesPurchased
-    });
-
-    // Send email
-    try {
-      const pdfBuffer = await generatePDFReceipt(user, course);
-      await sendCoursePurchaseEmail(user, course, pdfBuffer, payment);
-      console.log('Purchase confirmation email sent successfully');
-    } catch (emailError) {
-      console.error('Error sending email:', emailError);
-    }
+    const user = await User.findById(req.user.userId).select('coursesEnrolled coursesPurchased');
 
     res.json(createSuccessResponse({ 
       message: 'Payment confirmed successfully',
@@ -732,6 +1083,7 @@ const debugUserPurchases = async (req, res) => {
 module.exports = {
   testWebhook,
   createPaymentIntent,
+  createRenewalPaymentIntent,
   handleWebhook,
   getUserPayments,
   getPaymentById,
@@ -739,5 +1091,7 @@ module.exports = {
   getUserCommissions,
   processRefund,
   manualPaymentConfirm,
-  debugUserPurchases
+  debugUserPurchases,
+  getStripeEvents,
+  replayStripeEvent
 }; 
\ No newline at end of file
@@ -0,0 +1,217 @@
+const { validationResult } = require('express-validator');
+const PayoutBatch = require('../models/PayoutBatch');
+const {
+  createPayoutBatch: buildPayoutBatch,
+  confirmPayoutBatch: confirmBatch,
+  cancelPayoutBatch: cancelBatch
+} = require('../services/payoutBatchService');
+const {
+  generatePagination,
+  createErrorResponse,
+  createSuccessResponse,
+  isValidObjectId
+} = require('../Utils/utils');
+
+// @desc    Get all payout batches (Admin only)
+// @route   GET /api/admin/payout-batches
+// @access  Private (payouts.view)
+const getAllPayoutBatches = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, format } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (format) query.format = format;
+
+    const batches = await PayoutBatch.find(query)
+      .select('-fileContent')
+      .populate('createdBy', 'username firstName lastName')
+      .populate('sentBy', 'username firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await PayoutBatch.countDocuments(query);
+    const pagination = generatePagination(page, limit, total);
+
+    res.json(createSuccessResponse({
+      batches,
+      pagination
+    }));
+
+  } catch (error) {
+    console.error('Get payout batches error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Get payout batch with its payouts (Admin only)
+// @route   GET /api/admin/payout-batches/:id
+// @access  Private (payouts.view)
+const getPayoutBatchById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid batch ID'));
+    }
+
+    const batch = await PayoutBatch.findById(id)
+      .select('-fileContent')
+      .populate({
+        path: 'payouts',
+        select: 'agent amount currency status completedAt failureReason',
+        populate: { path: 'agent', select: 'username email firstName lastName' }
+      })
+      .populate('createdBy', 'username firstName lastName')
+      .populate('sentBy', 'username firstName lastName');
+
+    if (!batch) {
+      return res.status(404).json(createErrorResponse('Payout batch not found', 404));
+    }
+
+    res.json(createSuccessResponse({ batch }));
+
+  } catch (error) {
+    console.error('Get payout batch error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Create a bank payment file from approved payout requests (Admin only)
+// @route   POST /api/admin/payout-batches
+// @access  Private (payouts.execute)
+const createPayoutBatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { payoutRequestIds, format, processingDate } = req.body;
+
+    const result = await buildPayoutBatch({
+      payoutRequestIds,
+      format,
+      processingDate,
+      adminId: req.user.userId
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        ...createErrorResponse(result.error, result.statusCode),
+        details: result.details
+      });
+    }
+
+    const batch = result.batch.toObject();
+    delete batch.fileContent;
+
+    res.status(201).json(createSuccessResponse({
+      batch,
+      skipped: result.skipped
+    }, 'Payout batch created, download the file and confirm once it has been sent to the bank'));
+
+  } catch (error) {
+    console.error('Create payout batch error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Download a payout batch's bank file (Admin only)
+// @route   GET /api/admin/payout-batches/:id/file
+// @access  Private (payouts.execute)
+const downloadPayoutBatchFile = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid batch ID'));
+    }
+
+    const batch = await PayoutBatch.findById(id);
+    if (!batch) {
+      return res.status(404).json(createErrorResponse('Payout batch not found', 404));
+    }
+
+    res.setHeader('Content-Type', batch.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${batch.fileName}"`);
+    res.send(batch.fileContent);
+
+  } catch (error) {
+    console.error('Download payout batch error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Confirm a payout batch was sent to the bank (Admin only)
+// @route   PUT /api/admin/payout-batches/:id/confirm
+// @access  Private (payouts.execute)
+const confirmPayoutBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid batch ID'));
+    }
+
+    const batch = await PayoutBatch.findById(id).select('-fileContent');
+    if (!batch) {
+      return res.status(404).json(createErrorResponse('Payout batch not found', 404));
+    }
+
+    const result = await confirmBatch(batch, { adminId: req.user.userId });
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    res.json(createSuccessResponse({ batch: result.batch }, 'Payout batch marked as sent, its payouts complete when a bank statement confirms them'));
+
+  } catch (error) {
+    console.error('Confirm payout batch error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Cancel a payout batch that will not be sent (Admin only)
+// @route   PUT /api/admin/payout-batches/:id/cancel
+// @access  Private (payouts.execute)
+const cancelPayoutBatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid batch ID'));
+    }
+
+    const batch = await PayoutBatch.findById(id).select('-fileContent');
+    if (!batch) {
+      return res.status(404).json(createErrorResponse('Payout batch not found', 404));
+    }
+
+    const result = await cancelBatch(batch, { adminId: req.user.userId, reason: req.body.reason });
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    res.json(createSuccessResponse({ batch: result.batch }, 'Payout batch cancelled, its payout requests can be batched again'));
+
+  } catch (error) {
+    console.error('Cancel payout batch error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+module.exports = {
+  getAllPayoutBatches,
+  getPayoutBatchById,
+  createPayoutBatch,
+  downloadPayoutBatchFile,
+  confirmPayoutBatch,
+  cancelPayoutBatch
+};
@@ -2,6 +2,19 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Commission = require('../models/Commission');
 const Payment = require('../models/Payment');
+const AgentLedgerEntry = require('../models/AgentLedgerEntry');
+const Payout = require('../models/Payout');
+const { getAgentBalances } = require('../services/ledgerService');
+const { createPayoutRequest } = require('../services/payoutService');
+const { getPlatformSettings } = require('../services/settingsService');
+const {
+  generateRemittancePDF,
+  getMonthlyStatement,
+  generateStatementPDF,
+  generateStatementCSV
+} = require('../services/agentStatementService');
+const { createOnboardingLink, syncAccountStatus } = require('../services/stripeConnectService');
+const stripe = require('../services/stripeClient');
 const { 
   generatePagination,
   createErrorResponse,
@@ -9,6 +22,31 @@ const {
   isValidObjectId
 } = require('../Utils/utils');
 
+// Split an agent's commission between their own referrals (tier 1) and the
+// overrides earned on sales made by their downline of sub-agents
+const getTierBreakdown = async (agentId) => {
+  const tiers = await Commission.aggregate([
+    { $match: { agent: agentId, status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: { $ifNull: ['$tier', 1] },
+        total: { $sum: '$amount' },
+        count: { $sum: { $cond: [{ $eq: ['$type', 'adjustment'] }, 0, 1] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const byTier = tiers.map(tier => ({ tier: tier._id, total: tier.total, count: tier.count }));
+  const sumTiers = (list) => list.reduce((sum, tier) => sum + tier.total, 0);
+
+  return {
+    directCommission: sumTiers(byTier.filter(tier => tier.tier === 1)),
+    downlineCommission: sumTiers(byTier.filter(tier => tier.tier > 1)),
+    byTier
+  };
+};
+
 // @desc    Get user's referral code
 // @route   GET /api/referrals/code
 // @access  Private
@@ -120,7 +158,7 @@ const getReferralStats = async (req, res) => {
 
     // Get referrals who made purchases
     const referralsWithPurchases = await Commission.aggregate([
-      { $match: { agent: user._id } },
+      { $match: { agent: user._id, tier: { $in: [1, null] } } },
       {
         $lookup: {
           from: 'users',
@@ -154,12 +192,18 @@ const getReferralStats = async (req, res) => {
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
-    // Calculate pending commission
+    // Calculate commission still in its hold period
     const pendingCommission = await Commission.aggregate([
       { $match: { agent: user._id, status: 'pending' } },
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
+    // Calculate commission that can be paid out
+    const availableCommission = await Commission.aggregate([
+      { $match: { agent: user._id, status: 'available' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
     // Get monthly referral stats
     const monthlyStats = await User.aggregate([
       { $match: { referredBy: user._id } },
@@ -176,14 +220,26 @@ const getReferralStats = async (req, res) => {
       { $limit: 12 }
     ]);
 
+    // Sub-agents recruited by this agent and the overrides earned through them
+    const downlineAgents = await User.countDocuments({ referredBy: user._id, role: 'agent' });
+    const tierBreakdown = await getTierBreakdown(user._id);
+    const { minimumPayoutAmount } = await getPlatformSettings();
+
     res.json(createSuccessResponse({
       stats: {
         totalReferrals,
         referralsWithPurchases,
         totalCommission: totalCommission[0]?.total || 0,
         paidCommission: paidCommission[0]?.total || 0,
-        pendingCommission: pendingCommission[0]?.total || 0,
-        monthlyStats
+        heldCommission: pendingCommission[0]?.total || 0,
+        pendingCommission: pendingCommission[0]?.total || 0, // Deprecated alias of heldCommission
+        availableCommission: availableCommission[0]?.total || 0,
+        minimumPayoutAmount,
+        monthlyStats,
+        downline: {
+          agents: downlineAgents,
+          ...tierBreakdown
+        }
       }
     }));
 
@@ -195,7 +251,7 @@ const getReferralStats = async (req, res) => {
 
 // @desc    Get top performing agents (Admin only)
 // @route   GET /api/referrals/top-agents
-// @access  Private (Admin only)
+// @access  Private (reports.view)
 const getTopAgents = async (req, res) => {
   try {
     const { limit = 10 } = req.query;
@@ -256,6 +312,10 @@ const becomeAgent = async (req, res) => {
       return res.status(400).json(createErrorResponse('Already an agent'));
     }
 
+    if (!user.emailVerifiedAt) {
+      return res.status(403).json(createErrorResponse('Please verify your email address before applying to become an agent', 403));
+    }
+
     // Update user to agent role
     user.role = 'agent';
     user.firstName = firstName;
@@ -320,6 +380,77 @@ const updateAgentProfile = async (req, res) => {
   }
 };
 
+// @desc    Get agent's tax profile (the tax ID is only shown by its last 4 characters)
+// @route   GET /api/referrals/tax-profile
+// @access  Private
+const getTaxProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || user.role !== 'agent') {
+      return res.status(403).json(createErrorResponse('Agent access required', 403));
+    }
+
+    res.json(createSuccessResponse({
+      taxProfile: user.taxProfile && user.taxProfile.submittedAt ? user.taxProfile : null
+    }));
+
+  } catch (error) {
+    console.error('Get tax profile error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Submit or update agent's tax profile
+// @route   PUT /api/referrals/tax-profile
+// @access  Private
+const updateTaxProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user || user.role !== 'agent') {
+      return res.status(403).json(createErrorResponse('Agent access required', 403));
+    }
+
+    const { entityType, legalName, businessName, taxId, vatNumber, address } = req.body;
+
+    // A changed profile has to be verified again
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user.userId,
+      {
+        taxProfile: {
+          entityType,
+          legalName,
+          businessName: entityType === 'business' ? businessName : undefined,
+          taxId,
+          taxIdLast4: taxId.slice(-4),
+          vatNumber,
+          address: {
+            line1: address.line1,
+            line2: address.line2,
+            city: address.city,
+            state: address.state,
+            postalCode: address.postalCode,
+            country: address.country.toUpperCase()
+          },
+          submittedAt: new Date(),
+          isVerified: false
+        }
+      },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    res.json(createSuccessResponse({ taxProfile: updatedUser.taxProfile }, 'Tax profile submitted, an admin will verify it'));
+
+  } catch (error) {
+    console.error('Update tax profile error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
 // @desc    Get agent dashboard data
 // @route   GET /api/referrals/agent-dashboard
 // @access  Private
@@ -355,6 +486,16 @@ const getAgentDashboard = async (req, res) => {
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
+    const availableCommission = await Commission.aggregate([
+      { $match: { agent: user._id, status: 'available' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    // Next held commission to come out of its hold period
+    const nextRelease = await Commission.findOne({ agent: user._id, status: 'pending' })
+      .sort({ availableAt: 1 })
+      .select('amount availableAt');
+
     const paidCommission = await Commission.aggregate([
       { $match: { agent: user._id, status: 'paid' } },
       { $group: { _id: null, total: { $sum: '$amount' } } }
@@ -377,6 +518,13 @@ const getAgentDashboard = async (req, res) => {
       { $limit: 6 }
     ]);
 
+    // Sub-agents recruited by this agent and the overrides earned through them
+    const downlineAgents = await User.find({ referredBy: user._id, role: 'agent' })
+      .select('username firstName lastName isActiveAgent createdAt')
+      .sort({ createdAt: -1 });
+    const tierBreakdown = await getTierBreakdown(user._id);
+    const { minimumPayoutAmount } = await getPlatformSettings();
+
     res.json(createSuccessResponse({
       dashboard: {
         user: {
@@ -393,8 +541,16 @@ const getAgentDashboard = async (req, res) => {
         stats: {
           totalReferrals,
           totalCommission: totalCommission[0]?.total || 0,
-          pendingCommission: pendingCommission[0]?.total || 0,
-          paidCommission: paidCommission[0]?.total || 0
+          heldCommission: pendingCommission[0]?.total || 0,
+          pendingCommission: pendingCommission[0]?.total || 0, // Deprecated alias of heldCommission
+          availableCommission: availableCommission[0]?.total || 0,
+          paidCommission: paidCommission[0]?.total || 0,
+          nextRelease,
+          minimumPayoutAmount
+        },
+        downline: {
+          agents: downlineAgents,
+          ...tierBreakdown
         },
         monthlyPerformance
       }
@@ -416,55 +572,215 @@ const requestPayout = async (req, res) => {
       return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
     }
 
-    const { amount, payoutMethod } = req.body;
+    const { amount, payoutMethod, currency } = req.body;
 
     const user = await User.findById(req.user.userId);
     if (!user || user.role !== 'agent') {
       return res.status(403).json(createErrorResponse('Agent access required', 403));
     }
 
-    if (!user.isActiveAgent) {
-      return res.status(400).json(createErrorResponse('Agent account not approved'));
+    // Commissions stay available until an admin approves and sends the payout
+    const result = await createPayoutRequest(user, {
+      amount,
+      currency,
+      paymentMethod: payoutMethod
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
     }
 
-    // Check if user has enough pending commission
-    const pendingCommissions = await Commission.aggregate([
-      { $match: { agent: user._id, status: 'pending' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
-    ]);
+    res.status(201).json(createSuccessResponse({
+      payoutRequest: result.payoutRequest
+    }, 'Payout request submitted successfully'));
 
-    const availableAmount = pendingCommissions[0]?.total || 0;
-    if (amount > availableAmount) {
-      return res.status(400).json(createErrorResponse(`Insufficient pending commission. Available: $${availableAmount}`));
+  } catch (error) {
+    console.error('Request payout error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Get agent's ledger with running balance
+// @route   GET /api/referrals/ledger
+// @access  Private
+const getMyLedger = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || user.role !== 'agent') {
+      return res.status(403).json(createErrorResponse('Agent access required', 403));
     }
 
-    // Update commissions to paid status
-    const commissionsToUpdate = await Commission.find({ 
-      agent: user._id, 
-      status: 'pending' 
-    }).limit(Math.ceil(amount / 10)); // Approximate number of commissions to update
-
-    let totalUpdated = 0;
-    for (const commission of commissionsToUpdate) {
-      if (totalUpdated + commission.amount <= amount) {
-        commission.status = 'paid';
-        commission.paidAt = new Date();
-        commission.payoutMethod = payoutMethod;
-        await commission.save();
-        totalUpdated += commission.amount;
-      }
+    const { page = 1, limit = 20, currency, type } = req.query;
+
+    const query = { agent: user._id };
+    if (currency) query.currency = currency;
+    if (type) query.type = type;
+
+    const entries = await AgentLedgerEntry.find(query)
+      .populate('payment', 'amount currency course createdAt')
+      .populate('payout', 'amount currency paymentMethod paymentReference completedAt')
+      .sort({ createdAt: -1, sequence: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await AgentLedgerEntry.countDocuments(query);
+    const pagination = generatePagination(page, limit, total);
+
+    res.json(createSuccessResponse({
+      balances: await getAgentBalances(user._id),
+      entries,
+      pagination
+    }));
+
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Start or resume Stripe Connect onboarding for payouts
+// @route   POST /api/referrals/stripe-connect/onboarding
+// @access  Private
+const createStripeOnboardingLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
     }
 
+    const user = await User.findById(req.user.userId);
+    if (!user || user.role !== 'agent') {
+      return res.status(403).json(createErrorResponse('Agent access required', 403));
+    }
+
+    const onboarding = await createOnboardingLink(user, req.body.country);
+
     res.json(createSuccessResponse({
-      payout: {
-        amount: totalUpdated,
-        method: payoutMethod,
-        processedCommissions: commissionsToUpdate.length
-      }
-    }, 'Payout request submitted successfully'));
+      onboarding,
+      stripeAccountStatus: user.stripeAccountStatus
+    }, 'Stripe onboarding link created successfully'));
 
   } catch (error) {
-    console.error('Request payout error:', error);
+    console.error('Create Stripe onboarding link error:', error);
+    if (error.type && error.type.startsWith('Stripe')) {
+      return res.status(502).json(createErrorResponse(`Stripe error: ${error.message}`, 502));
+    }
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Get agent's Stripe Connect account status, refreshed from Stripe
+// @route   GET /api/referrals/stripe-connect/status
+// @access  Private
+const getStripeAccountStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || user.role !== 'agent') {
+      return res.status(403).json(createErrorResponse('Agent access required', 403));
+    }
+
+    if (!user.stripeAccountId) {
+      return res.json(createSuccessResponse({
+        connected: false,
+        stripeAccountStatus: user.stripeAccountStatus
+      }));
+    }
+
+    const account = await stripe.accounts.retrieve(user.stripeAccountId);
+    const updatedUser = await syncAccountStatus(account);
+
+    res.json(createSuccessResponse({
+      connected: true,
+      stripeAccountId: account.id,
+      stripeAccountStatus: updatedUser.stripeAccountStatus,
+      detailsSubmitted: account.details_submitted,
+      payoutsEnabled: account.payouts_enabled,
+      requirementsDue: account.requirements ? account.requirements.currently_due : []
+    }));
+
+  } catch (error) {
+    console.error('Get Stripe account status error:', error);
+    if (error.type && error.type.startsWith('Stripe')) {
+      return res.status(502).json(createErrorResponse(`Stripe error: ${error.message}`, 502));
+    }
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Download a monthly earnings statement as PDF or CSV
+// @route   GET /api/referrals/statements/:year/:month
+// @access  Private
+const downloadMonthlyStatement = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || user.role !== 'agent') {
+      return res.status(403).json(createErrorResponse('Agent access required', 403));
+    }
+
+    const year = parseInt(req.params.year);
+    const month = parseInt(req.params.month);
+    const { format = 'pdf' } = req.query;
+
+    if (!(year >= 2000 && year <= 9999) || !(month >= 1 && month <= 12)) {
+      return res.status(400).json(createErrorResponse('Invalid statement month'));
+    }
+
+    if (!['pdf', 'csv'].includes(format)) {
+      return res.status(400).json(createErrorResponse('Format must be pdf or csv'));
+    }
+
+    const statement = await getMonthlyStatement(user, year, month);
+    const fileName = `statement_${year}-${String(month).padStart(2, '0')}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      return res.send(generateStatementCSV(statement));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(await generateStatementPDF(user, statement));
+
+  } catch (error) {
+    console.error('Download monthly statement error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Download the remittance advice of a completed payout
+// @route   GET /api/referrals/payouts/:id/remittance
+// @access  Private
+const downloadPayoutRemittance = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(createErrorResponse('Invalid payout ID'));
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user || user.role !== 'agent') {
+      return res.status(403).json(createErrorResponse('Agent access required', 403));
+    }
+
+    const payout = await Payout.findOne({ _id: id, agent: user._id });
+    if (!payout) {
+      return res.status(404).json(createErrorResponse('Payout not found', 404));
+    }
+
+    if (payout.status !== 'completed') {
+      return res.status(400).json(createErrorResponse('Remittance advice is only available for completed payouts'));
+    }
+
+    const pdfBuffer = await generateRemittancePDF(user, payout);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="remittance_${payout._id}.pdf"`);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    console.error('Download payout remittance error:', error);
     res.status(500).json(createErrorResponse('Server error', 500));
   }
 };
@@ -477,6 +793,13 @@ module.exports = {
   getTopAgents,
   becomeAgent,
   updateAgentProfile,
+  getTaxProfile,
+  updateTaxProfile,
   getAgentDashboard,
-  requestPayout
+  requestPayout,
+  getMyLedger,
+  createStripeOnboardingLink,
+  getStripeAccountStatus,
+  downloadMonthlyStatement,
+  downloadPayoutRemittance
 }; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+const { validationResult } = require('express-validator');
+const { getPlatformSettings, updatePlatformSettings } = require('../services/settingsService');
+const { runScheduledPayouts } = require('../services/payoutScheduleService');
+const {
+  createErrorResponse,
+  createSuccessResponse
+} = require('../Utils/utils');
+
+// @desc    Get platform settings (Admin only)
+// @route   GET /api/admin/settings
+// @access  Private (settings.manage)
+const getSettings = async (req, res) => {
+  try {
+    const settings = await getPlatformSettings();
+
+    res.json(createSuccessResponse({ settings }));
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Update the minimum payout and payout schedule (Admin only)
+// @route   PUT /api/admin/settings
+// @access  Private (settings.manage)
+const updateSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { minimumPayoutAmount, payoutSchedule } = req.body;
+
+    const settings = await updatePlatformSettings({ minimumPayoutAmount, payoutSchedule }, req.user.userId);
+
+    res.json(createSuccessResponse({ settings }, 'Settings updated successfully'));
+
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Run the scheduled payout run now (Admin only)
+// @route   POST /api/admin/payout-runs
+// @access  Private (payouts.execute)
+const runPayoutSchedule = async (req, res) => {
+  try {
+    const { created, skipped } = await runScheduledPayouts();
+
+    res.status(201).json(createSuccessResponse({
+      payoutRequests: created,
+      skipped
+    }, `${created.length} payout request(s) created and approved for sign-off`));
+
+  } catch (error) {
+    console.error('Run payout schedule error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  runPayoutSchedule
+};
@@ -0,0 +1,236 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createSession, verifyLoginChallenge } = require('../services/sessionService');
+const {
+  startEnrolment,
+  confirmEnrolment,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactorService');
+const { verifyTwoFactorAttempt } = require('../services/loginProtectionService');
+const {
+  comparePassword,
+  sanitizeUser,
+  createErrorResponse,
+  createSuccessResponse
+} = require('../Utils/utils');
+const { isStaff } = require('../Utils/permissions');
+
+// Send the error from verifyTwoFactorAttempt, with Retry-After if the account is locked
+const sendTwoFactorError = (res, result) => {
+  if (result.retryAfter) {
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(result.statusCode).json({
+      ...createErrorResponse(result.error, result.statusCode),
+      retryAfter: result.retryAfter
+    });
+  }
+  return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+};
+
+// @desc    Start 2FA enrolment: returns a new secret and its otpauth URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await startEnrolment(req.user.userId);
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    res.json(createSuccessResponse({
+      secret: result.secret,
+      otpauthUri: result.otpauthUri
+    }, 'Scan the code with your authenticator app, then confirm it with a code'));
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Confirm 2FA enrolment with a code; returns the recovery codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const result = await confirmEnrolment(req.user.userId, req.body.code);
+    if (result.error) {
+      return res.status(result.statusCode).json(createErrorResponse(result.error, result.statusCode));
+    }
+
+    // The code just given counts as passing 2FA on this session
+    await Session.updateOne({ _id: req.user.sessionId }, { twoFactorVerifiedAt: new Date() });
+
+    res.json(createSuccessResponse({
+      recoveryCodes: result.recoveryCodes
+    }, 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they will not be shown again.'));
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Finish a two-step login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/login
+// @access  Public
+const loginWithTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json(createErrorResponse('Login expired, please log in again', 401));
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json(createErrorResponse('Login expired, please log in again', 401));
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const result = await verifyTwoFactorAttempt(req, user, { code, recoveryCode }, { allowRecoveryCode: true });
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+
+    const { token, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+
+    res.json(createSuccessResponse({
+      token,
+      refreshToken,
+      user: sanitizeUser(user),
+      ...(result.usedRecoveryCode && { recoveryCodesLeft: result.recoveryCodesLeft })
+    }, 'Login successful'));
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Pass 2FA on the current session, e.g. one started before 2FA was enabled
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+const verifyTwoFactorSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    const result = await verifyTwoFactorAttempt(req, user, { code, recoveryCode }, { allowRecoveryCode: true });
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+
+    await Session.updateOne({ _id: req.user.sessionId }, { twoFactorVerifiedAt: new Date() });
+
+    res.json(createSuccessResponse({
+      ...(result.usedRecoveryCode && { recoveryCodesLeft: result.recoveryCodesLeft })
+    }, 'Two-factor verification successful'));
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Replace the recovery codes; the old ones stop working
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    const result = await verifyTwoFactorAttempt(req, user, { code: req.body.code });
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.userId);
+
+    res.json(createSuccessResponse({ recoveryCodes }, 'Recovery codes regenerated'));
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// @desc    Turn 2FA off (not allowed for admins and other staff)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    if (isStaff(user)) {
+      return res.status(403).json(createErrorResponse('Two-factor authentication is mandatory for staff', 403));
+    }
+
+    const isMatch = await comparePassword(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json(createErrorResponse('Password is incorrect'));
+    }
+
+    const result = await verifyTwoFactorAttempt(req, user, { code });
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+
+    await disableTwoFactor(user._id);
+
+    res.json(createSuccessResponse({}, 'Two-factor authentication disabled'));
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  loginWithTwoFactor,
+  verifyTwoFactorSession,
+  regenerateTwoFactorRecoveryCodes,
+  disableTwoFactorAuth
+};
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const User = require('./models/User');
-const { hashPassword, generateReferralCode } = require('./Utils/utils');
+const crypto = require('crypto');
+const { generateReferralCode } = require('./Utils/utils');
 
 // Load environment variables
 require('dotenv').config();
@@ -21,27 +22,34 @@ const createAdminUser = async () => {
       return;
     }
 
-    // Create admin user
-    const hashedPassword = await hashPassword('admin123');
+    // Use ADMIN_PASSWORD if set, otherwise a random one shown only here
+    const email = process.env.ADMIN_EMAIL || 'admin@courseportal.com';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
     const referralCode = generateReferralCode();
 
     const adminUser = new User({
       username: 'admin',
-      email: 'admin@courseportal.com',
-      password: hashedPassword,
+      email,
+      password, // The User model hashes it
       role: 'admin',
       referralCode,
       firstName: 'Admin',
       lastName: 'User',
+      phone: 'N/A',
+      country: 'N/A',
+      emailVerifiedAt: new Date(),
       isActiveAgent: true,
       agentApprovedAt: new Date()
     });
 
     await adminUser.save();
     console.log('Admin user created successfully!');
-    console.log('Email: admin@courseportal.com');
-    console.log('Password: admin123');
+    console.log(`Email: ${email}`);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log(`Password: ${password}`);
+    }
     console.log('Role: admin');
+    console.log('Log in and set up two-factor authentication (POST /api/auth/2fa/setup) before using admin routes.');
 
   } catch (error) {
     console.error('Error creating admin user:', error);
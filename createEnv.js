@@ -10,7 +10,14 @@ MONGODB_URI=mongodb://localhost:27017/course-portal
 
 # JWT Configuration
 JWT_SECRET=your-super-secret-jwt-key-change-this-in-production
-JWT_EXPIRE=30d
+# Access tokens are short-lived; clients renew them with a refresh token
+ACCESS_TOKEN_EXPIRE=15m
+REFRESH_TOKEN_DAYS=30
+# Name shown in authenticator apps
+TWO_FACTOR_ISSUER=Course Portal
+# Failed logins before an account is locked, and for how long
+LOGIN_LOCKOUT_THRESHOLD=10
+LOGIN_LOCKOUT_MINUTES=30
 
 # Frontend URL (for CORS)
 FRONTEND_URL=http://localhost:5173
@@ -18,9 +25,29 @@ FRONTEND_URL=http://localhost:5173
 # Stripe Configuration (for payments)
 STRIPE_SECRET_KEY=sk_test_your_stripe_secret_key
 STRIPE_PUBLISHABLE_KEY=pk_test_your_stripe_publishable_key
+STRIPE_WEBHOOK_SECRET=whsec_your_webhook_secret
+# Signing secret of the Connect webhook endpoint (account.updated)
+STRIPE_CONNECT_WEBHOOK_SECRET=
+# Send Stripe API calls elsewhere, e.g. http://localhost:12111 for stripe-mock
+STRIPE_API_URL=
 
 # Commission Configuration
 COMMISSION_PERCENTAGE=10
+# Days before a new commission can be paid out
+COMMISSION_HOLD_DAYS=30
+# Minutes an unpaid checkout keeps its coupon use
+COUPON_RESERVATION_MINUTES=60
+# Override percentages for the agents above the direct agent, e.g. 3,1 (empty = none)
+REFERRAL_OVERRIDE_PERCENTAGES=
+
+# Bank payout files (BACS Standard 18 and SEPA pain.001)
+BACS_SERVICE_USER_NUMBER=
+BACS_ORIGINATOR_SORT_CODE=
+BACS_ORIGINATOR_ACCOUNT_NUMBER=
+BACS_ORIGINATOR_NAME=
+SEPA_DEBTOR_NAME=
+SEPA_DEBTOR_IBAN=
+SEPA_DEBTOR_BIC=
 `;
 
 const envPath = path.join(__dirname, '.env');
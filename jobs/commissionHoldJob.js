@@ -0,0 +1,28 @@
+const { releaseMaturedCommissions } = require('../services/commissionService');
+
+// How often held commissions are checked
+const JOB_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const runCommissionHoldJob = async () => {
+  try {
+    const released = await releaseMaturedCommissions();
+    if (released > 0) {
+      console.log(`Commission hold job: ${released} commission(s) now available for payout`);
+    }
+  } catch (error) {
+    console.error('Commission hold job error:', error);
+  }
+};
+
+// Run once at startup, then on every interval
+const startCommissionHoldJob = () => {
+  runCommissionHoldJob();
+  const timer = setInterval(runCommissionHoldJob, JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runCommissionHoldJob,
+  startCommissionHoldJob
+};
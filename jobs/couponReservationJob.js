@@ -0,0 +1,28 @@
+const { releaseExpiredRedemptions } = require('../services/couponService');
+
+// How often abandoned coupon reservations are checked
+const JOB_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+const runCouponReservationJob = async () => {
+  try {
+    const released = await releaseExpiredRedemptions();
+    if (released > 0) {
+      console.log(`Coupon reservation job: ${released} abandoned coupon reservation(s) released`);
+    }
+  } catch (error) {
+    console.error('Coupon reservation job error:', error);
+  }
+};
+
+// Run once at startup, then on every interval
+const startCouponReservationJob = () => {
+  runCouponReservationJob();
+  const timer = setInterval(runCouponReservationJob, JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runCouponReservationJob,
+  startCouponReservationJob
+};
@@ -0,0 +1,28 @@
+const { runDuePayoutSchedule } = require('../services/payoutScheduleService');
+
+// How often the payout schedule is checked
+const JOB_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const runPayoutScheduleJob = async () => {
+  try {
+    const result = await runDuePayoutSchedule();
+    if (result) {
+      console.log(`Payout schedule job: ${result.created.length} payout request(s) created for sign-off, ${result.skipped.length} skipped`);
+    }
+  } catch (error) {
+    console.error('Payout schedule job error:', error);
+  }
+};
+
+// Run once at startup, then on every interval
+const startPayoutScheduleJob = () => {
+  runPayoutScheduleJob();
+  const timer = setInterval(runPayoutScheduleJob, JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runPayoutScheduleJob,
+  startPayoutScheduleJob
+};
@@ -1,7 +1,13 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { verifyTwoFactorAttempt } = require('../services/loginProtectionService');
 const { verifyToken, createErrorResponse } = require('../Utils/utils');
+const { hasPermission } = require('../Utils/permissions');
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
+// Middleware to verify JWT token. The token's session must still be active and
+// the token must be newer than the user's last password or role change; the
+// role and staff roles are read from the user so a demotion applies at once.
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -9,13 +15,54 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json(createErrorResponse('Access token required', 401));
   }
 
+  let decoded;
   try {
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json(createErrorResponse('Access token expired', 401));
+    }
     return res.status(403).json(createErrorResponse('Invalid token', 403));
   }
+
+  try {
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId).select('user revokedAt expiresAt twoFactorVerifiedAt');
+    if (!session || session.revokedAt || session.expiresAt <= new Date() || !session.user.equals(decoded.userId)) {
+      return res.status(401).json(createErrorResponse('Session has ended, please log in again', 401));
+    }
+
+    const user = await User.findById(decoded.userId).select('role staffRoles credentialsChangedAt twoFactor.enabled');
+    if (!user) {
+      return res.status(401).json(createErrorResponse('Session has ended, please log in again', 401));
+    }
+
+    if (user.credentialsChangedAt && decoded.iat < Math.floor(user.credentialsChangedAt.getTime() / 1000)) {
+      return res.status(401).json(createErrorResponse('Session has ended, please log in again', 401));
+    }
+
+    req.user = {
+      userId: decoded.userId,
+      role: user.role,
+      staffRoles: user.staffRoles || [],
+      sessionId: decoded.sessionId,
+      twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+      twoFactorVerified: !!session.twoFactorVerifiedAt
+    };
+    next();
+  } catch (error) {
+    console.error('Authenticate token error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
+// Admins and other staff must have 2FA enabled and have passed it on this session
+const sendTwoFactorRequired = (req, res) => {
+  return res.status(403).json({
+    ...createErrorResponse(req.user.twoFactorEnabled
+      ? 'Two-factor verification required for staff access'
+      : 'Staff must set up two-factor authentication', 403),
+    twoFactorSetupRequired: !req.user.twoFactorEnabled
+  });
 };
 
 // Middleware to check if user is admin
@@ -23,9 +70,78 @@ const isAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json(createErrorResponse('Admin access required', 403));
   }
+
+  if (!req.user.twoFactorVerified) {
+    return sendTwoFactorRequired(req, res);
+  }
   next();
 };
 
+// Middleware to check the user holds every given permission (see
+// Utils/permissions.js). A permission can also be a function of the request,
+// for routes whose permission depends on what is asked for.
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions
+      .map(permission => typeof permission === 'function' ? permission(req) : permission)
+      .filter(permission => !hasPermission(req.user, permission));
+
+    if (missing.length > 0) {
+      const named = missing.filter(Boolean);
+      return res.status(403).json(createErrorResponse(
+        named.length > 0 ? `Permission required: ${named.join(', ')}` : 'Permission required',
+        403
+      ));
+    }
+
+    if (!req.user.twoFactorVerified) {
+      return sendTwoFactorRequired(req, res);
+    }
+    next();
+  };
+};
+
+// Middleware asking for a fresh TOTP code (X-2FA-Code header or `twoFactorCode`
+// in the body) before an action that moves money. Wrong codes count towards the
+// account's login lockout.
+const requireTwoFactorCode = async (req, res, next) => {
+  const code = req.headers['x-2fa-code'] || (req.body && req.body.twoFactorCode);
+
+  if (!code) {
+    return res.status(403).json({
+      ...createErrorResponse('Two-factor code required to confirm this action', 403),
+      twoFactorCodeRequired: true
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('email failedLoginAttempts lockedUntil');
+    if (!user) {
+      return res.status(401).json(createErrorResponse('Session has ended, please log in again', 401));
+    }
+
+    const result = await verifyTwoFactorAttempt(req, user, { code });
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.statusCode).json({
+        ...createErrorResponse(result.error, result.statusCode),
+        retryAfter: result.retryAfter
+      });
+    }
+    if (result.error) {
+      return res.status(403).json({
+        ...createErrorResponse(result.error, 403),
+        twoFactorCodeRequired: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor step-up error:', error);
+    res.status(500).json(createErrorResponse('Server error', 500));
+  }
+};
+
 // Middleware to check if user is agent
 const isAgent = (req, res, next) => {
   if (req.user.role !== 'agent') {
@@ -55,6 +171,8 @@ const isOwnerOrAdmin = (resourceUserId) => {
 module.exports = {
   authenticateToken,
   isAdmin,
+  requirePermission,
+  requireTwoFactorCode,
   isAgent,
   isActiveAgent,
   isOwnerOrAdmin
@@ -26,12 +26,33 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Bank statement exports: CSV or CAMT.053 XML. Rejected files are reported by
+// the controller through req.fileValidationError instead of a server error.
+const bankStatementFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (['.csv', '.xml'].includes(extension)) {
+    cb(null, true);
+  } else {
+    req.fileValidationError = 'Only CSV or CAMT.053 XML bank statements are allowed';
+    cb(null, false);
+  }
+};
+
+const limits = {
+  fileSize: process.env.MAX_FILE_SIZE || 5 * 1024 * 1024 // 5MB default
+};
+
 const upload = multer({ 
   storage,
   fileFilter,
-  limits: {
-    fileSize: process.env.MAX_FILE_SIZE || 5 * 1024 * 1024 // 5MB default
-  }
+  limits
+});
+
+const bankStatementUpload = multer({
+  storage,
+  fileFilter: bankStatementFileFilter,
+  limits
 });
 
-module.exports = upload;
\ No newline at end of file
+module.exports = upload;
+module.exports.bankStatementUpload = bankStatementUpload;
\ No newline at end of file
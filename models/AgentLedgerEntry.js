@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Double-entry record of money owed to an agent. Each entry moves an amount from
+// its debit account to its credit account; `balance` is the agent_payable
+// balance for the agent in this currency once the entry is applied.
+const agentLedgerEntrySchema = new mongoose.Schema({
+  agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: ['commission_earned', 'commission_reversal', 'adjustment', 'payout', 'payout_reversal'],
+    required: true
+  },
+  debitAccount: { type: String, enum: ['commission_expense', 'agent_payable', 'cash'], required: true },
+  creditAccount: { type: String, enum: ['commission_expense', 'agent_payable', 'cash'], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'usd' },
+  sequence: { type: Number, required: true }, // Position in the agent's ledger for this currency
+  balance: { type: Number, required: true }, // Running agent_payable balance after this entry
+  commission: { type: mongoose.Schema.Types.ObjectId, ref: 'Commission' },
+  commissions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Commission' }], // Commissions settled by a payout
+  payout: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' },
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  reference: { type: String }, // Idempotency key for entries that must only be recorded once
+  description: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+agentLedgerEntrySchema.index({ agent: 1, currency: 1, sequence: 1 }, { unique: true });
+agentLedgerEntrySchema.index({ reference: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('AgentLedgerEntry', agentLedgerEntrySchema);
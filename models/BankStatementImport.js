@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const statementLineSchema = new mongoose.Schema({
+  lineNumber: { type: Number, required: true }, // Row in the CSV, or entry number in the CAMT file
+  bookedAt: { type: Date },
+  amount: { type: Number, required: true },
+  currency: { type: String },
+  reference: { type: String }, // Text of the line the payout references were looked for in
+  payouts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payout' }],
+  payoutBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutBatch' }, // Set when one debit paid a whole batch
+  reason: { type: String } // Why an unmatched line could not be reconciled
+}, { _id: false });
+
+// A bank statement uploaded to confirm bank transfer payouts, with the
+// reconciliation report produced when it was imported
+const bankStatementImportSchema = new mongoose.Schema({
+  fileName: { type: String, required: true },
+  filePath: { type: String },
+  fileHash: { type: String, required: true, unique: true }, // Stops the same statement being imported twice
+  format: { type: String, enum: ['csv', 'camt053'], required: true },
+  statementId: { type: String }, // CAMT <Stmt><Id>
+  lineCount: { type: Number, default: 0 },
+  debitCount: { type: Number, default: 0 },
+  matchedLines: [statementLineSchema],
+  unmatchedLines: [statementLineSchema],
+  matchedAmount: { type: Number, default: 0 },
+  openPayouts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payout' }], // Bank transfers still processing after the import
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+bankStatementImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BankStatementImport', bankStatementImportSchema);
@@ -5,10 +5,22 @@ const CommissionSchema = new mongoose.Schema({
   referral: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true },
   amount: { type: Number, required: true },
-  status: { type: String, enum: ['pending', 'paid', 'cancelled'], default: 'pending' },
+  currency: { type: String, default: 'usd' }, // Currency of the payment the commission was earned on
+  // pending = held until availableAt, available = can be paid out
+  status: { type: String, enum: ['pending', 'available', 'paid', 'cancelled'], default: 'pending' },
+  availableAt: { type: Date }, // End of the hold period
   paidAt: { type: Date },
+  // Adjustments are negative entries that claw back a commission already paid out
+  type: { type: String, enum: ['commission', 'adjustment'], default: 'commission' },
+  tier: { type: Number, default: 1, min: 1 }, // 1 = buyer's own agent, 2+ = override paid to the agents above them
+  adjusts: { type: mongoose.Schema.Types.ObjectId, ref: 'Commission' }, // Commission an adjustment claws back
+  reversedAt: { type: Date },
+  reversalReason: { type: String },
   // Commission tracking
-  commissionRate: { type: Number, default: 0.1 }, // 10% default
+  commissionRate: { type: Number, default: 10 }, // Percentage, 10 = 10% (older records stored 0.1)
+  // Where the rate came from, so every amount can be explained
+  rateSource: { type: String, enum: ['rule', 'agent', 'default', 'override'] },
+  commissionRule: { type: mongoose.Schema.Types.ObjectId, ref: 'CommissionRule' },
   originalAmount: { type: Number, required: true }, // Original payment amount
   // Payout tracking
   payoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' }, // Reference to payout that paid this commission
@@ -16,11 +28,20 @@ const CommissionSchema = new mongoose.Schema({
   // Payment method tracking
   paymentMethod: { type: String, enum: ['bank_transfer', 'stripe_payout', 'manual', 'paypal'], default: 'manual' },
   transferReference: String, // Reference number for the transfer
-  stripePayoutId: String, // Stripe payout ID if using Stripe
+  stripePayoutId: String, // Stripe payout ID (older Stripe payouts)
+  stripeTransferId: String, // Stripe Connect transfer that paid this commission
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// One commission per agent per payment; adjustments are excluded
+CommissionSchema.index(
+  { payment: 1, agent: 1 },
+  { unique: true, partialFilterExpression: { type: 'commission' } }
+);
+
+CommissionSchema.index({ status: 1, availableAt: 1 });
+
 // Update the updatedAt field before saving
 CommissionSchema.pre('save', function(next) {
   this.updatedAt = new Date();
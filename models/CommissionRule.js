@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Commission rate for sales of a course, a course category, or one agent's sales
+// of one course. The most specific active rule wins over the agent's own rate.
+const commissionRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+  category: { type: String, trim: true }, // Matches Course.category when no course is set
+  agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Only used together with a course
+  rate: { type: Number, required: true, min: 0, max: 100 }, // Percentage, 10 = 10%
+  // Optional bounds for promotional rates
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+commissionRuleSchema.index({ course: 1, agent: 1 });
+commissionRuleSchema.index({ category: 1 });
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String },
+  discountType: { type: String, enum: ['percent', 'fixed'], required: true },
+  discountValue: { type: Number, required: true, min: 0 }, // Percentage (0-100) or fixed amount off
+  currency: { type: String, enum: ['gbp', 'usd', 'eur'], lowercase: true }, // Required for fixed-off coupons
+  startsAt: { type: Date },
+  expiresAt: { type: Date },
+  maxRedemptions: { type: Number, min: 1 }, // Unset for unlimited redemptions
+  maxRedemptionsPerUser: { type: Number, min: 1, default: 1 },
+  courses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }], // Empty means valid for every course
+  timesRedeemed: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Coupon', couponSchema);
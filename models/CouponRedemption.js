@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A coupon use held for a payment intent. It is reserved when the intent is
+// created, redeemed once the payment succeeds, and released if the payment
+// fails, is cancelled, is replaced by a newer checkout or is not paid before
+// `expiresAt`.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  paymentIntentId: { type: String, index: true }, // Set once the intent exists
+  status: { type: String, enum: ['reserved', 'redeemed', 'released'], default: 'reserved' },
+  expiresAt: { type: Date }, // When an unpaid reservation is released
+  redeemedAt: { type: Date },
+  releasedAt: { type: Date }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
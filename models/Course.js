@@ -3,7 +3,12 @@ const mongoose = require('mongoose');
 const courseSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String, required: true },
-  price: { type: Number, required: true },
+  price: { type: Number, required: true }, // Price in the default currency
+  prices: [{
+    _id: false,
+    currency: { type: String, enum: ['gbp', 'usd', 'eur'], lowercase: true, required: true },
+    amount: { type: Number, required: true, min: 0 }
+  }],
   duration: { type: String, required: true },
   level: { type: String, enum: ['beginner', 'intermediate', 'advanced'], default: 'beginner' },
   category: { type: String, required: true },
@@ -13,6 +18,7 @@ const courseSchema = new mongoose.Schema({
   image: { type: String }, // URL to course image
   pdfUrl: { type: String }, // URL to PDF file
   videoUrl: { type: String }, // URL to video content
+  accessDurationDays: { type: Number, min: 1 }, // Days of access per purchase, unset for lifetime access
   isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const disputeSchema = new mongoose.Schema({
+  stripeDisputeId: { type: String, required: true, unique: true },
+  chargeId: { type: String, required: true },
+  paymentIntentId: { type: String },
+  payments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }], // Every course payment made with the disputed charge
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'usd' },
+  reason: { type: String }, // Stripe dispute reason, e.g. fraudulent or product_not_received
+  status: { 
+    type: String, 
+    enum: [
+      'warning_needs_response',
+      'warning_under_review',
+      'warning_closed',
+      'needs_response',
+      'under_review',
+      'won',
+      'lost'
+    ], 
+    required: true 
+  },
+  evidenceDueBy: { type: Date },
+  closedAt: { type: Date },
+  adminNotes: { type: String }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
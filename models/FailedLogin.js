@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A failed sign-in, kept so admins can review brute-force attempts
+const failedLoginSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }, // Unset when the email matched no account
+  email: { type: String, required: true, lowercase: true, trim: true, index: true },
+  ipAddress: { type: String, index: true },
+  userAgent: { type: String },
+  reason: {
+    type: String,
+    enum: ['unknown_email', 'invalid_password', 'invalid_two_factor', 'account_locked'],
+    required: true
+  },
+  lockedUntil: { type: Date } // Set when this failure locked the account
+}, { timestamps: true });
+
+// Kept for 90 days
+failedLoginSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('FailedLogin', failedLoginSchema);
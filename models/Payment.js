@@ -23,10 +23,41 @@ const paymentSchema = new mongoose.Schema({
   currency: { type: String, default: 'usd' },
   paymentMethod: { type: String, required: true },
   stripePaymentId: { type: String },
-  status: { type: String, enum: ['pending', 'completed', 'failed', 'refunded'], default: 'pending' },
+  transactionId: { type: String, index: true }, // Stripe payment intent ID (shared by every course in a cart checkout)
+  purchaseType: { type: String, enum: ['purchase', 'renewal'], default: 'purchase' },
+  status: { type: String, enum: ['pending', 'completed', 'failed', 'refunded', 'disputed'], default: 'pending' },
+  refundedAt: { type: Date },
+  refundReason: { type: String },
+  refundedAmount: { type: Number, default: 0 }, // Running total of refunds; the payment stays completed until fully refunded
+  refunds: [{
+    stripeRefundId: { type: String },
+    amount: { type: Number, required: true },
+    reason: { type: String },
+    processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Empty for refunds made in the Stripe dashboard
+    refundedAt: { type: Date, default: Date.now }
+  }],
   referralAgent: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Coupon redemption
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  couponCode: { type: String },
+  originalAmount: { type: Number }, // Price before the coupon discount
+  discountAmount: { type: Number, default: 0 },
   commissionAmount: { type: Number },
   commissionStatus: { type: String, enum: ['pending', 'paid', 'cancelled'], default: 'pending' }
 }, { timestamps: true });
 
+// One live payment per course of a payment intent, so the webhook and manual
+// confirmation can't both fulfil it. Failed attempts are left out so a retry
+// of the same intent can still succeed ($in in a partial index needs MongoDB 6).
+paymentSchema.index(
+  { transactionId: 1, course: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      transactionId: { $type: 'string' },
+      status: { $in: ['pending', 'completed', 'refunded', 'disputed'] }
+    }
+  }
+);
+
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
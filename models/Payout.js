@@ -3,14 +3,22 @@ const mongoose = require('mongoose');
 const PayoutSchema = new mongoose.Schema({
   agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   amount: { type: Number, required: true },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' },
+  currency: { type: String, default: 'usd' },
+  // processing = money is on its way; commissions are locked to the payout until it completes or fails.
+  // reversed = completed, then bounced or reversed; its commissions are owed to the agent again
+  status: { type: String, enum: ['pending', 'processing', 'completed', 'failed', 'reversed'], default: 'pending' },
   paymentMethod: { type: String, enum: ['bank_transfer', 'stripe_payout', 'manual', 'paypal'], default: 'manual' },
   paymentReference: { type: String },
+  stripeTransferId: { type: String }, // Transfer to the agent's Stripe Connect account
   notes: { type: String },
   adminNotes: { type: String },
   processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   processedAt: { type: Date },
   completedAt: { type: Date },
+  failedAt: { type: Date }, // When the payout failed or was reversed
+  failureReason: { type: String },
+  payoutRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutRequest' }, // Request this payout fulfils
+  payoutBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutBatch' }, // Bank file the payout was sent in
   // Commission tracking
   commissionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Commission' }], // Which commissions this payout covers
   totalCommissionsPaid: { type: Number }, // Total amount of commissions paid in this payout
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A bank payment file covering several bank transfer payouts. An admin marks it
+// sent once the file is with the bank; its payouts stay processing until a bank
+// statement confirms them, and then the batch is completed.
+const payoutBatchSchema = new mongoose.Schema({
+  reference: { type: String, required: true, unique: true }, // Printed on the file and every payment in it
+  sequence: { type: Number, required: true, unique: true }, // Running batch number, used as the BACS volume serial
+  format: { type: String, enum: ['csv', 'bacs18', 'sepa'], required: true },
+  currency: { type: String, required: true },
+  status: { type: String, enum: ['generated', 'sent', 'completed', 'cancelled'], default: 'generated' },
+  processingDate: { type: Date }, // Date the bank should pay on
+  payouts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payout' }],
+  payoutRequests: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PayoutRequest' }],
+  totalAmount: { type: Number, required: true },
+  itemCount: { type: Number, required: true },
+  fileName: { type: String, required: true },
+  contentType: { type: String, required: true },
+  fileContent: { type: String, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sentAt: { type: Date },
+  sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completedAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancellationReason: { type: String }
+}, { timestamps: true });
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
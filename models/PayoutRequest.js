@@ -11,9 +11,14 @@ const PayoutRequestSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  // pending -> approved -> processing (Payout sent) -> completed or failed
   status: { 
     type: String, 
-    enum: ['pending', 'approved', 'rejected', 'completed'], 
+    enum: ['pending', 'approved', 'rejected', 'processing', 'completed', 'failed'], 
     default: 'pending' 
   },
   requestDate: { 
@@ -50,6 +55,10 @@ const PayoutRequestSchema = new mongoose.Schema({
   payoutReference: { 
     type: String 
   },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
   bankDetails: {
     accountNumber: String,
     bankName: String,
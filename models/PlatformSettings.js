@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Platform wide settings admins can change at runtime, kept in one document
+const platformSettingsSchema = new mongoose.Schema({
+  key: { type: String, default: 'platform', unique: true },
+  minimumPayoutAmount: { type: Number, default: 0, min: 0 }, // Smallest payout an agent can request, in the payout's currency
+  payoutSchedule: {
+    frequency: { type: String, enum: ['off', 'weekly', 'monthly'], default: 'off' },
+    dayOfWeek: { type: Number, min: 0, max: 6, default: 1 }, // Weekly runs, 0 = Sunday
+    dayOfMonth: { type: Number, min: 1, max: 28, default: 1 }, // Monthly runs
+    nextRunAt: { type: Date },
+    lastRunAt: { type: Date }
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('PlatformSettings', platformSettingsSchema);
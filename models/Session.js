@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens name their session, so revoking it signs
+// the device out; the refresh token is rotated on every use and only its
+// SHA-256 hash is stored.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true, unique: true },
+  previousRefreshTokenHash: { type: String, index: true }, // Replaced token; seeing it again means it was stolen
+  userAgent: { type: String },
+  ipAddress: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  twoFactorVerifiedAt: { type: Date }, // Set once the user passes 2FA on this device
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String, enum: ['logout', 'revoked', 'password_changed', 'password_reset', 'role_changed', 'user_deleted', 'token_reuse'] }
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Ledger of every verified Stripe webhook event, used to skip duplicate
+// deliveries and to replay events whose processing failed
+const stripeEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true }, // Stripe event ID (evt_...)
+  type: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'processed', 'failed'], default: 'processing' },
+  attempts: { type: Number, default: 1 },
+  lastError: { type: String },
+  lastAttemptAt: { type: Date, default: Date.now },
+  processedAt: { type: Date },
+  livemode: { type: Boolean, default: false },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true } // Full event as received from Stripe
+}, { timestamps: true });
+
+stripeEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
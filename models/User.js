@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { STAFF_ROLE_NAMES } = require('../Utils/permissions');
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
@@ -15,11 +16,32 @@ const userSchema = new mongoose.Schema({
     }
   },
   password: { type: String, required: true },
+  emailVerifiedAt: { type: Date },
+  // Single-use link tokens, stored as SHA-256 hashes
+  emailVerificationTokenHash: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  passwordResetTokenHash: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+  credentialsChangedAt: { type: Date }, // Access tokens issued before this are rejected
+  // Failed sign-ins since the last success; see services/loginProtectionService.js
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockedUntil: { type: Date },
+  // TOTP two-factor authentication; mandatory for admins
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false }, // Base32
+    pendingSecret: { type: String, select: false }, // Set during enrolment until a code confirms it
+    recoveryCodeHashes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false }, // Last accepted TOTP time step, so codes can't be replayed
+    enabledAt: Date
+  },
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
   phone: { type: String, required: true },
   country: { type: String, required: true },
   role: { type: String, enum: ['user', 'agent', 'admin'], default: 'user' },
+  staffRoles: [{ type: String, enum: STAFF_ROLE_NAMES }], // Named permission sets; see Utils/permissions.js
   referralCode: { type: String, unique: true, sparse: true },
   referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   isActiveAgent: { type: Boolean, default: false },
@@ -37,6 +59,28 @@ const userSchema = new mongoose.Schema({
     verifiedAt: Date,
     verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
   },
+  // Tax details for annual earnings reports; payouts need a submitted profile
+  taxProfile: {
+    entityType: { type: String, enum: ['individual', 'business'] },
+    legalName: String,
+    businessName: String,
+    taxId: { type: String, select: false }, // SSN/EIN for US agents, national tax number elsewhere
+    taxIdLast4: String, // Shown instead of the tax ID
+    vatNumber: String,
+    address: {
+      line1: String,
+      line2: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String // ISO 3166-1 alpha-2
+    },
+    submittedAt: Date,
+    isVerified: { type: Boolean, default: false },
+    verificationNotes: String,
+    verifiedAt: Date,
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
   // Stripe Connect account for payouts
   stripeAccountId: String,
   stripeAccountStatus: { type: String, enum: ['pending', 'active', 'restricted', 'disabled'], default: 'pending' },
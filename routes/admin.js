@@ -1,13 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireTwoFactorCode } = require('../middleware/auth');
 const {
   getAdminDashboard,
   getAllUsers,
   updateUserRole,
+  updateUserStaffRoles,
   approveAgent,
   deleteUser,
+  unlockUser,
+  getFailedLogins,
   getAllPayments,
   getAllCommissions,
   updateCommissionStatus,
@@ -22,101 +25,170 @@ const {
   processPayoutRequest,
   createPayoutRequest,
   verifyAgentBankDetails,
+  verifyAgentTaxProfile,
+  getTaxReport,
   processBankTransfer,
-  processStripePayout
+  processStripePayout,
+  executePayoutRequestById,
+  completePayoutById,
+  failPayoutById,
+  getAllDisputes,
+  getAgentLedger,
+  getLedgerReconciliation
 } = require('../controllers/adminController');
+const {
+  getAllCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const {
+  getAllCommissionRules,
+  getCommissionRuleById,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule
+} = require('../controllers/commissionRuleController');
+const {
+  getAllPayoutBatches,
+  getPayoutBatchById,
+  createPayoutBatch,
+  downloadPayoutBatchFile,
+  confirmPayoutBatch,
+  cancelPayoutBatch
+} = require('../controllers/payoutBatchController');
+const {
+  importBankStatement,
+  getBankStatementImports,
+  getBankStatementImportById
+} = require('../controllers/bankStatementController');
+const { getSettings, updateSettings, runPayoutSchedule } = require('../controllers/settingsController');
+const { bankStatementUpload } = require('../middleware/upload');
+const { STAFF_ROLE_NAMES } = require('../Utils/permissions');
+const { getStripeEvents, replayStripeEvent } = require('../controllers/payments');
+
+// Bulk actions and the all-in-one "completed" payout processing need the
+// permission of what they end up doing
+const BULK_ACTION_PERMISSIONS = {
+  'delete-users': 'users.manage',
+  'approve-agents': 'users.manage',
+  'update-commission-status': 'commissions.manage',
+  'delete-courses': 'courses.edit'
+};
+const bulkActionPermission = (req) => BULK_ACTION_PERMISSIONS[req.body.action];
+const processPayoutPermission = (req) => (req.body.status === 'completed' ? 'payouts.execute' : 'payouts.approve');
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard data
-// @access  Private (Admin only)
-router.get('/dashboard', authenticateToken, isAdmin, getAdminDashboard);
+// @access  Private (reports.view)
+router.get('/dashboard', authenticateToken, requirePermission('reports.view'), getAdminDashboard);
 
 // @route   GET /api/admin/users
 // @desc    Get all users (Admin only)
-// @access  Private (Admin only)
-router.get('/users', authenticateToken, isAdmin, getAllUsers);
+// @access  Private (users.view)
+router.get('/users', authenticateToken, requirePermission('users.view'), getAllUsers);
 
 // @route   PUT /api/admin/users/:id/role
 // @desc    Update user role (Admin only)
-// @access  Private (Admin only)
-router.put('/users/:id/role', authenticateToken, isAdmin, [
+// @access  Private (roles.assign)
+router.put('/users/:id/role', authenticateToken, requirePermission('roles.assign'), [
   body('role').isIn(['user', 'agent', 'admin']).withMessage('Invalid role'),
   body('commissionRate').optional().isNumeric().withMessage('Commission rate must be a number'),
   body('isActiveAgent').optional().isBoolean().withMessage('isActiveAgent must be a boolean')
 ], updateUserRole);
 
+// @route   PUT /api/admin/users/:id/staff-roles
+// @desc    Set a user's staff roles (Admin only)
+// @access  Private (roles.assign)
+router.put('/users/:id/staff-roles', authenticateToken, requirePermission('roles.assign'), [
+  body('staffRoles').isArray().withMessage('Staff roles must be an array'),
+  body('staffRoles.*').isIn(STAFF_ROLE_NAMES).withMessage(`Staff roles must be one of: ${STAFF_ROLE_NAMES.join(', ')}`)
+], updateUserStaffRoles);
+
 // @route   PUT /api/admin/users/:id/approve-agent
 // @desc    Approve agent application (Admin only)
-// @access  Private (Admin only)
-router.put('/users/:id/approve-agent', authenticateToken, isAdmin, approveAgent);
+// @access  Private (users.manage)
+router.put('/users/:id/approve-agent', authenticateToken, requirePermission('users.manage'), approveAgent);
 
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete user (Admin only)
-// @access  Private (Admin only)
-router.delete('/users/:id', authenticateToken, isAdmin, deleteUser);
+// @access  Private (users.manage)
+router.delete('/users/:id', authenticateToken, requirePermission('users.manage'), deleteUser);
+
+// @route   PUT /api/admin/users/:id/unlock
+// @desc    Lift a login lockout (Admin only)
+// @access  Private (users.manage)
+router.put('/users/:id/unlock', authenticateToken, requirePermission('users.manage'), unlockUser);
+
+// @route   GET /api/admin/failed-logins
+// @desc    Review failed logins by user, email or IP address (Admin only)
+// @access  Private (users.view)
+router.get('/failed-logins', authenticateToken, requirePermission('users.view'), getFailedLogins);
 
 // @route   GET /api/admin/payments
 // @desc    Get all payments (Admin only)
-// @access  Private (Admin only)
-router.get('/payments', authenticateToken, isAdmin, getAllPayments);
+// @access  Private (payments.view)
+router.get('/payments', authenticateToken, requirePermission('payments.view'), getAllPayments);
 
 // @route   GET /api/admin/commissions
 // @desc    Get all commissions (Admin only)
-// @access  Private (Admin only)
-router.get('/commissions', authenticateToken, isAdmin, getAllCommissions);
+// @access  Private (payouts.view)
+router.get('/commissions', authenticateToken, requirePermission('payouts.view'), getAllCommissions);
 
 // @route   PUT /api/admin/commissions/:id/status
 // @desc    Update commission status (Admin only)
-// @access  Private (Admin only)
-router.put('/commissions/:id/status', authenticateToken, isAdmin, [
-  body('status').isIn(['pending', 'paid', 'cancelled']).withMessage('Invalid status'),
+// @access  Private (commissions.manage)
+router.put('/commissions/:id/status', authenticateToken, requirePermission('commissions.manage'), [
+  body('status').isIn(['pending', 'available', 'paid', 'cancelled']).withMessage('Invalid status'),
   body('payoutMethod').optional().isIn(['bank_transfer', 'stripe_payout', 'manual']),
   body('payoutNotes').optional().isString()
 ], updateCommissionStatus);
 
 // @route   POST /api/admin/commissions/bulk-payout
 // @desc    Process bulk commission payouts (Admin only)
-// @access  Private (Admin only)
-router.post('/commissions/bulk-payout', authenticateToken, isAdmin, [
+// @access  Private (payouts.execute)
+router.post('/commissions/bulk-payout', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, [
   body('commissionIds').isArray().withMessage('Commission IDs must be an array'),
-  body('payoutMethod').isIn(['bank_transfer', 'stripe_payout', 'manual']).withMessage('Invalid payout method'),
+  body('payoutMethod').isIn(['bank_transfer', 'manual']).withMessage('Invalid payout method, use /commissions/stripe-payout for Stripe payouts'),
   body('payoutNotes').optional().isString()
 ], processBulkPayout);
 
 // @route   POST /api/admin/commissions/payout
 // @desc    Process manual payout to agent (Admin only)
-// @access  Private (Admin only)
-router.post('/commissions/payout', authenticateToken, isAdmin, [
+// @access  Private (payouts.execute)
+router.post('/commissions/payout', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, [
   body('agentId').notEmpty().withMessage('Agent ID is required'),
   body('amount').isNumeric().withMessage('Amount must be a number'),
-  body('paymentMethod').isIn(['bank_transfer', 'stripe_payout', 'manual', 'paypal']).withMessage('Invalid payment method'),
+  body('paymentMethod').isIn(['bank_transfer', 'manual', 'paypal']).withMessage('Invalid payment method, use /commissions/stripe-payout for Stripe payouts'),
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur'),
   body('notes').optional().isString()
 ], processManualPayout);
 
 // @route   GET /api/admin/commissions/payouts
 // @desc    Get payout history (Admin only)
-// @access  Private (Admin only)
-router.get('/commissions/payouts', authenticateToken, isAdmin, getPayoutHistory);
+// @access  Private (payouts.view)
+router.get('/commissions/payouts', authenticateToken, requirePermission('payouts.view'), getPayoutHistory);
 
 // @route   GET /api/admin/purchases
 // @desc    Get detailed purchase tracking (Admin only)
-// @access  Private (Admin only)
-router.get('/purchases', authenticateToken, isAdmin, getPurchaseTracking);
+// @access  Private (payments.view)
+router.get('/purchases', authenticateToken, requirePermission('payments.view'), getPurchaseTracking);
 
 // @route   GET /api/admin/agents/analytics
 // @desc    Get agent performance analytics (Admin only)
-// @access  Private (Admin only)
-router.get('/agents/analytics', authenticateToken, isAdmin, getAgentAnalytics);
+// @access  Private (reports.view)
+router.get('/agents/analytics', authenticateToken, requirePermission('reports.view'), getAgentAnalytics);
 
 // @route   GET /api/admin/stats/overview
 // @desc    Get comprehensive system statistics (Admin only)
-// @access  Private (Admin only)
-router.get('/stats/overview', authenticateToken, isAdmin, getSystemStats);
+// @access  Private (reports.view)
+router.get('/stats/overview', authenticateToken, requirePermission('reports.view'), getSystemStats);
 
 // @route   POST /api/admin/bulk-actions
 // @desc    Perform bulk actions (Admin only)
-// @access  Private (Admin only)
-router.post('/bulk-actions', authenticateToken, isAdmin, [
+// @access  Private (permission of the action)
+router.post('/bulk-actions', authenticateToken, requirePermission(bulkActionPermission), [
   body('action').isIn(['delete-users', 'approve-agents', 'update-commission-status', 'delete-courses']).withMessage('Invalid action'),
   body('ids').isArray().withMessage('IDs must be an array'),
   body('data').optional()
@@ -124,54 +196,288 @@ router.post('/bulk-actions', authenticateToken, isAdmin, [
 
 // @route   GET /api/admin/payout-requests
 // @desc    Get all payout requests (Admin only)
-// @access  Private (Admin only)
-router.get('/payout-requests', authenticateToken, isAdmin, getAllPayoutRequests);
+// @access  Private (payouts.view)
+router.get('/payout-requests', authenticateToken, requirePermission('payouts.view'), getAllPayoutRequests);
 
 // @route   PUT /api/admin/payout-requests/:id/process
 // @desc    Process payout request (Admin only)
-// @access  Private (Admin only)
-router.put('/payout-requests/:id/process', authenticateToken, isAdmin, [
-  body('status').isIn(['pending', 'approved', 'rejected', 'completed']).withMessage('Invalid status'),
+// @access  Private (payouts.approve; payouts.execute to mark completed)
+router.put('/payout-requests/:id/process', authenticateToken, requirePermission('payouts.approve', processPayoutPermission), requireTwoFactorCode, [
+  body('status').isIn(['approved', 'rejected', 'completed']).withMessage('Invalid status'),
   body('adminNotes').optional().isString(),
   body('payoutReference').optional().isString(),
   body('rejectionReason').optional().isString()
 ], processPayoutRequest);
 
+// @route   POST /api/admin/payout-requests/:id/execute
+// @desc    Send an approved payout request, creating a processing payout (Admin only)
+// @access  Private (payouts.execute)
+router.post('/payout-requests/:id/execute', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, [
+  body('paymentMethod').optional().isIn(['bank_transfer', 'stripe_payout', 'manual', 'paypal']).withMessage('Invalid payment method'),
+  body('paymentReference').optional().isString(),
+  body('notes').optional().isString()
+], executePayoutRequestById);
+
+// @route   PUT /api/admin/payouts/:id/complete
+// @desc    Confirm a processing payout arrived and mark its commissions paid (Admin only)
+// @access  Private (payouts.execute)
+router.put('/payouts/:id/complete', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, [
+  body('paymentReference').optional().isString()
+], completePayoutById);
+
+// @route   PUT /api/admin/payouts/:id/fail
+// @desc    Mark a processing payout failed, or a completed one bounced, and release its commissions (Admin only)
+// @access  Private (payouts.execute)
+router.put('/payouts/:id/fail', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, [
+  body('reason').optional().isString()
+], failPayoutById);
+
 // @route   PUT /api/admin/users/:id/verify-bank-details
 // @desc    Verify agent bank details (Admin only)
-// @access  Private (Admin only)
-router.put('/users/:id/verify-bank-details', authenticateToken, isAdmin, [
+// @access  Private (payouts.approve)
+router.put('/users/:id/verify-bank-details', authenticateToken, requirePermission('payouts.approve'), [
   body('isVerified').isBoolean().withMessage('isVerified must be a boolean'),
   body('verificationNotes').optional().isString()
 ], verifyAgentBankDetails);
 
+// @route   PUT /api/admin/users/:id/verify-tax-profile
+// @desc    Verify agent tax profile (Admin only)
+// @access  Private (payouts.approve)
+router.put('/users/:id/verify-tax-profile', authenticateToken, requirePermission('payouts.approve'), [
+  body('isVerified').isBoolean().withMessage('isVerified must be a boolean'),
+  body('verificationNotes').optional().isString()
+], verifyAgentTaxProfile);
+
+// @route   GET /api/admin/tax-reports/:year
+// @desc    Export agents' payout totals for a tax year as CSV (?type=1099-nec or generic) (Admin only)
+// @access  Private (reports.view)
+router.get('/tax-reports/:year', authenticateToken, requirePermission('reports.view'), getTaxReport);
+
 // @route   POST /api/admin/payout-requests
 // @desc    Create payout request (Agent only)
 // @access  Private (Agent only)
 router.post('/payout-requests', authenticateToken, [
-  body('amount').isNumeric().withMessage('Amount must be a number'),
+  body('amount').optional().isNumeric().withMessage('Amount must be a number'),
   body('notes').optional().isString(),
-  body('commissionIds').optional().isArray().withMessage('Commission IDs must be an array')
+  body('commissionIds').optional().isArray().withMessage('Commission IDs must be an array'),
+  body('paymentMethod').optional().isIn(['bank_transfer', 'stripe_payout']).withMessage('Invalid payment method'),
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur')
 ], createPayoutRequest);
 
 // @route   POST /api/admin/commissions/bank-transfer
 // @desc    Process bank transfer to agent (Admin only)
-// @access  Private (Admin only)
-router.post('/commissions/bank-transfer', authenticateToken, isAdmin, [
+// @access  Private (payouts.execute)
+router.post('/commissions/bank-transfer', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, [
   body('agentId').isMongoId().withMessage('Valid agent ID is required'),
   body('amount').isNumeric().withMessage('Amount must be a number'),
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur'),
   body('notes').optional().isString(),
   body('transferReference').optional().isString()
 ], processBankTransfer);
 
 // @route   POST /api/admin/commissions/stripe-payout
 // @desc    Process Stripe payout to agent (Admin only)
-// @access  Private (Admin only)
-router.post('/commissions/stripe-payout', authenticateToken, isAdmin, [
+// @access  Private (payouts.execute)
+router.post('/commissions/stripe-payout', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, [
   body('agentId').isMongoId().withMessage('Valid agent ID is required'),
   body('amount').isNumeric().withMessage('Amount must be a number'),
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur'),
   body('notes').optional().isString(),
   body('transferReference').optional().isString()
 ], processStripePayout);
 
+// @route   GET /api/admin/payout-batches
+// @desc    Get all bank payout batches (Admin only)
+// @access  Private (payouts.view)
+router.get('/payout-batches', authenticateToken, requirePermission('payouts.view'), getAllPayoutBatches);
+
+// @route   POST /api/admin/payout-batches
+// @desc    Generate a CSV, BACS or SEPA payment file from approved payout requests (Admin only)
+// @access  Private (payouts.execute)
+router.post('/payout-batches', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, [
+  body('payoutRequestIds').isArray({ min: 1 }).withMessage('At least one payout request is required'),
+  body('payoutRequestIds.*').isMongoId().withMessage('Invalid payout request ID'),
+  body('format').isIn(['csv', 'bacs18', 'sepa']).withMessage('Format must be csv, bacs18 or sepa'),
+  body('processingDate').optional().isISO8601().withMessage('Processing date must be a valid date')
+], createPayoutBatch);
+
+// @route   GET /api/admin/payout-batches/:id
+// @desc    Get payout batch with its payouts (Admin only)
+// @access  Private (payouts.view)
+router.get('/payout-batches/:id', authenticateToken, requirePermission('payouts.view'), getPayoutBatchById);
+
+// @route   GET /api/admin/payout-batches/:id/file
+// @desc    Download a payout batch's bank file (Admin only)
+// @access  Private (payouts.execute)
+router.get('/payout-batches/:id/file', authenticateToken, requirePermission('payouts.execute'), downloadPayoutBatchFile);
+
+// @route   PUT /api/admin/payout-batches/:id/confirm
+// @desc    Mark a payout batch as sent to the bank (Admin only)
+// @access  Private (payouts.execute)
+router.put('/payout-batches/:id/confirm', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, confirmPayoutBatch);
+
+// @route   PUT /api/admin/payout-batches/:id/cancel
+// @desc    Cancel an unsent payout batch and release its payouts (Admin only)
+// @access  Private (payouts.execute)
+router.put('/payout-batches/:id/cancel', authenticateToken, requirePermission('payouts.execute'), [
+  body('reason').optional().isString()
+], cancelPayoutBatch);
+
+// @route   GET /api/admin/bank-statements
+// @desc    Get bank statement imports (Admin only)
+// @access  Private (payouts.view)
+router.get('/bank-statements', authenticateToken, requirePermission('payouts.view'), getBankStatementImports);
+
+// @route   POST /api/admin/bank-statements
+// @desc    Import a CSV or CAMT.053 bank statement and complete the payouts it confirms (Admin only)
+// @access  Private (payouts.execute)
+// The body is multipart and not parsed yet, so the 2FA code has to come in the X-2FA-Code header
+router.post('/bank-statements', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, bankStatementUpload.single('statement'), importBankStatement);
+
+// @route   GET /api/admin/bank-statements/:id
+// @desc    Get a bank statement import's reconciliation report (Admin only)
+// @access  Private (payouts.view)
+router.get('/bank-statements/:id', authenticateToken, requirePermission('payouts.view'), getBankStatementImportById);
+
+// @route   GET /api/admin/settings
+// @desc    Get platform settings (Admin only)
+// @access  Private (settings.manage)
+router.get('/settings', authenticateToken, requirePermission('settings.manage'), getSettings);
+
+// @route   PUT /api/admin/settings
+// @desc    Update the minimum payout and payout schedule (Admin only)
+// @access  Private (settings.manage)
+router.put('/settings', authenticateToken, requirePermission('settings.manage'), [
+  body('minimumPayoutAmount').optional().isFloat({ min: 0 }).withMessage('Minimum payout must be a positive number'),
+  body('payoutSchedule.frequency').optional().isIn(['off', 'weekly', 'monthly']).withMessage('Payout schedule must be off, weekly or monthly'),
+  body('payoutSchedule.dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt().withMessage('Day of week must be 0 (Sunday) to 6'),
+  body('payoutSchedule.dayOfMonth').optional().isInt({ min: 1, max: 28 }).toInt().withMessage('Day of month must be 1 to 28')
+], updateSettings);
+
+// @route   POST /api/admin/payout-runs
+// @desc    Create approved payout requests for every agent over the minimum payout now (Admin only)
+// @access  Private (payouts.execute)
+router.post('/payout-runs', authenticateToken, requirePermission('payouts.execute'), requireTwoFactorCode, runPayoutSchedule);
+
+// @route   GET /api/admin/coupons
+// @desc    Get all coupons (Admin only)
+// @access  Private (coupons.manage)
+router.get('/coupons', authenticateToken, requirePermission('coupons.manage'), getAllCoupons);
+
+// @route   GET /api/admin/coupons/:id
+// @desc    Get coupon with redemption summary (Admin only)
+// @access  Private (coupons.manage)
+router.get('/coupons/:id', authenticateToken, requirePermission('coupons.manage'), getCouponById);
+
+// @route   POST /api/admin/coupons
+// @desc    Create coupon (Admin only)
+// @access  Private (coupons.manage)
+router.post('/coupons', authenticateToken, requirePermission('coupons.manage'), [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('discountType').isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+  body('discountValue').isFloat({ gt: 0 }).withMessage('Discount value must be a positive number'),
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur'),
+  body('description').optional().isString(),
+  body('startsAt').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry date must be a valid date'),
+  body('maxRedemptions').optional().isInt({ min: 1 }).withMessage('Max redemptions must be a positive integer'),
+  body('maxRedemptionsPerUser').optional().isInt({ min: 1 }).withMessage('Max redemptions per user must be a positive integer'),
+  body('courses').optional().isArray().withMessage('Courses must be an array'),
+  body('courses.*').optional().isMongoId().withMessage('Invalid course ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], createCoupon);
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update coupon (Admin only)
+// @access  Private (coupons.manage)
+router.put('/coupons/:id', authenticateToken, requirePermission('coupons.manage'), [
+  body('code').optional().trim().notEmpty(),
+  body('discountType').optional().isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+  body('discountValue').optional().isFloat({ gt: 0 }).withMessage('Discount value must be a positive number'),
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur'),
+  body('description').optional().isString(),
+  body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('Start date must be a valid date'),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Expiry date must be a valid date'),
+  body('maxRedemptions').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Max redemptions must be a positive integer'),
+  body('maxRedemptionsPerUser').optional().isInt({ min: 1 }).withMessage('Max redemptions per user must be a positive integer'),
+  body('courses').optional().isArray().withMessage('Courses must be an array'),
+  body('courses.*').optional().isMongoId().withMessage('Invalid course ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], updateCoupon);
+
+// @route   DELETE /api/admin/coupons/:id
+// @desc    Delete coupon (Admin only)
+// @access  Private (coupons.manage)
+router.delete('/coupons/:id', authenticateToken, requirePermission('coupons.manage'), deleteCoupon);
+
+// @route   GET /api/admin/commission-rules
+// @desc    Get all commission rate rules (Admin only)
+// @access  Private (commissions.manage)
+router.get('/commission-rules', authenticateToken, requirePermission('commissions.manage'), getAllCommissionRules);
+
+// @route   GET /api/admin/commission-rules/:id
+// @desc    Get commission rule with usage summary (Admin only)
+// @access  Private (commissions.manage)
+router.get('/commission-rules/:id', authenticateToken, requirePermission('commissions.manage'), getCommissionRuleById);
+
+// @route   POST /api/admin/commission-rules
+// @desc    Create commission rule (Admin only)
+// @access  Private (commissions.manage)
+router.post('/commission-rules', authenticateToken, requirePermission('commissions.manage'), [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('rate').isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  body('course').optional().isMongoId().withMessage('Invalid course ID'),
+  body('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
+  body('agent').optional().isMongoId().withMessage('Invalid agent ID'),
+  body('description').optional().isString(),
+  body('startsAt').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endsAt').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], createCommissionRule);
+
+// @route   PUT /api/admin/commission-rules/:id
+// @desc    Update commission rule (Admin only)
+// @access  Private (commissions.manage)
+router.put('/commission-rules/:id', authenticateToken, requirePermission('commissions.manage'), [
+  body('name').optional().trim().notEmpty(),
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  body('course').optional({ values: 'null' }).isMongoId().withMessage('Invalid course ID'),
+  body('category').optional({ values: 'null' }).trim().notEmpty().withMessage('Category cannot be empty'),
+  body('agent').optional({ values: 'null' }).isMongoId().withMessage('Invalid agent ID'),
+  body('description').optional().isString(),
+  body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('Start date must be a valid date'),
+  body('endsAt').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], updateCommissionRule);
+
+// @route   DELETE /api/admin/commission-rules/:id
+// @desc    Delete commission rule (Admin only)
+// @access  Private (commissions.manage)
+router.delete('/commission-rules/:id', authenticateToken, requirePermission('commissions.manage'), deleteCommissionRule);
+
+// @route   GET /api/admin/stripe-events
+// @desc    Get Stripe webhook events, failed ones by default (Admin only)
+// @access  Private (payments.view)
+router.get('/stripe-events', authenticateToken, requirePermission('payments.view'), getStripeEvents);
+
+// @route   POST /api/admin/stripe-events/:id/replay
+// @desc    Replay a failed Stripe webhook event (Admin only)
+// @access  Private (payments.manage)
+router.post('/stripe-events/:id/replay', authenticateToken, requirePermission('payments.manage'), replayStripeEvent);
+
+// @route   GET /api/admin/disputes
+// @desc    Get Stripe disputes (Admin only)
+// @access  Private (payments.view)
+router.get('/disputes', authenticateToken, requirePermission('payments.view'), getAllDisputes);
+
+// @route   GET /api/admin/agents/:id/ledger
+// @desc    Get an agent's ledger entries and running balance (Admin only)
+// @access  Private (payouts.view)
+router.get('/agents/:id/ledger', authenticateToken, requirePermission('payouts.view'), getAgentLedger);
+
+// @route   GET /api/admin/ledger/reconciliation
+// @desc    Report agents whose stored totals disagree with their ledger (Admin only)
+// @access  Private (payouts.view)
+router.get('/ledger/reconciliation', authenticateToken, requirePermission('payouts.view'), getLedgerReconciliation);
+
 module.exports = router; 
\ No newline at end of file
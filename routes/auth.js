@@ -8,8 +8,25 @@ const {
   getProfile,
   updateProfile,
   changePassword,
-  updateBankDetails
+  updateBankDetails,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  loginWithTwoFactor,
+  verifyTwoFactorSession,
+  regenerateTwoFactorRecoveryCodes,
+  disableTwoFactorAuth
+} = require('../controllers/twoFactorController');
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -34,6 +51,106 @@ router.post('/login', [
   body('password').notEmpty().withMessage('Password is required')
 ], login);
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', authenticateToken, resendVerificationEmail);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset link
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], resetPassword);
+
+// @route   POST /api/auth/2fa/login
+// @desc    Finish a two-step login with a TOTP or recovery code
+// @access  Public
+router.post('/2fa/login', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => value.code || value.recoveryCode).withMessage('An authentication code or recovery code is required')
+], loginWithTwoFactor);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment
+// @access  Private
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm 2FA enrolment with a code
+// @access  Private
+router.post('/2fa/enable', authenticateToken, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], enableTwoFactor);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Pass 2FA on the current session
+// @access  Private
+router.post('/2fa/verify', authenticateToken, [
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => value.code || value.recoveryCode).withMessage('An authentication code or recovery code is required')
+], verifyTwoFactorSession);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the 2FA recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], regenerateTwoFactorRecoveryCodes);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off
+// @access  Private
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], disableTwoFactorAuth);
+
+// @route   POST /api/auth/refresh
+// @desc    Swap a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], refreshToken);
+
+// @route   POST /api/auth/logout
+// @desc    Log out of the current session
+// @access  Private
+router.post('/logout', authenticateToken, logout);
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get('/sessions', authenticateToken, getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session except the current one
+// @access  Private
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, revokeSessionById);
+
 // @route   GET /api/auth/profile
 // @desc    Get user profile
 // @access  Private
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getCart,
+  addToCart,
+  removeFromCart,
+  clearCart,
+  checkoutCart
+} = require('../controllers/cartController');
+
+// @route   GET /api/cart
+// @desc    Get user's cart
+// @access  Private
+router.get('/', authenticateToken, getCart);
+
+// @route   POST /api/cart/items
+// @desc    Add course to cart
+// @access  Private
+router.post('/items', authenticateToken, [
+  body('courseId').notEmpty().withMessage('Course ID is required')
+], addToCart);
+
+// @route   DELETE /api/cart/items/:courseId
+// @desc    Remove course from cart
+// @access  Private
+router.delete('/items/:courseId', authenticateToken, removeFromCart);
+
+// @route   DELETE /api/cart
+// @desc    Clear cart
+// @access  Private
+router.delete('/', authenticateToken, clearCart);
+
+// @route   POST /api/cart/checkout
+// @desc    Create one Stripe payment intent for all courses in the cart
+// @access  Private
+router.post('/checkout', authenticateToken, [
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur')
+], checkoutCart);
+
+module.exports = router;
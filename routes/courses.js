@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
   getAllCourses,
   getCourseById,
@@ -31,11 +31,11 @@ router.get('/:id', getCourseById);
 
 // @route   POST /api/courses
 // @desc    Create a new course
-// @access  Private (Admin only)
+// @access  Private (courses.edit)
 router.post(
   '/',
   authenticateToken,
-  isAdmin,
+  requirePermission('courses.edit'),
   upload.single('pdf'),
   [
     body('title').notEmpty().withMessage('Title is required'),
@@ -44,6 +44,10 @@ router.post(
     body('duration').optional().isString(),
     body('level').optional().isString(),
     body('category').optional().isString(),
+    body('prices').optional().isArray().withMessage('Prices must be an array'),
+    body('prices.*.currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur'),
+    body('prices.*.amount').optional().isFloat({ min: 0 }).withMessage('Price amount must be a number'),
+    body('accessDurationDays').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Access duration must be a whole number of days'),
     body('image').optional().custom((value) => {
       if (!value || value.trim() === '') return true;
       try {
@@ -81,8 +85,8 @@ router.post(
 
 // @route   PUT /api/courses/:id
 // @desc    Update a course
-// @access  Private (Admin only)
-router.put('/:id', authenticateToken, isAdmin, [
+// @access  Private (courses.edit)
+router.put('/:id', authenticateToken, requirePermission('courses.edit'), [
   body('title').optional().notEmpty(),
   body('description').optional().notEmpty(),
   body('price').optional().isNumeric(),
@@ -95,13 +99,17 @@ router.put('/:id', authenticateToken, isAdmin, [
   body('whatYouWillLearn').optional().isArray(),
   body('level').optional().isString(),
   body('category').optional().isString(),
+  body('prices').optional().isArray().withMessage('Prices must be an array'),
+  body('prices.*.currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur'),
+  body('prices.*.amount').optional().isFloat({ min: 0 }).withMessage('Price amount must be a number'),
+  body('accessDurationDays').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Access duration must be a whole number of days'),
   body('isActive').optional()
 ], updateCourse);
 
 // @route   DELETE /api/courses/:id
 // @desc    Delete a course
-// @access  Private (Admin only)
-router.delete('/:id', authenticateToken, isAdmin, deleteCourse);
+// @access  Private (courses.edit)
+router.delete('/:id', authenticateToken, requirePermission('courses.edit'), deleteCourse);
 
 // @route   POST /api/courses/:id/enroll
 // @desc    Enroll in a course
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
   createPaymentIntent,
+  createRenewalPaymentIntent,
   handleWebhook,
   getUserPayments,
   getPaymentById,
@@ -19,9 +20,19 @@ const {
 // @desc    Create Stripe payment intent
 // @access  Private
 router.post('/create-payment-intent', authenticateToken, [
-  body('courseId').notEmpty().withMessage('Course ID is required')
+  body('courseId').notEmpty().withMessage('Course ID is required'),
+  body('couponCode').optional().isString().withMessage('Coupon code must be a string'),
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur')
 ], createPaymentIntent);
 
+// @route   POST /api/payments/renew-access
+// @desc    Create Stripe payment intent to renew time-limited course access
+// @access  Private
+router.post('/renew-access', authenticateToken, [
+  body('courseId').notEmpty().withMessage('Course ID is required'),
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur')
+], createRenewalPaymentIntent);
+
 // @route   POST /api/payments/webhook
 // @desc    Stripe webhook for payment confirmation
 // @access  Public
@@ -39,8 +50,8 @@ router.get('/:id', authenticateToken, getPaymentById);
 
 // @route   GET /api/payments/stats/overview
 // @desc    Get payment statistics (Admin only)
-// @access  Private (Admin only)
-router.get('/stats/overview', authenticateToken, isAdmin, getPaymentStats);
+// @access  Private (reports.view)
+router.get('/stats/overview', authenticateToken, requirePermission('reports.view'), getPaymentStats);
 
 // @route   GET /api/payments/commissions
 // @desc    Get user's commission earnings (for agents)
@@ -49,10 +60,11 @@ router.get('/commissions', authenticateToken, getUserCommissions);
 
 // @route   POST /api/payments/refund
 // @desc    Process refund (Admin only)
-// @access  Private (Admin only)
-router.post('/refund', authenticateToken, isAdmin, [
+// @access  Private (payments.manage)
+router.post('/refund', authenticateToken, requirePermission('payments.manage'), [
   body('paymentId').notEmpty().withMessage('Payment ID is required'),
-  body('reason').notEmpty().withMessage('Refund reason is required')
+  body('reason').notEmpty().withMessage('Refund reason is required'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be greater than 0')
 ], processRefund);
 
 // @route   POST /api/payments/test-webhook
@@ -64,8 +76,7 @@ router.post('/test-webhook', testWebhook);
 // @desc    Manual payment confirmation (for testing)
 // @access  Private
 router.post('/manual-confirm', authenticateToken, [
-  body('paymentIntentId').notEmpty().withMessage('Payment intent ID is required'),
-  body('courseId').notEmpty().withMessage('Course ID is required')
+  body('paymentIntentId').notEmpty().withMessage('Payment intent ID is required')
 ], manualPaymentConfirm);
 
 // @route   GET /api/payments/debug-user
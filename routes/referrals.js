@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
   getReferralCode,
   getMyReferrals,
@@ -10,8 +10,15 @@ const {
   getTopAgents,
   becomeAgent,
   updateAgentProfile,
+  getTaxProfile,
+  updateTaxProfile,
   getAgentDashboard,
-  requestPayout
+  requestPayout,
+  getMyLedger,
+  createStripeOnboardingLink,
+  getStripeAccountStatus,
+  downloadMonthlyStatement,
+  downloadPayoutRemittance
 } = require('../controllers/referralController');
 
 // @route   GET /api/referrals/code
@@ -36,8 +43,8 @@ router.get('/stats', authenticateToken, getReferralStats);
 
 // @route   GET /api/referrals/top-agents
 // @desc    Get top performing agents (Admin only)
-// @access  Private (Admin only)
-router.get('/top-agents', authenticateToken, isAdmin, getTopAgents);
+// @access  Private (reports.view)
+router.get('/top-agents', authenticateToken, requirePermission('reports.view'), getTopAgents);
 
 // @route   POST /api/referrals/become-agent
 // @desc    Request to become an agent
@@ -63,17 +70,67 @@ router.put('/agent-profile', authenticateToken, [
   body('bankDetails.swiftCode').optional().notEmpty()
 ], updateAgentProfile);
 
+// @route   GET /api/referrals/tax-profile
+// @desc    Get agent's tax profile
+// @access  Private
+router.get('/tax-profile', authenticateToken, getTaxProfile);
+
+// @route   PUT /api/referrals/tax-profile
+// @desc    Submit or update agent's tax profile (needed before any payout)
+// @access  Private
+router.put('/tax-profile', authenticateToken, [
+  body('entityType').isIn(['individual', 'business']).withMessage('Entity type must be individual or business'),
+  body('legalName').trim().notEmpty().withMessage('Legal name is required'),
+  body('businessName').if(body('entityType').equals('business')).trim().notEmpty().withMessage('Business name is required for businesses'),
+  body('taxId').trim().isLength({ min: 4, max: 30 }).withMessage('Tax ID is required'),
+  body('vatNumber').optional({ values: 'falsy' }).trim().isLength({ max: 20 }).withMessage('VAT number is too long'),
+  body('address.line1').trim().notEmpty().withMessage('Address is required'),
+  body('address.line2').optional().trim(),
+  body('address.city').trim().notEmpty().withMessage('City is required'),
+  body('address.state').optional().trim(),
+  body('address.postalCode').optional().trim(),
+  body('address.country').isISO31661Alpha2().withMessage('Country must be a two-letter ISO code')
+], updateTaxProfile);
+
 // @route   GET /api/referrals/agent-dashboard
 // @desc    Get agent dashboard data
 // @access  Private
 router.get('/agent-dashboard', authenticateToken, getAgentDashboard);
 
 // @route   POST /api/referrals/request-payout
-// @desc    Request payout for pending commissions (Agent only)
+// @desc    Request payout of available commissions (Agent only)
 // @access  Private
 router.post('/request-payout', authenticateToken, [
   body('amount').isNumeric().withMessage('Amount must be a number'),
-  body('payoutMethod').isIn(['bank_transfer', 'stripe_payout']).withMessage('Invalid payout method')
+  body('payoutMethod').isIn(['bank_transfer', 'stripe_payout']).withMessage('Invalid payout method'),
+  body('currency').optional().isIn(['gbp', 'usd', 'eur']).withMessage('Currency must be gbp, usd or eur')
 ], requestPayout);
 
+// @route   GET /api/referrals/ledger
+// @desc    Get agent's ledger entries and running balance
+// @access  Private
+router.get('/ledger', authenticateToken, getMyLedger);
+
+// @route   POST /api/referrals/stripe-connect/onboarding
+// @desc    Create a Stripe Express account if needed and return an onboarding link (Agent only)
+// @access  Private
+router.post('/stripe-connect/onboarding', authenticateToken, [
+  body('country').optional().isISO31661Alpha2().withMessage('Country must be a two-letter ISO code')
+], createStripeOnboardingLink);
+
+// @route   GET /api/referrals/stripe-connect/status
+// @desc    Get the agent's Stripe Connect account status (Agent only)
+// @access  Private
+router.get('/stripe-connect/status', authenticateToken, getStripeAccountStatus);
+
+// @route   GET /api/referrals/statements/:year/:month
+// @desc    Download a monthly earnings statement (?format=pdf or csv) (Agent only)
+// @access  Private
+router.get('/statements/:year/:month', authenticateToken, downloadMonthlyStatement);
+
+// @route   GET /api/referrals/payouts/:id/remittance
+// @desc    Download the remittance advice of a completed payout (Agent only)
+// @access  Private
+router.get('/payouts/:id/remittance', authenticateToken, downloadPayoutRemittance);
+
 module.exports = router; 
\ No newline at end of file
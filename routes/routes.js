@@ -7,6 +7,7 @@ const courseRoutes = require('./courses');
 const paymentRoutes = require('./payments');
 const referralRoutes = require('./referrals');
 const adminRoutes = require('./admin');
+const cartRoutes = require('./cart');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -14,6 +15,7 @@ router.use('/courses', courseRoutes);
 router.use('/payments', paymentRoutes);
 router.use('/referrals', referralRoutes);
 router.use('/admin', adminRoutes);
+router.use('/cart', cartRoutes);
 
 // Health check route
 router.get('/health', (req, res) => {
@@ -7,6 +7,9 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const { body, validationResult } = require('express-validator');
+const { startCommissionHoldJob } = require('./jobs/commissionHoldJob');
+const { startPayoutScheduleJob } = require('./jobs/payoutScheduleJob');
+const { startCouponReservationJob } = require('./jobs/couponReservationJob');
 
 // Load env vars
 dotenv.config();
@@ -20,7 +23,13 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/course
 mongoose.connect(MONGODB_URI, {
   autoIndex: true
 })
-.then(() => console.log('MongoDB Connected'))
+.then(() => {
+  console.log('MongoDB Connected');
+  // Scheduled jobs
+  startCommissionHoldJob();
+  startPayoutScheduleJob();
+  startCouponReservationJob();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Middleware
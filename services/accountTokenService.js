@@ -0,0 +1,89 @@
+// Single-use tokens behind the email verification and password reset links.
+// Only a hash is stored, a new token replaces any earlier one, and consuming a
+// token clears it in the same update so it can't be used twice.
+
+const User = require('../models/User');
+const { generateSecureToken, hashToken } = require('../Utils/utils');
+const { sendEmailVerificationEmail, sendPasswordResetEmail } = require('./emailService');
+const { revokeUserSessions } = require('./sessionService');
+const { clearFailedLogins } = require('./loginProtectionService');
+
+// The emails quote these lifetimes
+const EMAIL_VERIFICATION_TOKEN_HOURS = 24;
+const PASSWORD_RESET_TOKEN_MINUTES = 60;
+
+// Email the user a link to confirm their address
+const sendEmailVerification = async (user) => {
+  const token = generateSecureToken();
+
+  await User.updateOne({ _id: user._id }, {
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpires: new Date(Date.now() + EMAIL_VERIFICATION_TOKEN_HOURS * 60 * 60 * 1000)
+  });
+
+  await sendEmailVerificationEmail(user, token);
+};
+
+const verifyEmail = async (token) => {
+  const user = await User.findOneAndUpdate(
+    { emailVerificationTokenHash: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+    {
+      emailVerifiedAt: new Date(),
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  ).select('-password');
+
+  if (!user) {
+    return { error: 'Invalid or expired verification link', statusCode: 400 };
+  }
+
+  return { user };
+};
+
+// Email a reset link if the address belongs to an account. Callers answer the
+// same way either way so the endpoint can't be used to look up accounts.
+const sendPasswordReset = async (email) => {
+  const user = await User.findOne({ email });
+  if (!user) return;
+
+  const token = generateSecureToken();
+
+  await User.updateOne({ _id: user._id }, {
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TOKEN_MINUTES * 60 * 1000)
+  });
+
+  await sendPasswordResetEmail(user, token);
+};
+
+// Set a new password, sign the user out everywhere and lift any lockout.
+// Following the link also proves they own the address.
+const resetPassword = async (token, password) => {
+  const user = await User.findOneAndUpdate(
+    { passwordResetTokenHash: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+  );
+
+  if (!user) {
+    return { error: 'Invalid or expired reset link', statusCode: 400 };
+  }
+
+  user.password = password; // The User model hashes it
+  if (!user.emailVerifiedAt) {
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await revokeUserSessions(user._id, 'password_reset');
+  await clearFailedLogins(user._id);
+
+  return { user };
+};
+
+module.exports = {
+  sendEmailVerification,
+  verifyEmail,
+  sendPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,243 @@
+// Documents that explain an agent's earnings: remittance advice listing the
+// commissions a completed payout covered, and monthly earnings statements.
+
+const PDFDocument = require('pdfkit');
+const Commission = require('../models/Commission');
+const Payout = require('../models/Payout');
+const {
+  DEFAULT_CURRENCY,
+  formatCurrency,
+  formatDate,
+  toCSV,
+  pdfToBuffer
+} = require('../Utils/utils');
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Only the customer's initials go on agent documents
+const getCustomerInitials = (customer) => {
+  if (!customer) return '-';
+
+  const initials = [customer.firstName, customer.lastName]
+    .filter(name => name && name.trim())
+    .map(name => `${name.trim()[0].toUpperCase()}.`)
+    .join('');
+
+  return initials || '-';
+};
+
+const findCommissions = (query) => {
+  return Commission.find(query)
+    .populate('referral', 'firstName lastName')
+    .populate({ path: 'payment', select: 'course', populate: { path: 'course', select: 'title' } })
+    .populate('payoutId', 'paymentReference completedAt')
+    .sort({ createdAt: 1 });
+};
+
+// One row per commission, the same for PDFs and CSVs
+const describeCommission = (commission) => {
+  const course = commission.payment && commission.payment.course ? commission.payment.course.title : '-';
+  const isAdjustment = commission.type === 'adjustment';
+
+  return {
+    date: commission.createdAt,
+    customer: getCustomerInitials(commission.referral),
+    course: isAdjustment ? `${course} (refund adjustment)` : course,
+    saleAmount: isAdjustment ? null : commission.originalAmount,
+    rate: isAdjustment ? null : commission.commissionRate,
+    amount: commission.amount,
+    currency: commission.currency || DEFAULT_CURRENCY,
+    status: commission.status,
+    tier: commission.tier || 1,
+    payout: commission.payoutId
+  };
+};
+
+const agentName = (agent) => `${agent.firstName} ${agent.lastName}`;
+
+// --- PDF layout --------------------------------------------------------------
+
+const shortDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const COMMISSION_COLUMNS = [
+  { header: 'Date', width: 65, value: row => shortDate(row.date) },
+  { header: 'Customer', width: 55, value: row => row.customer },
+  { header: 'Course', width: 170, value: row => truncate(row.course, 38) },
+  { header: 'Sale', width: 70, align: 'right', value: row => (row.saleAmount === null ? '-' : formatCurrency(row.saleAmount, row.currency)) },
+  { header: 'Rate', width: 50, align: 'right', value: row => (row.rate === null ? '-' : `${row.rate}%`) },
+  { header: 'Commission', width: 85, align: 'right', value: row => formatCurrency(row.amount, row.currency) }
+];
+
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const rowHeight = 16;
+
+  const drawRow = (values, font) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = left;
+    doc.font(font).fontSize(9);
+    columns.forEach((column, index) => {
+      doc.text(values[index], x, y, { width: column.width, align: column.align || 'left', lineBreak: false });
+      x += column.width;
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+  rows.forEach(row => drawRow(columns.map(column => column.value(row)), 'Helvetica'));
+  doc.moveDown();
+};
+
+const drawHeading = (doc, title, lines) => {
+  doc.font('Helvetica-Bold').fontSize(18).text(title);
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10);
+  lines.forEach(line => doc.text(line));
+  doc.moveDown();
+};
+
+// --- Remittance advice -------------------------------------------------------
+
+// PDF listing every commission a completed payout paid
+const generateRemittancePDF = async (agent, payout) => {
+  const commissions = await findCommissions({ payoutId: payout._id, status: 'paid' });
+  const rows = commissions.map(describeCommission);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  drawHeading(doc, 'Remittance Advice', [
+    `Agent: ${agentName(agent)}`,
+    `Payout: ${payout._id}`,
+    ...(payout.paymentReference ? [`Payment reference: ${payout.paymentReference}`] : []),
+    `Payment method: ${payout.paymentMethod.replace(/_/g, ' ')}`,
+    `Paid on: ${formatDate(payout.completedAt || new Date())}`
+  ]);
+
+  drawTable(doc, COMMISSION_COLUMNS, rows);
+
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(`Total paid: ${formatCurrency(payout.amount, payout.currency || DEFAULT_CURRENCY)}`, { align: 'right' });
+
+  return await pdfToBuffer(doc);
+};
+
+// --- Monthly statements ------------------------------------------------------
+
+// Commissions earned and payouts completed in one calendar month (UTC)
+const getMonthlyStatement = async (agent, year, month) => {
+  const from = new Date(Date.UTC(year, month - 1, 1));
+  const to = new Date(Date.UTC(year, month, 1));
+
+  const commissions = await findCommissions({ agent: agent._id, createdAt: { $gte: from, $lt: to } });
+  const payouts = await Payout.find({ agent: agent._id, status: 'completed', completedAt: { $gte: from, $lt: to } })
+    .sort({ completedAt: 1 });
+
+  const lines = commissions.map(describeCommission);
+
+  const totals = {};
+  const totalsFor = (currency) => {
+    totals[currency] = totals[currency] || { earned: 0, adjustments: 0, cancelled: 0, paidOut: 0 };
+    return totals[currency];
+  };
+
+  commissions.forEach(commission => {
+    const currencyTotals = totalsFor(commission.currency || DEFAULT_CURRENCY);
+    if (commission.type === 'adjustment') {
+      currencyTotals.adjustments = roundAmount(currencyTotals.adjustments + commission.amount);
+    } else if (commission.status === 'cancelled') {
+      currencyTotals.cancelled = roundAmount(currencyTotals.cancelled + commission.amount);
+    } else {
+      currencyTotals.earned = roundAmount(currencyTotals.earned + commission.amount);
+    }
+  });
+
+  payouts.forEach(payout => {
+    const currencyTotals = totalsFor(payout.currency || DEFAULT_CURRENCY);
+    currencyTotals.paidOut = roundAmount(currencyTotals.paidOut + payout.amount);
+  });
+
+  return {
+    period: { year, month, from, to, label: `${MONTH_NAMES[month - 1]} ${year}` },
+    lines,
+    payouts,
+    totals
+  };
+};
+
+const generateStatementPDF = async (agent, statement) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  drawHeading(doc, `Earnings Statement - ${statement.period.label}`, [
+    `Agent: ${agentName(agent)}`,
+    `Referral code: ${agent.referralCode || '-'}`,
+    `Generated: ${formatDate(new Date())}`
+  ]);
+
+  const currencies = Object.keys(statement.totals);
+  if (currencies.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No commissions or payouts this month.');
+    return await pdfToBuffer(doc);
+  }
+
+  doc.font('Helvetica-Bold').fontSize(12).text('Summary');
+  doc.moveDown(0.5);
+  drawTable(doc, [
+    { header: 'Currency', width: 95, value: currency => currency.toUpperCase() },
+    { header: 'Earned', width: 100, align: 'right', value: currency => formatCurrency(statement.totals[currency].earned, currency) },
+    { header: 'Adjustments', width: 100, align: 'right', value: currency => formatCurrency(statement.totals[currency].adjustments, currency) },
+    { header: 'Cancelled', width: 100, align: 'right', value: currency => formatCurrency(statement.totals[currency].cancelled, currency) },
+    { header: 'Paid out', width: 100, align: 'right', value: currency => formatCurrency(statement.totals[currency].paidOut, currency) }
+  ], currencies);
+
+  doc.font('Helvetica-Bold').fontSize(12).text('Commissions');
+  doc.moveDown(0.5);
+  drawTable(doc, COMMISSION_COLUMNS, statement.lines);
+
+  if (statement.payouts.length > 0) {
+    doc.font('Helvetica-Bold').fontSize(12).text('Payouts');
+    doc.moveDown(0.5);
+    drawTable(doc, [
+      { header: 'Paid on', width: 95, value: payout => shortDate(payout.completedAt) },
+      { header: 'Method', width: 110, value: payout => payout.paymentMethod.replace(/_/g, ' ') },
+      { header: 'Reference', width: 190, value: payout => truncate(payout.paymentReference || payout._id.toString(), 40) },
+      { header: 'Amount', width: 100, align: 'right', value: payout => formatCurrency(payout.amount, payout.currency || DEFAULT_CURRENCY) }
+    ], statement.payouts);
+  }
+
+  return await pdfToBuffer(doc);
+};
+
+const generateStatementCSV = (statement) => {
+  const header = ['Date', 'Customer', 'Course', 'Tier', 'Sale Amount', 'Rate (%)', 'Commission', 'Currency', 'Status', 'Paid On', 'Payout Reference'];
+
+  const rows = statement.lines.map(line => [
+    shortDate(line.date),
+    line.customer,
+    line.course,
+    line.tier,
+    line.saleAmount === null ? '' : line.saleAmount.toFixed(2),
+    line.rate === null ? '' : line.rate,
+    line.amount.toFixed(2),
+    line.currency.toUpperCase(),
+    line.status,
+    line.payout && line.payout.completedAt ? shortDate(line.payout.completedAt) : '',
+    line.payout ? line.payout.paymentReference || line.payout._id : ''
+  ]);
+
+  return toCSV([header, ...rows]);
+};
+
+module.exports = {
+  generateRemittancePDF,
+  getMonthlyStatement,
+  generateStatementPDF,
+  generateStatementCSV
+};
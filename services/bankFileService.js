@@ -0,0 +1,346 @@
+// Builders for the bank payment files admins upload to online banking.
+// Each item is { payout, agent } where agent.bankDetails has been verified.
+
+const { toCSV } = require('../Utils/utils');
+
+const BATCH_FORMATS = ['csv', 'bacs18', 'sepa'];
+
+// Formats that only carry one currency
+const FORMAT_CURRENCIES = {
+  bacs18: 'gbp',
+  sepa: 'eur'
+};
+
+const FILE_EXTENSIONS = {
+  csv: 'csv',
+  bacs18: 'txt',
+  sepa: 'xml'
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  bacs18: 'text/plain',
+  sepa: 'application/xml'
+};
+
+const toPence = (amount) => Math.round(amount * 100);
+
+const digitsOnly = (value) => (value || '').replace(/\D/g, '');
+
+const payeeName = (agent) => {
+  return agent.bankDetails.accountHolderName || `${agent.firstName} ${agent.lastName}`;
+};
+
+// Check an IBAN's country code, length and mod-97 checksum
+const isValidIban = (iban) => {
+  const normalized = (iban || '').replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(normalized)) return false;
+
+  const rearranged = normalized.slice(4) + normalized.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, letter => (letter.charCodeAt(0) - 55).toString());
+
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+// Returns an error message when an agent's bank details cannot be paid in a
+// format, or null when they can
+const checkBankDetailsForFormat = (bankDetails, format) => {
+  if (format === 'bacs18') {
+    if (digitsOnly(bankDetails.routingNumber).length !== 6) {
+      return 'BACS needs a 6 digit sort code in routingNumber';
+    }
+    if (digitsOnly(bankDetails.accountNumber).length !== 8) {
+      return 'BACS needs an 8 digit account number';
+    }
+  }
+
+  if (format === 'sepa' && !isValidIban(bankDetails.iban)) {
+    return 'SEPA needs a valid IBAN';
+  }
+
+  return null;
+};
+
+// --- CSV ---------------------------------------------------------------------
+
+const buildCsvFile = (batch, items) => {
+  const header = [
+    'Batch Reference',
+    'Payout ID',
+    'Agent Name',
+    'Agent Email',
+    'Account Holder',
+    'Bank Name',
+    'Account Number',
+    'Sort Code / Routing Number',
+    'IBAN',
+    'SWIFT / BIC',
+    'Amount',
+    'Currency',
+    'Payment Reference'
+  ];
+
+  const rows = items.map(({ payout, agent }) => [
+    batch.reference,
+    payout._id,
+    `${agent.firstName} ${agent.lastName}`,
+    agent.email,
+    payeeName(agent),
+    agent.bankDetails.bankName,
+    agent.bankDetails.accountNumber,
+    agent.bankDetails.routingNumber,
+    agent.bankDetails.iban,
+    agent.bankDetails.swiftCode,
+    payout.amount.toFixed(2),
+    payout.currency.toUpperCase(),
+    batch.reference
+  ]);
+
+  return toCSV([header, ...rows]);
+};
+
+// --- BACS Standard 18 --------------------------------------------------------
+// Labelled file: VOL1, HDR1, HDR2, UHL1, 100 character detail records, a contra
+// record debiting the originating account, then EOF1, EOF2 and UTL1 labels.
+
+// BACS allows upper case letters, digits, space and . & / -
+const bacsText = (value, length) => {
+  return (value || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 .&/-]/g, '')
+    .slice(0, length)
+    .padEnd(length, ' ');
+};
+
+const bacsNumber = (value, length) => String(value).padStart(length, '0').slice(-length);
+
+// ' YYDDD', the Julian date BACS labels use
+const bacsDate = (date) => {
+  const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 0);
+  const dayOfYear = Math.floor((date.getTime() - startOfYear) / (24 * 60 * 60 * 1000));
+  return ` ${String(date.getUTCFullYear()).slice(-2)}${bacsNumber(dayOfYear, 3)}`;
+};
+
+const getBacsOriginator = () => ({
+  serviceUserNumber: process.env.BACS_SERVICE_USER_NUMBER,
+  sortCode: digitsOnly(process.env.BACS_ORIGINATOR_SORT_CODE),
+  accountNumber: digitsOnly(process.env.BACS_ORIGINATOR_ACCOUNT_NUMBER),
+  name: process.env.BACS_ORIGINATOR_NAME
+});
+
+const bacsDetailRecord = ({ sortCode, accountNumber, transactionCode, originator, pence, reference, accountName }) => {
+  return [
+    bacsNumber(sortCode, 6),
+    bacsNumber(accountNumber, 8),
+    '0', // Account type
+    transactionCode,
+    bacsNumber(originator.sortCode, 6),
+    bacsNumber(originator.accountNumber, 8),
+    '    ', // Free format
+    bacsNumber(pence, 11),
+    bacsText(originator.name, 18),
+    bacsText(reference, 18),
+    bacsText(accountName, 18)
+  ].join('');
+};
+
+const buildBacsFile = (batch, items) => {
+  const originator = getBacsOriginator();
+  const sun = bacsNumber(originator.serviceUserNumber, 6);
+  const created = bacsDate(batch.createdAt || new Date());
+  const processing = bacsDate(batch.processingDate || new Date());
+  const volumeSerial = bacsNumber(batch.sequence, 6);
+
+  const fileLabel = (labelId) => [
+    labelId,
+    `A${sun}S  1${sun}`, // File identifier
+    volumeSerial, // File set identifier
+    '0001', // File section number
+    '0001', // File sequence number
+    '    ', // Generation number
+    '  ', // Generation version
+    created,
+    created, // Expiry date
+    ' ', // Accessibility
+    '000000', // Block count
+    ''.padEnd(13, ' '), // System code
+    ''.padEnd(7, ' ')
+  ].join('');
+
+  // Block length 2000, record length 100
+  const formatLabel = (labelId) => `${labelId}F0200000100${''.padEnd(35, ' ')}00${''.padEnd(28, ' ')}`;
+
+  const credits = items.map(({ payout, agent }) => bacsDetailRecord({
+    sortCode: digitsOnly(agent.bankDetails.routingNumber),
+    accountNumber: digitsOnly(agent.bankDetails.accountNumber),
+    transactionCode: '99', // Credit
+    originator,
+    pence: toPence(payout.amount),
+    reference: batch.reference,
+    accountName: payeeName(agent)
+  }));
+
+  const totalPence = items.reduce((sum, { payout }) => sum + toPence(payout.amount), 0);
+
+  const contra = bacsDetailRecord({
+    sortCode: originator.sortCode,
+    accountNumber: originator.accountNumber,
+    transactionCode: '17', // Debit contra
+    originator,
+    pence: totalPence,
+    reference: 'CONTRA',
+    accountName: originator.name
+  });
+
+  const lines = [
+    `VOL1${volumeSerial} ${''.padEnd(26, ' ')}    ${sun}${''.padEnd(32, ' ')}1`,
+    fileLabel('HDR1'),
+    formatLabel('HDR2'),
+    `UHL1${processing}999999000000001 DAILY  001${''.padEnd(44, ' ')}`,
+    ...credits,
+    contra,
+    fileLabel('EOF1'),
+    formatLabel('EOF2'),
+    [
+      'UTL1',
+      bacsNumber(totalPence, 13), // Debit value total
+      bacsNumber(totalPence, 13), // Credit value total
+      bacsNumber(1, 7), // Debit count
+      bacsNumber(credits.length, 7), // Credit count
+      ''.padEnd(36, ' ')
+    ].join('')
+  ];
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// --- SEPA Credit Transfer, pain.001.001.03 -----------------------------------
+
+const xmlEscape = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// SEPA accepts a basic Latin character set; accents are dropped rather than
+// rejected by the bank
+const sepaText = (value, length = 70) => {
+  return xmlEscape(
+    (value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9/?:().,'+ -]/g, '')
+      .slice(0, length)
+  );
+};
+
+const getSepaDebtor = () => ({
+  name: process.env.SEPA_DEBTOR_NAME,
+  iban: (process.env.SEPA_DEBTOR_IBAN || '').replace(/\s/g, '').toUpperCase(),
+  bic: process.env.SEPA_DEBTOR_BIC
+});
+
+const financialInstitution = (bic) => {
+  return bic
+    ? `<FinInstnId><BIC>${xmlEscape(bic.replace(/\s/g, '').toUpperCase())}</BIC></FinInstnId>`
+    : '<FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId>';
+};
+
+const buildSepaFile = (batch, items) => {
+  const debtor = getSepaDebtor();
+  const totalAmount = (items.reduce((sum, { payout }) => sum + toPence(payout.amount), 0) / 100).toFixed(2);
+  const createdAt = (batch.createdAt || new Date()).toISOString().slice(0, 19);
+  const executionDate = (batch.processingDate || new Date()).toISOString().slice(0, 10);
+
+  const transactions = items.map(({ payout, agent }) => {
+    const creditorAgent = agent.bankDetails.swiftCode
+      ? `\n        <CdtrAgt>${financialInstitution(agent.bankDetails.swiftCode)}</CdtrAgt>`
+      : '';
+
+    return `
+      <CdtTrfTxInf>
+        <PmtId><EndToEndId>${payout._id}</EndToEndId></PmtId>
+        <Amt><InstdAmt Ccy="EUR">${payout.amount.toFixed(2)}</InstdAmt></Amt>${creditorAgent}
+        <Cdtr><Nm>${sepaText(payeeName(agent))}</Nm></Cdtr>
+        <CdtrAcct><Id><IBAN>${agent.bankDetails.iban.replace(/\s/g, '').toUpperCase()}</IBAN></Id></CdtrAcct>
+        <RmtInf><Ustrd>${sepaText(`Commission payout ${batch.reference}`, 140)}</Ustrd></RmtInf>
+      </CdtTrfTxInf>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${batch.reference}</MsgId>
+      <CreDtTm>${createdAt}</CreDtTm>
+      <NbOfTxs>${items.length}</NbOfTxs>
+      <CtrlSum>${totalAmount}</CtrlSum>
+      <InitgPty><Nm>${sepaText(debtor.name)}</Nm></InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${batch.reference}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <BtchBookg>true</BtchBookg>
+      <NbOfTxs>${items.length}</NbOfTxs>
+      <CtrlSum>${totalAmount}</CtrlSum>
+      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl></PmtTpInf>
+      <ReqdExctnDt>${executionDate}</ReqdExctnDt>
+      <Dbtr><Nm>${sepaText(debtor.name)}</Nm></Dbtr>
+      <DbtrAcct><Id><IBAN>${debtor.iban}</IBAN></Id></DbtrAcct>
+      <DbtrAgt>${financialInstitution(debtor.bic)}</DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+};
+
+// Returns an error message when the platform's own account details for a
+// format are missing, or null when the format can be generated
+const checkOriginatorConfig = (format) => {
+  if (format === 'bacs18') {
+    const originator = getBacsOriginator();
+    if (digitsOnly(originator.serviceUserNumber).length !== 6 || originator.sortCode.length !== 6 ||
+        originator.accountNumber.length !== 8 || !originator.name) {
+      return 'BACS originator details are not configured (BACS_SERVICE_USER_NUMBER, BACS_ORIGINATOR_SORT_CODE, BACS_ORIGINATOR_ACCOUNT_NUMBER, BACS_ORIGINATOR_NAME)';
+    }
+  }
+
+  if (format === 'sepa') {
+    const debtor = getSepaDebtor();
+    if (!debtor.name || !isValidIban(debtor.iban)) {
+      return 'SEPA debtor details are not configured (SEPA_DEBTOR_NAME, SEPA_DEBTOR_IBAN)';
+    }
+  }
+
+  return null;
+};
+
+const FILE_BUILDERS = {
+  csv: buildCsvFile,
+  bacs18: buildBacsFile,
+  sepa: buildSepaFile
+};
+
+// Build the payment file for a batch
+const buildBatchFile = (batch, items) => ({
+  fileName: `${batch.reference}.${FILE_EXTENSIONS[batch.format]}`,
+  contentType: CONTENT_TYPES[batch.format],
+  content: FILE_BUILDERS[batch.format](batch, items)
+});
+
+module.exports = {
+  BATCH_FORMATS,
+  FORMAT_CURRENCIES,
+  isValidIban,
+  checkBankDetailsForFormat,
+  checkOriginatorConfig,
+  buildBatchFile
+};
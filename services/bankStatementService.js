@@ -0,0 +1,430 @@
+// Reconciles bank transfer payouts against a bank statement export.
+// Statements are parsed into lines of
+// { lineNumber, direction, amount, currency, bookedAt, reference } where
+// reference is the line's text, searched for payout and batch references.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const BankStatementImport = require('../models/BankStatementImport');
+const Payout = require('../models/Payout');
+const PayoutBatch = require('../models/PayoutBatch');
+const { DEFAULT_CURRENCY } = require('../Utils/utils');
+const { completePayout } = require('./payoutService');
+
+// Shorter references would match unrelated statement text
+const MIN_REFERENCE_LENGTH = 6;
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Banks upper-case, truncate and re-space references, so compare them
+// without case, spaces or punctuation
+const normaliseReference = (text) => String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const referenceIn = (text, reference) => {
+  const normalised = normaliseReference(reference);
+  return normalised.length >= MIN_REFERENCE_LENGTH && text.includes(normalised);
+};
+
+// "1,234.56", "1.234,56", "-12.50", "(12.50)", "£12.50" -> number
+const parseAmount = (value) => {
+  let text = String(value || '').trim();
+  if (!text) return null;
+
+  const negative = /^-|-$|^\(.*\)$/.test(text);
+  text = text.replace(/[^\d.,]/g, '');
+
+  // A comma followed by one or two final digits is a decimal comma
+  text = /,\d{1,2}$/.test(text)
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+
+  return negative ? -amount : amount;
+};
+
+// ISO dates, or day/month/year when the day cannot be a month.
+// Ambiguous dates are left out and the payout completes at import time.
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return new Date(Date.UTC(iso[1], iso[2] - 1, iso[3]));
+
+  const parts = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (!parts) return undefined;
+
+  const [first, second, year] = parts.slice(1).map(Number);
+  if (first > 12 && second <= 12) return new Date(Date.UTC(year, second - 1, first));
+  if (second > 12 && first <= 12) return new Date(Date.UTC(year, first - 1, second));
+
+  return undefined;
+};
+
+// --- CSV ---------------------------------------------------------------------
+// Bank CSV exports differ per bank, so columns are found by their header.
+// Amounts are either one signed column (optionally with a debit/credit
+// indicator column) or separate debit and credit columns.
+
+const CSV_COLUMNS = {
+  date: ['date', 'bookingdate', 'bookeddate', 'transactiondate', 'postingdate', 'valuedate'],
+  amount: ['amount', 'transactionamount', 'value'],
+  debit: ['debit', 'debitamount', 'paidout', 'moneyout', 'withdrawal', 'withdrawals', 'out'],
+  credit: ['credit', 'creditamount', 'paidin', 'moneyin', 'deposit', 'deposits', 'in'],
+  indicator: ['type', 'creditdebit', 'debitcredit', 'cdtdbtind', 'drcr'],
+  currency: ['currency', 'ccy']
+};
+
+const parseCsvRows = (content, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const parseCsvStatement = (content) => {
+  const firstLine = content.slice(0, content.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = parseCsvRows(content, delimiter);
+
+  const header = (rows[0] || []).map(normaliseReference).map(name => name.toLowerCase());
+  const column = (names) => header.findIndex(name => names.includes(name));
+  const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) => [key, column(names)]));
+
+  if (columns.amount === -1 && columns.debit === -1) {
+    return { error: 'Could not find an amount or debit column in the CSV header' };
+  }
+
+  const amountColumns = [columns.amount, columns.debit, columns.credit];
+  const lines = [];
+
+  rows.slice(1).forEach((row, index) => {
+    if (row.every(cell => !cell.trim())) return;
+
+    let amount;
+    let direction;
+    if (columns.debit !== -1 && parseAmount(row[columns.debit])) {
+      amount = Math.abs(parseAmount(row[columns.debit]));
+      direction = 'debit';
+    } else if (columns.credit !== -1 && parseAmount(row[columns.credit])) {
+      amount = Math.abs(parseAmount(row[columns.credit]));
+      direction = 'credit';
+    } else if (columns.amount !== -1 && parseAmount(row[columns.amount]) !== null) {
+      const signed = parseAmount(row[columns.amount]);
+      const indicator = columns.indicator !== -1 ? String(row[columns.indicator] || '').trim().toUpperCase() : '';
+      amount = Math.abs(signed);
+      direction = indicator
+        ? (/^(D|DR|DBIT|DEBIT)$/.test(indicator) ? 'debit' : 'credit')
+        : (signed < 0 ? 'debit' : 'credit');
+    } else {
+      return;
+    }
+
+    lines.push({
+      lineNumber: index + 2, // Header is line 1
+      direction,
+      amount,
+      currency: columns.currency !== -1 && row[columns.currency] ? row[columns.currency].trim().toLowerCase() : undefined,
+      bookedAt: columns.date !== -1 ? parseDate(row[columns.date]) : undefined,
+      reference: row.filter((cell, cellIndex) => !amountColumns.includes(cellIndex)).join(' ').trim()
+    });
+  });
+
+  return { format: 'csv', lines };
+};
+
+// --- CAMT.053 ----------------------------------------------------------------
+// ISO 20022 bank-to-customer statement. Each <Ntry> is one booking; a batch
+// booking lists its payments as <TxDtls>, which become separate lines when
+// they carry their own amounts. Tags may carry a namespace prefix.
+
+const elements = (xml, name) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[0]);
+};
+
+const innerText = (element) => {
+  return element
+    .replace(/^<[^>]+>|<\/[^>]+>$/g, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const firstText = (xml, name) => {
+  const [element] = elements(xml, name);
+  return element ? innerText(element) : undefined;
+};
+
+// First <Amt> in a fragment, as { amount, currency }
+const camtAmount = (xml) => {
+  const match = xml.match(/<(?:\w+:)?Amt\b([^>]*)>([^<]+)</);
+  if (!match) return null;
+
+  const currency = match[1].match(/Ccy="([A-Za-z]{3})"/);
+  return {
+    amount: parseFloat(match[2]),
+    currency: currency ? currency[1].toLowerCase() : undefined
+  };
+};
+
+const camtDirection = (xml) => {
+  return firstText(xml, 'CdtDbtInd') === 'DBIT' ? 'debit' : 'credit';
+};
+
+const parseCamtStatement = (content) => {
+  const [statement] = elements(content, 'Stmt');
+  if (!statement) {
+    return { error: 'The XML file is not a CAMT.053 statement' };
+  }
+
+  const [account] = elements(statement, 'Acct');
+  const accountCurrency = account ? firstText(account, 'Ccy') : undefined;
+  const lines = [];
+
+  elements(statement, 'Ntry').forEach((entry, index) => {
+    const lineNumber = index + 1;
+    const details = elements(entry, 'NtryDtls').join('');
+    const head = elements(entry, 'NtryDtls').reduce((rest, detail) => rest.replace(detail, ''), entry);
+    const entryAmount = camtAmount(head);
+    if (!entryAmount) return;
+
+    const direction = camtDirection(head);
+    const bookingDate = elements(head, 'BookgDt')[0];
+    const bookedAt = bookingDate ? parseDate(firstText(bookingDate, 'Dt') || firstText(bookingDate, 'DtTm')) : undefined;
+    const entryCurrency = entryAmount.currency || (accountCurrency && accountCurrency.toLowerCase());
+
+    const transactions = elements(details, 'TxDtls')
+      .map(transaction => ({ transaction, amount: camtAmount(transaction) }))
+      .filter(({ amount }) => amount);
+
+    if (transactions.length > 1) {
+      transactions.forEach(({ transaction, amount }) => {
+        lines.push({
+          lineNumber,
+          direction: elements(transaction, 'CdtDbtInd').length > 0 ? camtDirection(transaction) : direction,
+          amount: amount.amount,
+          currency: amount.currency || entryCurrency,
+          bookedAt,
+          reference: innerText(transaction)
+        });
+      });
+      return;
+    }
+
+    lines.push({
+      lineNumber,
+      direction,
+      amount: entryAmount.amount,
+      currency: entryCurrency,
+      bookedAt,
+      reference: innerText(entry)
+    });
+  });
+
+  return { format: 'camt053', statementId: firstText(statement, 'Id'), lines };
+};
+
+const parseStatement = (content, fileName) => {
+  const text = content.replace(/^\uFEFF/, '');
+
+  if (/\.xml$/i.test(fileName) || text.trimStart().startsWith('<')) {
+    return parseCamtStatement(text);
+  }
+
+  return parseCsvStatement(text);
+};
+
+// --- Reconciliation ------------------------------------------------------------
+
+const sameCurrency = (line, payout) => !line.currency || line.currency === (payout.currency || DEFAULT_CURRENCY);
+
+// A debit pays one payout when it carries the payout's id or own reference
+// and its amount. A debit carrying a batch reference pays the whole batch when
+// it matches the batch's open total, or one payout in the batch with its amount
+// when the bank lists the file's payments separately.
+const findMatch = (line, openPayouts, batches) => {
+  const text = normaliseReference(line.reference);
+  const cents = toCents(line.amount);
+  const candidates = openPayouts.filter(payout => toCents(payout.amount) === cents && sameCurrency(line, payout));
+
+  const byId = candidates.find(payout => referenceIn(text, payout._id.toString()));
+  if (byId) return { payouts: [byId] };
+
+  const byReference = candidates.find(payout => referenceIn(text, payout.paymentReference));
+  if (byReference) return { payouts: [byReference] };
+
+  for (const batch of batches) {
+    if (!referenceIn(text, batch.reference)) continue;
+
+    const batchPayouts = openPayouts.filter(payout => payout.payoutBatch && payout.payoutBatch.equals(batch._id));
+    const batchCents = batchPayouts.reduce((sum, payout) => sum + toCents(payout.amount), 0);
+    if (batchPayouts.length > 0 && batchCents === cents && batchPayouts.every(payout => sameCurrency(line, payout))) {
+      return { payouts: batchPayouts, payoutBatch: batch };
+    }
+
+    const single = candidates.find(payout => payout.payoutBatch && payout.payoutBatch.equals(batch._id));
+    if (single) return { payouts: [single], payoutBatch: batch };
+  }
+
+  return null;
+};
+
+// A batch the statement paid from was evidently sent, and once none of its
+// payouts are left processing it is completed
+const updateBatches = async (batchIds, adminId) => {
+  for (const batchId of batchIds) {
+    await PayoutBatch.updateOne(
+      { _id: batchId, status: 'generated' },
+      { status: 'sent', sentAt: new Date(), sentBy: adminId }
+    );
+
+    const stillOpen = await Payout.exists({ payoutBatch: batchId, status: 'processing' });
+    if (stillOpen) continue;
+
+    await PayoutBatch.updateOne(
+      { _id: batchId, status: 'sent' },
+      { status: 'completed', completedAt: new Date() }
+    );
+  }
+};
+
+const removeUpload = (filePath) => {
+  fs.promises.unlink(filePath).catch(error => console.error('Error removing bank statement upload:', error));
+};
+
+// Import an uploaded statement: complete every processing bank transfer payout
+// a debit line pays, and report the lines and payouts left unmatched
+const importBankStatement = async ({ filePath, fileName, adminId }) => {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const fileHash = crypto.createHash('sha256').update(content).digest('hex');
+
+  if (await BankStatementImport.exists({ fileHash })) {
+    removeUpload(filePath);
+    return { error: 'This bank statement has already been imported', statusCode: 409 };
+  }
+
+  const parsed = parseStatement(content, fileName);
+  if (parsed.error) {
+    removeUpload(filePath);
+    return { error: parsed.error, statusCode: 400 };
+  }
+
+  const debitLines = parsed.lines.filter(line => line.direction === 'debit' && line.amount > 0);
+  // Standalone bank transfers and every payout in a bank file batch
+  let openPayouts = await Payout.find({
+    status: 'processing',
+    $or: [{ paymentMethod: 'bank_transfer' }, { payoutBatch: { $ne: null } }]
+  }).sort({ createdAt: 1 });
+  const batches = await PayoutBatch.find({
+    _id: { $in: openPayouts.map(payout => payout.payoutBatch).filter(Boolean) }
+  }).select('reference');
+
+  const matchedLines = [];
+  const unmatchedLines = [];
+  const touchedBatches = new Set();
+  let matchedCents = 0;
+
+  for (const line of debitLines) {
+    const entry = {
+      lineNumber: line.lineNumber,
+      bookedAt: line.bookedAt,
+      amount: line.amount,
+      currency: line.currency,
+      reference: line.reference.slice(0, 500)
+    };
+
+    const match = findMatch(line, openPayouts, batches);
+    if (!match) {
+      unmatchedLines.push({ ...entry, reason: 'No processing payout with this reference and amount' });
+      continue;
+    }
+
+    const completed = [];
+    for (const payout of match.payouts) {
+      const result = await completePayout(payout, { adminId, completedAt: line.bookedAt });
+      if (!result.error) completed.push(payout);
+      if (payout.payoutBatch) touchedBatches.add(payout.payoutBatch.toString());
+    }
+
+    openPayouts = openPayouts.filter(payout => !match.payouts.includes(payout));
+
+    if (completed.length === 0) {
+      unmatchedLines.push({ ...entry, reason: 'The matching payout could not be completed' });
+      continue;
+    }
+
+    matchedCents += toCents(line.amount);
+    matchedLines.push({
+      ...entry,
+      payouts: completed.map(payout => payout._id),
+      payoutBatch: match.payoutBatch ? match.payoutBatch._id : undefined
+    });
+  }
+
+  await updateBatches([...touchedBatches], adminId);
+
+  const statementImport = await BankStatementImport.create({
+    fileName,
+    filePath,
+    fileHash,
+    format: parsed.format,
+    statementId: parsed.statementId,
+    lineCount: parsed.lines.length,
+    debitCount: debitLines.length,
+    matchedLines,
+    unmatchedLines,
+    matchedAmount: matchedCents / 100,
+    openPayouts: openPayouts.map(payout => payout._id),
+    importedBy: adminId
+  });
+
+  return { statementImport };
+};
+
+module.exports = {
+  parseStatement,
+  findMatch,
+  importBankStatement
+};
@@ -0,0 +1,238 @@
+const Commission = require('../models/Commission');
+const CommissionRule = require('../models/CommissionRule');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { calculateCommission } = require('../Utils/utils');
+const { recordLedgerEntry } = require('./ledgerService');
+
+// Rate used when an agent has no custom rate. Rates are percentages (10 = 10%)
+// everywhere: on User.commissionRate, Commission.commissionRate and in the env.
+const DEFAULT_COMMISSION_PERCENTAGE = parseFloat(process.env.COMMISSION_PERCENTAGE || 10);
+
+// Override percentages paid up the referral chain, starting with the direct
+// agent's own referrer (tier 2). "3,1" pays 3% at tier 2 and 1% at tier 3;
+// its length is the depth limit, so an empty value pays the direct agent only.
+const OVERRIDE_PERCENTAGES = (process.env.REFERRAL_OVERRIDE_PERCENTAGES || '')
+  .split(',')
+  .map(value => value.trim())
+  .filter(Boolean)
+  .map(Number);
+
+// Days a new commission is held before it can be paid out, so refunds and
+// chargebacks made in that window never reach a payout
+const COMMISSION_HOLD_DAYS = parseFloat(process.env.COMMISSION_HOLD_DAYS || 30);
+
+// Only approved, active agents earn commission
+const isEligibleAgent = (agent) => {
+  return !!(agent && agent.role === 'agent' && agent.isActiveAgent);
+};
+
+// How specific a rule is: agent + course beats course, which beats category
+const ruleSpecificity = (rule) => {
+  if (rule.agent) return 3;
+  if (rule.course) return 2;
+  return 1;
+};
+
+// Find the most specific active rule for an agent's sale of a course at a date.
+// Between equally specific rules a date-bounded promotion wins, then the newest.
+const findCommissionRule = async (agent, course, date = new Date()) => {
+  const rules = await CommissionRule.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: date } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: date } }] },
+      {
+        $or: [
+          { agent: agent._id, course: course._id },
+          { agent: null, course: course._id },
+          { agent: null, course: null, category: course.category }
+        ]
+      }
+    ]
+  });
+
+  const isPromotion = (rule) => (rule.startsAt || rule.endsAt ? 1 : 0);
+
+  rules.sort((a, b) =>
+    ruleSpecificity(b) - ruleSpecificity(a) ||
+    isPromotion(b) - isPromotion(a) ||
+    b.createdAt - a.createdAt
+  );
+
+  return rules[0] || null;
+};
+
+// Commission percentage an agent earns at a tier of the referral chain, and
+// where it came from. Rules only apply to the direct agent; the agents above
+// them are paid the override schedule.
+const getCommissionRate = async (agent, tier = 1, course = null, date = new Date()) => {
+  if (tier > 1) {
+    return { commissionRate: OVERRIDE_PERCENTAGES[tier - 2], rateSource: 'override' };
+  }
+
+  const rule = course ? await findCommissionRule(agent, course, date) : null;
+  if (rule) {
+    return { commissionRate: rule.rate, rateSource: 'rule', commissionRule: rule._id };
+  }
+
+  if (agent.commissionRate !== undefined && agent.commissionRate !== null) {
+    return { commissionRate: agent.commissionRate, rateSource: 'agent' };
+  }
+
+  return { commissionRate: DEFAULT_COMMISSION_PERCENTAGE, rateSource: 'default' };
+};
+
+// Create one agent's commission at one tier, or return the one already recorded
+const createTierCommission = async (payment, buyer, agent, tier, course) => {
+  const existingCommission = await Commission.findOne({ payment: payment._id, agent: agent._id, type: 'commission' });
+  if (existingCommission) return { commission: existingCommission, created: false };
+
+  const { commissionRate, rateSource, commissionRule } = await getCommissionRate(
+    agent,
+    tier,
+    course,
+    payment.createdAt
+  );
+  const amount = calculateCommission(payment.amount, commissionRate);
+  const earnedAt = payment.createdAt || new Date();
+
+  const commission = new Commission({
+    agent: agent._id,
+    referral: buyer._id,
+    payment: payment._id,
+    amount,
+    currency: payment.currency,
+    status: 'pending', // Held until the hold period ends
+    availableAt: new Date(earnedAt.getTime() + COMMISSION_HOLD_DAYS * 24 * 60 * 60 * 1000),
+    commissionRate,
+    rateSource,
+    commissionRule,
+    originalAmount: payment.amount,
+    type: 'commission',
+    tier
+  });
+
+  try {
+    await commission.save();
+  } catch (error) {
+    // Another request created the commission first
+    if (error.code === 11000) {
+      const duplicate = await Commission.findOne({ payment: payment._id, agent: agent._id, type: 'commission' });
+      return { commission: duplicate, created: false };
+    }
+    throw error;
+  }
+
+  await User.findByIdAndUpdate(agent._id, { $inc: { totalCommission: amount } });
+
+  await recordLedgerEntry({
+    agent: agent._id,
+    type: 'commission_earned',
+    amount,
+    currency: commission.currency,
+    commission: commission._id,
+    payment: payment._id,
+    reference: `commission_earned:${commission._id}`,
+    description: tier > 1 ? `Tier ${tier} override commission` : 'Referral commission'
+  });
+
+  return { commission, created: true };
+};
+
+// Create the referral commissions for a completed payment: the buyer's own agent
+// at tier 1, then each agent further up the chain at the override rates. Safe to
+// call more than once for the same payment: commissions already recorded are
+// returned instead of being created again.
+const createCommissionsForPayment = async (payment, buyer) => {
+  const commissions = [];
+  const visited = new Set([buyer._id.toString()]);
+  let agentId = buyer.referredBy;
+  if (!agentId) return commissions;
+
+  const course = await Course.findById(payment.course);
+
+  for (let tier = 1; agentId && tier <= OVERRIDE_PERCENTAGES.length + 1; tier++) {
+    // Stop if the referral chain loops back on itself
+    if (visited.has(agentId.toString())) break;
+    visited.add(agentId.toString());
+
+    const agent = await User.findById(agentId);
+    if (!agent) break;
+
+    // Inactive agents earn nothing but the chain carries on above them
+    if (isEligibleAgent(agent)) {
+      const { commission, created } = await createTierCommission(payment, buyer, agent, tier, course);
+      commissions.push(commission);
+
+      if (tier === 1 && created) {
+        payment.referralAgent = agent._id;
+        payment.commissionAmount = commission.amount;
+        payment.commissionStatus = 'pending';
+        await payment.save();
+
+        // Count each referred buyer once, however many courses they buy
+        await User.updateOne(
+          { _id: agent._id, referrals: { $ne: buyer._id } },
+          { $addToSet: { referrals: buyer._id }, $inc: { totalReferrals: 1 } }
+        );
+      }
+    }
+
+    agentId = agent.referredBy;
+  }
+
+  return commissions;
+};
+
+// Make held commissions payable once their hold period has ended. Commissions
+// created before hold periods existed have no availableAt and are released at once.
+const releaseMaturedCommissions = async (now = new Date()) => {
+  const result = await Commission.updateMany(
+    {
+      status: 'pending',
+      $or: [{ availableAt: { $lte: now } }, { availableAt: null }]
+    },
+    { status: 'available', updatedAt: now }
+  );
+
+  return result.modifiedCount;
+};
+
+// Cancel an unpaid commission by hand. Commissions locked in a payout that is
+// being processed are left alone. Resolves to null when nothing was cancelled.
+const cancelCommission = async (commissionId, reason, cancelledBy) => {
+  const commission = await Commission.findOneAndUpdate(
+    { _id: commissionId, type: 'commission', status: { $in: ['pending', 'available'] }, payoutId: null },
+    { status: 'cancelled', reversedAt: new Date(), reversalReason: reason, updatedAt: new Date() },
+    { new: true }
+  );
+  if (!commission) return null;
+
+  await User.findByIdAndUpdate(commission.agent, { $inc: { totalCommission: -commission.amount } });
+
+  await recordLedgerEntry({
+    agent: commission.agent,
+    type: 'commission_reversal',
+    amount: commission.amount,
+    currency: commission.currency,
+    commission: commission._id,
+    payment: commission.payment,
+    description: reason,
+    createdBy: cancelledBy
+  });
+
+  return commission;
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_PERCENTAGE,
+  COMMISSION_HOLD_DAYS,
+  OVERRIDE_PERCENTAGES,
+  isEligibleAgent,
+  findCommissionRule,
+  getCommissionRate,
+  createCommissionsForPayment,
+  releaseMaturedCommissions,
+  cancelCommission
+};
@@ -0,0 +1,168 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Payment = require('../models/Payment');
+const stripe = require('./stripeClient');
+
+// How long an unpaid checkout keeps its coupon use
+const COUPON_RESERVATION_MINUTES = parseFloat(process.env.COUPON_RESERVATION_MINUTES || 60);
+
+// Look up a coupon by code and check that this user can redeem it on this course.
+// Resolves to { coupon } when it can be used, otherwise { error } with a message for the buyer.
+const findRedeemableCoupon = async (code, userId, courseId, currency) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Invalid coupon code' };
+  }
+
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: 'This coupon is not active yet' };
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return { error: 'This coupon has expired' };
+  }
+
+  if (coupon.maxRedemptions && coupon.timesRedeemed >= coupon.maxRedemptions) {
+    return { error: 'This coupon has reached its redemption limit' };
+  }
+
+  if (coupon.courses.length > 0 && !coupon.courses.some(id => id.toString() === courseId.toString())) {
+    return { error: 'This coupon is not valid for this course' };
+  }
+
+  // Fixed-off coupons are worth an amount in one currency only
+  if (coupon.discountType === 'fixed' && coupon.currency && coupon.currency !== currency) {
+    return { error: `This coupon can only be used for ${coupon.currency.toUpperCase()} payments` };
+  }
+
+  const userRedemptions = await Payment.countDocuments({
+    user: userId,
+    coupon: coupon._id,
+    status: 'completed'
+  });
+
+  if (userRedemptions >= coupon.maxRedemptionsPerUser) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  return { coupon };
+};
+
+// Calculate the discount a coupon gives on an amount, never more than the amount itself
+const calculateDiscount = (coupon, amount) => {
+  const discount = coupon.discountType === 'percent'
+    ? amount * coupon.discountValue / 100
+    : coupon.discountValue;
+
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+// Hand a reserved use back to the coupon. Safe to call more than once.
+const releaseRedemption = async (reservationId) => {
+  const reservation = await CouponRedemption.findOneAndUpdate(
+    { _id: reservationId, status: 'reserved' },
+    { status: 'released', releasedAt: new Date() }
+  );
+  if (!reservation) return;
+
+  await Coupon.updateOne({ _id: reservation.coupon }, { $inc: { timesRedeemed: -1 } });
+};
+
+// Hold one use of the coupon for a checkout. `timesRedeemed` counts reserved
+// and redeemed uses, so the limit is claimed in a single conditional update and
+// two buyers can't both take the last use. Resolves to { reservation } or { error }.
+const reserveRedemption = async (coupon, userId) => {
+  // An earlier unpaid checkout by this user gives its use back. If it is paid
+  // after all, recordRedemption still counts it.
+  const earlier = await CouponRedemption.find({ coupon: coupon._id, user: userId, status: 'reserved' });
+  for (const reservation of earlier) {
+    await releaseRedemption(reservation._id);
+  }
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      ...(coupon.maxRedemptions && { timesRedeemed: { $lt: coupon.maxRedemptions } })
+    },
+    { $inc: { timesRedeemed: 1 } }
+  );
+  if (!claimed) {
+    return { error: 'This coupon has reached its redemption limit' };
+  }
+
+  const reservation = await CouponRedemption.create({
+    coupon: coupon._id,
+    user: userId,
+    expiresAt: new Date(Date.now() + COUPON_RESERVATION_MINUTES * 60 * 1000)
+  });
+
+  // Counted after creating ours, so concurrent checkouts by the same user
+  // can't both pass the per-user limit
+  const userRedemptions = await CouponRedemption.countDocuments({
+    coupon: coupon._id,
+    user: userId,
+    status: { $in: ['reserved', 'redeemed'] }
+  });
+  if (userRedemptions > coupon.maxRedemptionsPerUser) {
+    await releaseRedemption(reservation._id);
+    return { error: 'You have already used this coupon' };
+  }
+
+  return { reservation };
+};
+
+// Release reservations whose checkout was abandoned. Stripe never cancels an
+// unpaid intent by itself, so it is cancelled here to stop it being paid at
+// the discount later. Intents that can no longer be cancelled (already paid
+// or processing) keep their reservation for the webhook to settle.
+// Resolves to the number of reservations released.
+const releaseExpiredRedemptions = async () => {
+  const expired = await CouponRedemption.find({ status: 'reserved', expiresAt: { $lte: new Date() } });
+  let released = 0;
+
+  for (const reservation of expired) {
+    try {
+      if (reservation.paymentIntentId) {
+        try {
+          await stripe.paymentIntents.cancel(reservation.paymentIntentId);
+        } catch (cancelError) {
+          const paymentIntent = await stripe.paymentIntents.retrieve(reservation.paymentIntentId);
+          if (paymentIntent.status !== 'canceled') continue;
+        }
+      }
+
+      await releaseRedemption(reservation._id);
+      released++;
+    } catch (error) {
+      console.error(`Error releasing coupon reservation ${reservation._id}:`, error);
+    }
+  }
+
+  return released;
+};
+
+// Count a paid redemption against the coupon's limits. The reservation made
+// with the intent already holds the use; a released reservation, or an intent
+// created before reservations existed, takes a new one since the buyer has paid.
+const recordRedemption = async (couponId, reservationId) => {
+  if (reservationId) {
+    const reservation = await CouponRedemption.findOneAndUpdate(
+      { _id: reservationId, status: { $ne: 'redeemed' } },
+      { status: 'redeemed', redeemedAt: new Date() }
+    );
+    if (!reservation || reservation.status === 'reserved') return;
+  }
+
+  await Coupon.updateOne({ _id: couponId }, { $inc: { timesRedeemed: 1 } });
+};
+
+module.exports = {
+  findRedeemableCoupon,
+  calculateDiscount,
+  reserveRedemption,
+  releaseRedemption,
+  releaseExpiredRedemptions,
+  recordRedemption
+};
@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
+const { formatCurrency } = require('../Utils/utils');
 
 const transporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST,
@@ -37,7 +38,7 @@ Congratulations! Your purchase of "${course.title}" has been completed successfu
 - Title: ${course.title}
 - Duration: ${course.duration || 'Lifetime access'}
 - Category: ${course.category || 'General'}
-- Price: £${course.price}
+- Price: ${formatCurrency(course.price)}
 
 🎯 What's included:
 - Full course content and materials
@@ -78,7 +79,7 @@ The Course Platform Team`,
             <li><strong>Title:</strong> ${course.title}</li>
             <li><strong>Duration:</strong> ${course.duration || 'Lifetime access'}</li>
             <li><strong>Category:</strong> ${course.category || 'General'}</li>
-            <li><strong>Price:</strong> £${course.price}</li>
+            <li><strong>Price:</strong> ${formatCurrency(course.price)}</li>
           </ul>
         </div>
         
@@ -143,7 +144,7 @@ Thank you for your purchase! Your payment has been processed successfully.
 
 📋 Purchase Details:
 - Course: ${course.title}
-- Amount: £${payment?.amount || course.price}
+- Amount: ${payment ? formatCurrency(payment.amount, payment.currency) : formatCurrency(course.price)}
 - Transaction ID: ${payment?.transactionId || 'N/A'}
 - Date: ${new Date().toLocaleDateString()}
 
@@ -180,7 +181,7 @@ The Course Platform Team`,
           <h3 style="color: #2c3e50; margin-bottom: 15px;">📋 Purchase Details</h3>
           <ul style="color: #34495e; line-height: 1.6;">
             <li><strong>Course:</strong> ${course.title}</li>
-            <li><strong>Amount:</strong> £${payment?.amount || course.price}</li>
+            <li><strong>Amount:</strong> ${payment ? formatCurrency(payment.amount, payment.currency) : formatCurrency(course.price)}</li>
             <li><strong>Transaction ID:</strong> ${payment?.transactionId || 'N/A'}</li>
             <li><strong>Date:</strong> ${new Date().toLocaleDateString()}</li>
           </ul>
@@ -228,8 +229,83 @@ The Course Platform Team`,
   await transporter.sendMail(mailOptions);
 };
 
+// Tell an agent their payout arrived, or that it failed and the money is back in their balance.
+// Completed payouts carry the remittance advice PDF when one is given.
+const sendPayoutStatusEmail = async (agent, payout, remittancePdf = null) => {
+  const amount = formatCurrency(payout.amount, payout.currency);
+  const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard`;
+  const completed = payout.status === 'completed';
+
+  const message = completed
+    ? `Your payout of ${amount} has been completed${payout.paymentReference ? ` (reference ${payout.paymentReference})` : ''}.${remittancePdf ? ' The attached remittance advice lists the sales it covers.' : ''}`
+    : `Your payout of ${amount} could not be completed${payout.failureReason ? `: ${payout.failureReason}` : ''}. The commissions it covered are back in your available balance and can be requested again.`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: agent.email,
+    subject: completed ? `Your payout of ${amount} has been sent` : `Your payout of ${amount} failed`,
+    text: `Hi ${agent.firstName},\n\n${message}\n\nYou can see your balance at: ${dashboardUrl}\n\nBest regards,\nThe Course Platform Team`,
+    html: `<p>Hi ${agent.firstName},</p><p>${message}</p><p>You can see your balance on your <a href="${dashboardUrl}">dashboard</a>.</p><p>Best regards,<br>The Course Platform Team</p>`,
+    attachments: remittancePdf ? [{
+      filename: `remittance_${payout._id}.pdf`,
+      content: remittancePdf
+    }] : []
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+const sendEmailVerificationEmail = async (user, token) => {
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${token}`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening this link:\n${verifyUrl}\n\nThe link expires in 24 hours. If you didn't create an account, you can ignore this email.\n\nBest regards,\nThe Course Platform Team`,
+    html: `<p>Hi ${user.firstName},</p><p>Please confirm your email address by clicking <a href="${verifyUrl}">this link</a>.</p><p>The link expires in 24 hours. If you didn't create an account, you can ignore this email.</p><p>Best regards,<br>The Course Platform Team</p>`
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+const sendPasswordResetEmail = async (user, token) => {
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${resetUrl}\n\nThe link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.\n\nBest regards,\nThe Course Platform Team`,
+    html: `<p>Hi ${user.firstName},</p><p>We received a request to reset your password. <a href="${resetUrl}">Click here</a> to choose a new one.</p><p>The link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.</p><p>Best regards,<br>The Course Platform Team</p>`
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+// Sent when repeated failed sign-ins lock an account
+const sendAccountLockedEmail = async (user, lockedUntil, { ipAddress, userAgent } = {}) => {
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/forgot-password`;
+  const until = lockedUntil.toUTCString();
+  const source = [ipAddress && `IP address ${ipAddress}`, userAgent].filter(Boolean).join(', ');
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: user.email,
+    subject: 'Your account has been temporarily locked',
+    text: `Hi ${user.firstName},\n\nWe locked your account until ${until} after ${user.failedLoginAttempts} failed sign-in attempts${source ? ` (latest from ${source})` : ''}.\n\nIf this wasn't you, someone may be trying to guess your password. Resetting your password unlocks the account straight away: ${resetUrl}\n\nBest regards,\nThe Course Platform Team`,
+    html: `<p>Hi ${user.firstName},</p><p>We locked your account until ${until} after ${user.failedLoginAttempts} failed sign-in attempts${source ? ` (latest from ${source})` : ''}.</p><p>If this wasn't you, someone may be trying to guess your password. <a href="${resetUrl}">Resetting your password</a> unlocks the account straight away.</p><p>Best regards,<br>The Course Platform Team</p>`
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
 module.exports = {
   sendWelcomeEmail,
   sendCourseAccessEmail,
-  sendCoursePurchaseEmail
+  sendCoursePurchaseEmail,
+  sendPayoutStatusEmail,
+  sendEmailVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail
 };
\ No newline at end of file
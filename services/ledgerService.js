@@ -0,0 +1,265 @@
+const AgentLedgerEntry = require('../models/AgentLedgerEntry');
+const Commission = require('../models/Commission');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { DEFAULT_CURRENCY } = require('../Utils/utils');
+
+// Account the agent's running balance is kept in
+const AGENT_ACCOUNT = 'agent_payable';
+
+// Which accounts each kind of entry moves money between
+const ENTRY_ACCOUNTS = {
+  commission_earned: { debitAccount: 'commission_expense', creditAccount: AGENT_ACCOUNT },
+  commission_reversal: { debitAccount: AGENT_ACCOUNT, creditAccount: 'commission_expense' },
+  adjustment: { debitAccount: AGENT_ACCOUNT, creditAccount: 'commission_expense' },
+  payout: { debitAccount: AGENT_ACCOUNT, creditAccount: 'cash' },
+  // A completed payout that bounced or was reversed is owed to the agent again
+  payout_reversal: { debitAccount: 'cash', creditAccount: AGENT_ACCOUNT }
+};
+
+// Differences smaller than this are rounding, not drift
+const RECONCILIATION_TOLERANCE = 0.01;
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Append an entry to an agent's ledger and work out the new running balance.
+// Entries with a reference are only ever recorded once.
+const recordLedgerEntry = async ({
+  agent,
+  type,
+  amount,
+  currency,
+  commission,
+  commissions,
+  payout,
+  payment,
+  reference,
+  description,
+  createdBy
+}) => {
+  amount = roundAmount(amount);
+  if (!amount) return null;
+
+  currency = currency || DEFAULT_CURRENCY;
+  const accounts = ENTRY_ACCOUNTS[type];
+  const change = accounts.creditAccount === AGENT_ACCOUNT ? amount : -amount;
+
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const lastEntry = await AgentLedgerEntry.findOne({ agent, currency }).sort({ sequence: -1 });
+
+    const entry = new AgentLedgerEntry({
+      agent,
+      type,
+      ...accounts,
+      amount,
+      currency,
+      sequence: lastEntry ? lastEntry.sequence + 1 : 1,
+      balance: roundAmount((lastEntry ? lastEntry.balance : 0) + change),
+      commission,
+      commissions,
+      payout,
+      payment,
+      reference,
+      description,
+      createdBy
+    });
+
+    try {
+      await entry.save();
+      return entry;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Already recorded, or another entry took this sequence number first
+      if (reference) {
+        const existingEntry = await AgentLedgerEntry.findOne({ reference });
+        if (existingEntry) return existingEntry;
+      }
+    }
+  }
+
+  throw new Error(`Could not append ledger entry for agent ${agent}`);
+};
+
+// Record a payout, or its reversal, for a set of commissions: one entry per
+// agent and currency
+const recordPayoutEntries = async (type, commissions, { payout, description, createdBy } = {}) => {
+  const groups = {};
+
+  commissions.forEach(commission => {
+    const currency = commission.currency || DEFAULT_CURRENCY;
+    const key = `${commission.agent}:${currency}`;
+    if (!groups[key]) {
+      groups[key] = { agent: commission.agent, currency, amount: 0, commissions: [] };
+    }
+    groups[key].amount += commission.amount;
+    groups[key].commissions.push(commission._id);
+  });
+
+  const entries = [];
+  for (const group of Object.values(groups)) {
+    const entry = await recordLedgerEntry({
+      ...group,
+      type,
+      payout: payout ? payout._id : undefined,
+      reference: payout ? `${type}:${payout._id}:${group.currency}` : undefined,
+      description,
+      createdBy
+    });
+    if (entry) entries.push(entry);
+  }
+
+  return entries;
+};
+
+const recordCommissionsPaid = (commissions, options) => recordPayoutEntries('payout', commissions, options);
+
+const recordPayoutReversed = (commissions, options) => recordPayoutEntries('payout_reversal', commissions, options);
+
+// Running balance of every currency an agent has ledger entries in
+const getAgentBalances = async (agentId) => {
+  const latest = await AgentLedgerEntry.aggregate([
+    { $match: { agent: agentId } },
+    { $sort: { sequence: -1 } },
+    { $group: { _id: '$currency', balance: { $first: '$balance' } } }
+  ]);
+
+  return latest.reduce((balances, entry) => {
+    balances[entry._id] = entry.balance;
+    return balances;
+  }, {});
+};
+
+// Compare the ledger with the totals stored elsewhere and list every agent
+// where they disagree:
+// - User.totalCommission against commission earned less reversals and adjustments
+// - unpaid (pending and available) commissions against the ledger balance
+// - completed Payout records against payout entries less payout reversals
+const reconcileAgentLedgers = async () => {
+  const ledgerTotals = await AgentLedgerEntry.aggregate([
+    { $group: {
+      _id: { agent: '$agent', currency: '$currency', type: '$type' },
+      total: { $sum: '$amount' }
+    }}
+  ]);
+
+  const unpaidCommissions = await Commission.aggregate([
+    { $match: { status: { $in: ['pending', 'available'] } } },
+    { $group: {
+      _id: { agent: '$agent', currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] } },
+      total: { $sum: '$amount' }
+    }}
+  ]);
+
+  const completedPayouts = await Payout.aggregate([
+    { $match: { status: 'completed' } },
+    { $group: {
+      _id: { agent: '$agent', currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] } },
+      total: { $sum: '$amount' }
+    }}
+  ]);
+
+  // agentId -> currency -> figures
+  const agents = {};
+  const figuresFor = (agent, currency) => {
+    const agentKey = agent.toString();
+    agents[agentKey] = agents[agentKey] || {};
+    agents[agentKey][currency] = agents[agentKey][currency] || {
+      earned: 0, reversed: 0, adjusted: 0, paidOut: 0, payoutReversed: 0, unpaidCommissions: 0, payoutRecords: 0
+    };
+    return agents[agentKey][currency];
+  };
+
+  const typeFields = {
+    commission_earned: 'earned',
+    commission_reversal: 'reversed',
+    adjustment: 'adjusted',
+    payout: 'paidOut',
+    payout_reversal: 'payoutReversed'
+  };
+
+  ledgerTotals.forEach(({ _id, total }) => {
+    figuresFor(_id.agent, _id.currency)[typeFields[_id.type]] += total;
+  });
+  unpaidCommissions.forEach(({ _id, total }) => {
+    figuresFor(_id.agent, _id.currency).unpaidCommissions += total;
+  });
+  completedPayouts.forEach(({ _id, total }) => {
+    figuresFor(_id.agent, _id.currency).payoutRecords += total;
+  });
+
+  const users = await User.find({
+    $or: [{ _id: { $in: Object.keys(agents) } }, { totalCommission: { $ne: 0 } }]
+  }).select('username email firstName lastName totalCommission');
+
+  const discrepancies = [];
+
+  for (const user of users) {
+    const currencies = agents[user._id.toString()] || {};
+    const issues = [];
+    let netEarned = 0;
+
+    Object.entries(currencies).forEach(([currency, figures]) => {
+      const earnedNet = figures.earned - figures.reversed - figures.adjusted;
+      const netPaidOut = figures.paidOut - figures.payoutReversed;
+      const ledgerBalance = roundAmount(earnedNet - netPaidOut);
+      netEarned += earnedNet;
+
+      if (Math.abs(ledgerBalance - figures.unpaidCommissions) > RECONCILIATION_TOLERANCE) {
+        issues.push({
+          check: 'unpaid_commissions',
+          currency,
+          ledger: ledgerBalance,
+          stored: roundAmount(figures.unpaidCommissions)
+        });
+      }
+
+      if (Math.abs(netPaidOut - figures.payoutRecords) > RECONCILIATION_TOLERANCE) {
+        issues.push({
+          check: 'payouts',
+          currency,
+          ledger: roundAmount(netPaidOut),
+          stored: roundAmount(figures.payoutRecords)
+        });
+      }
+    });
+
+    // User.totalCommission is a single figure across every currency
+    if (Math.abs(netEarned - (user.totalCommission || 0)) > RECONCILIATION_TOLERANCE) {
+      issues.push({
+        check: 'total_commission',
+        ledger: roundAmount(netEarned),
+        stored: roundAmount(user.totalCommission || 0)
+      });
+    }
+
+    if (issues.length > 0) {
+      discrepancies.push({
+        agent: {
+          _id: user._id,
+          username: user.username,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName
+        },
+        issues
+      });
+    }
+  }
+
+  return {
+    agentsChecked: users.length,
+    discrepancies
+  };
+};
+
+module.exports = {
+  ENTRY_ACCOUNTS,
+  recordLedgerEntry,
+  recordCommissionsPaid,
+  recordPayoutReversed,
+  getAgentBalances,
+  reconcileAgentLedgers
+};
@@ -0,0 +1,137 @@
+// Per-account brute-force protection. Every failed sign-in (bad password or
+// bad 2FA code) counts against the account, as do wrong 2FA codes given on an
+// existing session. After a few failures each attempt has to wait twice as
+// long as the last, and at the threshold the account is locked and its owner
+// emailed. Counts reset after a successful sign-in, a password reset, an admin
+// unlock, or a day without failures.
+
+const User = require('../models/User');
+const FailedLogin = require('../models/FailedLogin');
+const { sendAccountLockedEmail } = require('./emailService');
+const { verifyTwoFactor } = require('./twoFactorService');
+
+const FREE_ATTEMPTS = 3; // Failures allowed before the backoff starts
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const RESET_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Delay before the next attempt after `failures` failures, in milliseconds
+const getBackoffMs = (failures) => {
+  if (failures >= LOCKOUT_THRESHOLD) return LOCKOUT_MINUTES * 60 * 1000;
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failures - FREE_ATTEMPTS + 1), LOCKOUT_MINUTES * 60) * 1000;
+};
+
+// Resolves to null when the user may try to sign in, or to the error to send
+const checkLoginAllowed = (user) => {
+  if (!user.lockedUntil || user.lockedUntil <= new Date()) {
+    return null;
+  }
+
+  const retryAfter = Math.ceil((user.lockedUntil - Date.now()) / 1000);
+  const locked = user.failedLoginAttempts >= LOCKOUT_THRESHOLD;
+
+  return {
+    error: locked
+      ? `Account locked after too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes or reset your password.`
+      : `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+    statusCode: 429,
+    retryAfter
+  };
+};
+
+const requestDetails = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+// Record a failed sign-in and, for a known account, count it and apply the
+// backoff. `reason` is one of the FailedLogin reasons.
+const recordFailedLogin = async (req, { user = null, email, reason }) => {
+  if (!user) {
+    await FailedLogin.create({ email, reason, ...requestDetails(req) });
+    return;
+  }
+
+  // Attempts while locked out are logged but don't extend the lock
+  if (reason === 'account_locked') {
+    await FailedLogin.create({ user: user._id, email: user.email, reason, ...requestDetails(req) });
+    return;
+  }
+
+  const now = new Date();
+
+  let updated = await User.findOneAndUpdate(
+    { _id: user._id, lastFailedLoginAt: { $gte: new Date(now.getTime() - RESET_WINDOW_MS) } },
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+    { new: true }
+  );
+  if (!updated) {
+    updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { failedLoginAttempts: 1, lastFailedLoginAt: now },
+      { new: true }
+    );
+  }
+  if (!updated) return;
+
+  const failures = updated.failedLoginAttempts;
+  const backoffMs = getBackoffMs(failures);
+  const lockedUntil = backoffMs > 0 ? new Date(now.getTime() + backoffMs) : undefined;
+
+  if (lockedUntil) {
+    await User.updateOne({ _id: user._id }, { lockedUntil });
+  }
+
+  const lockedOut = failures >= LOCKOUT_THRESHOLD;
+
+  await FailedLogin.create({
+    user: user._id,
+    email: user.email,
+    reason,
+    lockedUntil: lockedOut ? lockedUntil : undefined,
+    ...requestDetails(req)
+  });
+
+  if (lockedOut) {
+    try {
+      await sendAccountLockedEmail(updated, lockedUntil, requestDetails(req));
+    } catch (emailError) {
+      console.error('Account locked email error:', emailError);
+    }
+  }
+};
+
+const clearFailedLogins = async (userId) => {
+  await User.updateOne({ _id: userId }, {
+    failedLoginAttempts: 0,
+    $unset: { lastFailedLoginAt: 1, lockedUntil: 1 }
+  });
+};
+
+// Check a 2FA code from a login or a signed-in user under the same lockout as
+// passwords. Resolves to the verifyTwoFactor result, or to { error, statusCode }
+// with `retryAfter` set when the account is locked.
+const verifyTwoFactorAttempt = async (req, user, credentials, options) => {
+  const lockout = checkLoginAllowed(user);
+  if (lockout) {
+    await recordFailedLogin(req, { user, reason: 'account_locked' });
+    return lockout;
+  }
+
+  const result = await verifyTwoFactor(user._id, credentials, options);
+  if (result.error) {
+    await recordFailedLogin(req, { user, reason: 'invalid_two_factor' });
+    return result;
+  }
+
+  await clearFailedLogins(user._id);
+  return result;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  verifyTwoFactorAttempt
+};
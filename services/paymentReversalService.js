@@ -0,0 +1,193 @@
+const Commission = require('../models/Commission');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { calculateAccessExpiry } = require('../Utils/utils');
+const { recordLedgerEntry } = require('./ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Reduce the commissions earned on a payment by a share (0-1] of what is still
+// owed on them. Unpaid commissions are reduced in place, or cancelled when the
+// whole amount goes; commissions already paid out, or locked into a payout
+// that is being sent, get a negative adjustment that is netted off the agent's
+// next payout.
+const adjustCommissions = async (payment, share, reason) => {
+  const commissions = await Commission.find({
+    payment: payment._id,
+    type: { $ne: 'adjustment' },
+    status: { $ne: 'cancelled' },
+    reversedAt: { $exists: false }
+  });
+
+  for (const commission of commissions) {
+    let reduction;
+    let adjustment = null;
+
+    const unpaid = (commission.status === 'pending' || commission.status === 'available') && !commission.payoutId;
+
+    if (unpaid) {
+      reduction = share >= 1 ? commission.amount : roundAmount(commission.amount * share);
+      if (share >= 1) {
+        commission.status = 'cancelled';
+      } else {
+        commission.amount = roundAmount(commission.amount - reduction);
+        commission.adminNotes = [commission.adminNotes, `Reduced by ${reduction}: ${reason}`].filter(Boolean).join('\n');
+      }
+    } else {
+      const adjustments = await Commission.find({ adjusts: commission._id });
+      const owed = commission.amount + adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+      reduction = share >= 1 ? roundAmount(owed) : roundAmount(owed * share);
+
+      if (reduction > 0) {
+        adjustment = new Commission({
+          agent: commission.agent,
+          referral: commission.referral,
+          payment: commission.payment,
+          amount: -reduction,
+          currency: commission.currency,
+          commissionRate: commission.commissionRate,
+          originalAmount: commission.originalAmount,
+          status: 'available', // Deducted from the next payout straight away
+          type: 'adjustment',
+          tier: commission.tier,
+          adjusts: commission._id,
+          adminNotes: `Clawback: ${reason}`
+        });
+        await adjustment.save();
+      }
+    }
+
+    if (share >= 1) {
+      commission.reversedAt = new Date();
+      commission.reversalReason = reason;
+    }
+    await commission.save();
+
+    await User.findByIdAndUpdate(commission.agent, {
+      $inc: { totalCommission: -reduction }
+    });
+
+    // Unpaid commission is reversed; paid commission is clawed back by adjustment
+    await recordLedgerEntry({
+      agent: commission.agent,
+      type: adjustment ? 'adjustment' : 'commission_reversal',
+      amount: reduction,
+      currency: commission.currency,
+      commission: adjustment ? adjustment._id : commission._id,
+      payment: payment._id,
+      description: reason
+    });
+  }
+
+  return commissions;
+};
+
+// Reverse the commissions earned on a payment in full
+const reverseCommissions = async (payment, reason) => {
+  return adjustCommissions(payment, 1, reason);
+};
+
+// Take away the access a payment bought. A refunded renewal only removes the
+// extra time it added; a refunded purchase removes the course altogether.
+const revokeCourseAccess = async (payment) => {
+  const user = await User.findById(payment.user);
+  if (!user) return;
+
+  const courseId = payment.course.toString();
+
+  if (payment.purchaseType === 'renewal') {
+    const course = await Course.findById(courseId);
+    const purchase = user.coursesPurchased.find(p => p.courseId.toString() === courseId);
+    if (purchase && purchase.accessExpires && course && course.accessDurationDays) {
+      purchase.accessExpires = new Date(purchase.accessExpires.getTime() - course.accessDurationDays * DAY_MS);
+    }
+  } else {
+    user.coursesEnrolled.pull(courseId);
+    user.coursesPurchased = user.coursesPurchased.filter(p => p.courseId.toString() !== courseId);
+  }
+
+  await user.save();
+};
+
+// Give back access that was revoked when a dispute was opened and later won
+const restoreCourseAccess = async (payment) => {
+  const user = await User.findById(payment.user);
+  const course = await Course.findById(payment.course);
+  if (!user || !course) return;
+
+  const purchase = user.coursesPurchased.find(p => p.courseId.toString() === course._id.toString());
+
+  if (payment.purchaseType === 'renewal') {
+    if (purchase && purchase.accessExpires && course.accessDurationDays) {
+      purchase.accessExpires = new Date(purchase.accessExpires.getTime() + course.accessDurationDays * DAY_MS);
+    }
+  } else {
+    if (!user.coursesEnrolled.includes(course._id)) {
+      user.coursesEnrolled.push(course._id);
+    }
+    if (!purchase) {
+      user.coursesPurchased.push({
+        courseId: course._id,
+        purchasedAt: payment.createdAt,
+        accessExpires: calculateAccessExpiry(course, payment.createdAt)
+      });
+    }
+  }
+
+  await user.save();
+};
+
+// Record a full or partial refund against a payment. Commissions shrink in
+// proportion to the refund; course access is only revoked once nothing is left.
+const applyRefund = async (payment, amount, reason, details = {}) => {
+  const refundable = roundAmount(payment.amount - (payment.refundedAmount || 0));
+  const refundAmount = roundAmount(Math.min(amount, refundable));
+  if (refundAmount <= 0) return payment;
+
+  payment.refunds.push({
+    stripeRefundId: details.stripeRefundId,
+    amount: refundAmount,
+    reason,
+    processedBy: details.processedBy
+  });
+  payment.refundedAmount = roundAmount((payment.refundedAmount || 0) + refundAmount);
+
+  const fullyRefunded = payment.refundedAmount >= payment.amount;
+  if (fullyRefunded) {
+    payment.status = 'refunded';
+    payment.refundedAt = new Date();
+    payment.refundReason = reason;
+  }
+  await payment.save();
+
+  if (payment.referralAgent) {
+    await adjustCommissions(payment, refundAmount / refundable, reason);
+  }
+  if (fullyRefunded) {
+    await revokeCourseAccess(payment);
+  }
+
+  return payment;
+};
+
+// Mark a payment disputed and undo everything it granted
+const reversePayment = async (payment, status, reason) => {
+  payment.status = status;
+  await payment.save();
+
+  if (payment.referralAgent) {
+    await reverseCommissions(payment, reason);
+  }
+  await revokeCourseAccess(payment);
+};
+
+module.exports = {
+  adjustCommissions,
+  reverseCommissions,
+  applyRefund,
+  revokeCourseAccess,
+  restoreCourseAccess,
+  reversePayment
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const PayoutBatch = require('../models/PayoutBatch');
+const PayoutRequest = require('../models/PayoutRequest');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { DEFAULT_CURRENCY } = require('../Utils/utils');
+const {
+  checkTaxProfile,
+  checkPayoutDestination,
+  executePayoutRequest,
+  failPayout
+} = require('./payoutService');
+const {
+  BATCH_FORMATS,
+  FORMAT_CURRENCIES,
+  checkBankDetailsForFormat,
+  checkOriginatorConfig,
+  buildBatchFile
+} = require('./bankFileService');
+
+const MAX_SAVE_ATTEMPTS = 5;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// PB-YYYYMMDD-XXXXXX: short enough for the 18 character BACS reference field
+const generateBatchReference = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `PB-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Why a payout request cannot be paid in a file of this format, or null
+const getBatchProblem = (request, agent, format) => {
+  if (request.status !== 'approved') {
+    return `Payout request is ${request.status}, only approved requests can be batched`;
+  }
+  if (!agent) return 'Agent not found';
+
+  return checkTaxProfile(agent) ||
+    checkPayoutDestination(agent, 'bank_transfer', true) ||
+    checkBankDetailsForFormat(agent.bankDetails, format);
+};
+
+// Build a bank payment file from approved bank transfer payout requests.
+// Every request is executed into a processing payout carrying the batch
+// reference; they stay processing until a bank statement line is matched
+// to them.
+const createPayoutBatch = async ({ payoutRequestIds, format, processingDate, adminId }) => {
+  if (!BATCH_FORMATS.includes(format)) {
+    return { error: 'Invalid batch format', statusCode: 400 };
+  }
+
+  const configError = checkOriginatorConfig(format);
+  if (configError) {
+    return { error: configError, statusCode: 400 };
+  }
+
+  const payoutRequests = await PayoutRequest.find({ _id: { $in: payoutRequestIds } });
+  if (payoutRequests.length !== payoutRequestIds.length) {
+    return { error: 'Some payout requests were not found', statusCode: 404 };
+  }
+
+  const currencies = [...new Set(payoutRequests.map(request => request.currency || DEFAULT_CURRENCY))];
+  if (currencies.length > 1) {
+    return { error: 'All payout requests in a batch must be in the same currency', statusCode: 400 };
+  }
+
+  const currency = currencies[0];
+  if (FORMAT_CURRENCIES[format] && FORMAT_CURRENCIES[format] !== currency) {
+    return { error: `${format} files can only pay ${FORMAT_CURRENCIES[format].toUpperCase()}`, statusCode: 400 };
+  }
+
+  const agents = await User.find({ _id: { $in: payoutRequests.map(request => request.agent) } });
+  const agentsById = new Map(agents.map(agent => [agent._id.toString(), agent]));
+
+  // Check every request before sending any, so a bad one does not leave half a batch
+  const problems = [];
+  payoutRequests.forEach(request => {
+    const problem = getBatchProblem(request, agentsById.get(request.agent.toString()), format);
+    if (problem) {
+      problems.push({ payoutRequest: request._id, agent: request.agent, error: problem });
+    }
+  });
+
+  if (problems.length > 0) {
+    return { error: 'Some payout requests cannot be included in this batch', statusCode: 400, details: problems };
+  }
+
+  const reference = generateBatchReference();
+  const items = [];
+  const skipped = [];
+
+  for (const request of payoutRequests) {
+    const agent = agentsById.get(request.agent.toString());
+    const result = await executePayoutRequest(request, agent, {
+      adminId,
+      paymentMethod: 'bank_transfer',
+      paymentReference: reference
+    });
+
+    if (result.error) {
+      skipped.push({ payoutRequest: request._id, agent: request.agent, error: result.error });
+    } else {
+      items.push({ payout: result.payout, agent, payoutRequest: request });
+    }
+  }
+
+  if (items.length === 0) {
+    return { error: 'None of the payout requests could be sent', statusCode: 409, details: skipped };
+  }
+
+  const batch = new PayoutBatch({
+    reference,
+    format,
+    currency,
+    processingDate: processingDate ? new Date(processingDate) : new Date(),
+    payouts: items.map(item => item.payout._id),
+    payoutRequests: items.map(item => item.payoutRequest._id),
+    totalAmount: roundAmount(items.reduce((sum, item) => sum + item.payout.amount, 0)),
+    itemCount: items.length,
+    createdBy: adminId
+  });
+
+  // The running number is only unique once saved; retry if another batch took it
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+    const lastBatch = await PayoutBatch.findOne().sort({ sequence: -1 }).select('sequence');
+    batch.sequence = lastBatch ? lastBatch.sequence + 1 : 1;
+    batch.createdAt = batch.createdAt || new Date();
+
+    const file = buildBatchFile(batch, items);
+    batch.fileName = file.fileName;
+    batch.contentType = file.contentType;
+    batch.fileContent = file.content;
+
+    try {
+      await batch.save();
+      break;
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_SAVE_ATTEMPTS - 1) throw error;
+    }
+  }
+
+  await Payout.updateMany({ _id: { $in: batch.payouts } }, { payoutBatch: batch._id });
+
+  return { batch, skipped };
+};
+
+// The file was sent to the bank. Its payouts stay processing until a bank
+// statement shows the money left (or an admin completes them one by one), and
+// the batch is completed once none are left open.
+const confirmPayoutBatch = async (batch, { adminId } = {}) => {
+  if (batch.status !== 'generated') {
+    return { error: `Cannot confirm a ${batch.status} batch`, statusCode: 400 };
+  }
+
+  batch.status = 'sent';
+  batch.sentAt = new Date();
+  batch.sentBy = adminId;
+  await batch.save();
+
+  return { batch };
+};
+
+// The file will not be sent: release the payouts' commissions and put the
+// requests back to approved so they can go in another batch
+const cancelPayoutBatch = async (batch, { adminId, reason } = {}) => {
+  if (batch.status !== 'generated') {
+    return { error: `Cannot cancel a ${batch.status} batch`, statusCode: 400 };
+  }
+
+  const cancellationReason = reason || `Payout batch ${batch.reference} cancelled`;
+  const payouts = await Payout.find({ _id: { $in: batch.payouts }, status: 'processing' });
+  for (const payout of payouts) {
+    await failPayout(payout, { adminId, reason: cancellationReason, notify: false });
+  }
+
+  await PayoutRequest.updateMany(
+    { _id: { $in: batch.payoutRequests }, status: 'failed' },
+    { status: 'approved', $unset: { payout: 1, rejectionReason: 1 } }
+  );
+
+  batch.status = 'cancelled';
+  batch.cancelledAt = new Date();
+  batch.cancellationReason = cancellationReason;
+  await batch.save();
+
+  return { batch };
+};
+
+module.exports = {
+  createPayoutBatch,
+  confirmPayoutBatch,
+  cancelPayoutBatch
+};
@@ -0,0 +1,91 @@
+const Commission = require('../models/Commission');
+const PlatformSettings = require('../models/PlatformSettings');
+const User = require('../models/User');
+const { DEFAULT_CURRENCY } = require('../Utils/utils');
+const { getPlatformSettings, getNextPayoutRunAt } = require('./settingsService');
+const {
+  checkPayoutDestination,
+  getPayableCommissions,
+  createPayoutRequest,
+  approvePayoutRequest
+} = require('./payoutService');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Verified bank details are paid by bank transfer (and can go in a bank file),
+// otherwise an active Stripe account gets a Stripe payout
+const getScheduledPaymentMethod = (agent) => {
+  return checkPayoutDestination(agent, 'bank_transfer', true) ? 'stripe_payout' : 'bank_transfer';
+};
+
+// Create an approved payout request for every agent and currency whose payable
+// commission reaches the minimum payout. Admins sign them off by executing them
+// or putting them in a bank batch.
+const runScheduledPayouts = async () => {
+  const { minimumPayoutAmount } = await getPlatformSettings();
+
+  const agents = await User.find({
+    role: 'agent',
+    isActiveAgent: true,
+    $or: [
+      { 'bankDetails.isVerified': true },
+      { stripeAccountStatus: 'active' }
+    ]
+  });
+
+  const created = [];
+  const skipped = [];
+
+  for (const agent of agents) {
+    const currencies = await Commission.distinct('currency', { agent: agent._id, status: 'available', payoutId: null });
+
+    for (const currency of new Set(currencies.map(value => value || DEFAULT_CURRENCY))) {
+      const payable = await getPayableCommissions(agent._id, currency);
+      const total = roundAmount(payable.reduce((sum, commission) => sum + commission.amount, 0));
+      if (total <= 0 || total < minimumPayoutAmount) continue;
+
+      const requested = await createPayoutRequest(agent, {
+        currency,
+        paymentMethod: getScheduledPaymentMethod(agent),
+        notes: 'Scheduled payout run'
+      });
+      if (requested.error) {
+        skipped.push({ agent: agent._id, currency, error: requested.error });
+        continue;
+      }
+
+      const approved = await approvePayoutRequest(requested.payoutRequest, {
+        adminNotes: 'Created by the scheduled payout run, awaiting admin sign-off'
+      });
+      created.push(approved.payoutRequest);
+    }
+  }
+
+  return { created, skipped };
+};
+
+// Run the schedule if it is due. The run is claimed by moving nextRunAt on,
+// so only one server instance runs it. Resolves to null when nothing was due.
+const runDuePayoutSchedule = async () => {
+  const settings = await getPlatformSettings();
+  const { frequency, nextRunAt } = settings.payoutSchedule;
+  const now = new Date();
+
+  if (frequency === 'off' || !nextRunAt || nextRunAt > now) return null;
+
+  const claimed = await PlatformSettings.findOneAndUpdate(
+    { _id: settings._id, 'payoutSchedule.nextRunAt': nextRunAt },
+    {
+      'payoutSchedule.nextRunAt': getNextPayoutRunAt(settings.payoutSchedule, now),
+      'payoutSchedule.lastRunAt': now
+    }
+  );
+  if (!claimed) return null;
+
+  return runScheduledPayouts();
+};
+
+module.exports = {
+  runScheduledPayouts,
+  runDuePayoutSchedule
+};
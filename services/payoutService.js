@@ -0,0 +1,464 @@
+const Commission = require('../models/Commission');
+const Payout = require('../models/Payout');
+const PayoutRequest = require('../models/PayoutRequest');
+const User = require('../models/User');
+const stripe = require('./stripeClient');
+const { sendPayoutStatusEmail } = require('./emailService');
+const { DEFAULT_CURRENCY, formatCurrency } = require('../Utils/utils');
+const { recordCommissionsPaid, recordPayoutReversed } = require('./ledgerService');
+const { getPlatformSettings } = require('./settingsService');
+const { generateRemittancePDF } = require('./agentStatementService');
+
+// Every payout goes through the same steps:
+//   request (pending) -> approve (approved) -> execute (Payout processing)
+//   -> complete (Payout completed, commissions paid) or fail (commissions released)
+// A completed payout that bounces later is reversed, which also releases its commissions.
+// Functions resolve to the updated documents, or to { error, statusCode } when a
+// step is not allowed, like couponService.
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Email the agent that a payout completed, with its remittance advice, or
+// failed. A failed email never undoes the payout.
+const notifyAgent = async (payout) => {
+  try {
+    const agent = await User.findById(payout.agent);
+    if (!agent) return;
+
+    const remittancePdf = payout.status === 'completed' ? await generateRemittancePDF(agent, payout) : null;
+    await sendPayoutStatusEmail(agent, payout, remittancePdf);
+  } catch (emailError) {
+    console.error('Error sending payout status email:', emailError);
+  }
+};
+
+// Commissions saved before multi-currency support have no currency and were
+// earned in the default currency
+const currencyFilter = (currency) => {
+  return currency === DEFAULT_CURRENCY ? { $in: [currency, null] } : currency;
+};
+
+// Earnings must be reportable, so nobody is paid before submitting a tax profile
+const checkTaxProfile = (agent) => {
+  if (!agent.taxProfile || !agent.taxProfile.submittedAt) {
+    return 'Agent must submit a tax profile before receiving payouts';
+  }
+
+  return null;
+};
+
+// Check the agent can receive money by this method. `requireVerified` is set
+// when money is about to be sent rather than just requested.
+const checkPayoutDestination = (agent, paymentMethod, requireVerified = false) => {
+  if (paymentMethod === 'bank_transfer') {
+    if (!agent.bankDetails || !agent.bankDetails.accountNumber || !agent.bankDetails.bankName) {
+      return 'Agent has not provided bank details yet';
+    }
+    if (requireVerified && !agent.bankDetails.isVerified) {
+      return 'Agent bank details must be verified before processing bank transfer';
+    }
+  }
+
+  if (paymentMethod === 'stripe_payout') {
+    if (!agent.stripeAccountId) {
+      return 'Agent must have Stripe account connected for payouts';
+    }
+    if (requireVerified && agent.stripeAccountStatus !== 'active') {
+      return 'Agent must finish Stripe onboarding before receiving Stripe payouts';
+    }
+  }
+
+  return null;
+};
+
+// Commissions an agent can be paid now: past their hold period, not part of a
+// payout already and not reserved by another open payout request
+const getPayableCommissions = async (agentId, currency = DEFAULT_CURRENCY) => {
+  const openRequests = await PayoutRequest.find({
+    agent: agentId,
+    status: { $in: ['pending', 'approved'] }
+  }).select('commissionIds');
+
+  const reserved = openRequests.flatMap(request => request.commissionIds);
+
+  return Commission.find({
+    _id: { $nin: reserved },
+    agent: agentId,
+    status: 'available',
+    payoutId: null,
+    currency: currencyFilter(currency)
+  }).sort({ availableAt: 1, createdAt: 1 });
+};
+
+// Pick whole commissions worth up to `amount`, or all of them when no amount is
+// given. Clawback adjustments are always included so they are netted off.
+const selectCommissions = (commissions, amount) => {
+  const selected = commissions.filter(commission => commission.amount < 0);
+  let total = selected.reduce((sum, commission) => sum + commission.amount, 0);
+
+  for (const commission of commissions.filter(c => c.amount >= 0)) {
+    if (amount !== undefined && roundAmount(total + commission.amount) > amount) continue;
+    selected.push(commission);
+    total += commission.amount;
+  }
+
+  return { selected, total: roundAmount(total) };
+};
+
+// Step 1: an agent (or an admin on their behalf) asks to be paid. Requests
+// below the platform minimum payout are refused unless `enforceMinimum` is
+// turned off, as it is for payouts an admin sends directly.
+const createPayoutRequest = async (agent, {
+  amount,
+  currency = DEFAULT_CURRENCY,
+  commissionIds,
+  paymentMethod = 'bank_transfer',
+  notes,
+  enforceMinimum = true
+} = {}) => {
+  if (!agent || agent.role !== 'agent') {
+    return { error: 'Agent not found', statusCode: 404 };
+  }
+
+  if (!agent.isActiveAgent) {
+    return { error: 'Agent account not approved', statusCode: 400 };
+  }
+
+  // Payout notices and remittances go to this address
+  if (!agent.emailVerifiedAt) {
+    return { error: 'Agent must verify their email address before requesting payouts', statusCode: 403 };
+  }
+
+  const payoutError = checkTaxProfile(agent) || checkPayoutDestination(agent, paymentMethod);
+  if (payoutError) {
+    return { error: payoutError, statusCode: 400 };
+  }
+
+  const { minimumPayoutAmount } = await getPlatformSettings();
+  const belowMinimum = (total) => enforceMinimum && total < minimumPayoutAmount;
+  const minimumError = {
+    error: `Minimum payout is ${formatCurrency(minimumPayoutAmount, currency)}`,
+    statusCode: 400
+  };
+
+  if (amount !== undefined && belowMinimum(Number(amount))) {
+    return minimumError;
+  }
+
+  const payable = await getPayableCommissions(agent._id, currency);
+  let selection;
+
+  if (commissionIds && commissionIds.length > 0) {
+    const wanted = commissionIds.map(id => id.toString());
+    const selected = payable.filter(commission => wanted.includes(commission._id.toString()));
+
+    if (selected.length !== wanted.length) {
+      return { error: 'Invalid commission IDs, or commissions still on hold, already requested or already paid', statusCode: 400 };
+    }
+
+    selection = {
+      selected,
+      total: roundAmount(selected.reduce((sum, commission) => sum + commission.amount, 0))
+    };
+  } else {
+    const payableTotal = roundAmount(payable.reduce((sum, commission) => sum + commission.amount, 0));
+    if (amount !== undefined && Number(amount) > payableTotal) {
+      return { error: `Amount exceeds available commission. Maximum payout: ${formatCurrency(payableTotal, currency)}`, statusCode: 400 };
+    }
+
+    selection = selectCommissions(payable, amount !== undefined ? Number(amount) : undefined);
+  }
+
+  if (selection.total <= 0) {
+    return { error: `No available ${currency.toUpperCase()} commissions to pay out`, statusCode: 400 };
+  }
+
+  if (belowMinimum(selection.total)) {
+    return minimumError;
+  }
+
+  const payoutRequest = new PayoutRequest({
+    agent: agent._id,
+    amount: selection.total,
+    currency,
+    paymentMethod,
+    notes,
+    commissionIds: selection.selected.map(commission => commission._id),
+    bankDetails: agent.bankDetails
+  });
+
+  await payoutRequest.save();
+
+  return { payoutRequest };
+};
+
+// Step 2: an admin approves the request
+const approvePayoutRequest = async (payoutRequest, { adminId, adminNotes } = {}) => {
+  if (payoutRequest.status !== 'pending') {
+    return { error: `Cannot approve a ${payoutRequest.status} payout request`, statusCode: 400 };
+  }
+
+  payoutRequest.status = 'approved';
+  payoutRequest.processedBy = adminId;
+  payoutRequest.processedDate = new Date();
+  if (adminNotes) payoutRequest.adminNotes = adminNotes;
+  await payoutRequest.save();
+
+  return { payoutRequest };
+};
+
+// Or rejects it, which releases the commissions it reserved
+const rejectPayoutRequest = async (payoutRequest, { adminId, rejectionReason, adminNotes } = {}) => {
+  if (!['pending', 'approved'].includes(payoutRequest.status)) {
+    return { error: `Cannot reject a ${payoutRequest.status} payout request`, statusCode: 400 };
+  }
+
+  payoutRequest.status = 'rejected';
+  payoutRequest.processedBy = adminId;
+  payoutRequest.processedDate = new Date();
+  payoutRequest.rejectionReason = rejectionReason;
+  if (adminNotes) payoutRequest.adminNotes = adminNotes;
+  await payoutRequest.save();
+
+  return { payoutRequest };
+};
+
+// Step 3: start sending the money. The commissions are locked to a Payout that
+// stays processing until the transfer is confirmed.
+const executePayoutRequest = async (payoutRequest, agent, {
+  adminId,
+  paymentMethod = payoutRequest.paymentMethod,
+  paymentReference,
+  notes
+} = {}) => {
+  if (payoutRequest.status !== 'approved') {
+    return { error: `Cannot execute a ${payoutRequest.status} payout request`, statusCode: 400 };
+  }
+
+  const payoutError = checkTaxProfile(agent) || checkPayoutDestination(agent, paymentMethod, true);
+  if (payoutError) {
+    return { error: payoutError, statusCode: 400 };
+  }
+
+  const payout = new Payout({
+    agent: agent._id,
+    amount: payoutRequest.amount,
+    currency: payoutRequest.currency,
+    status: 'processing',
+    paymentMethod,
+    paymentReference,
+    notes: notes || payoutRequest.notes,
+    adminNotes: payoutRequest.adminNotes,
+    processedBy: adminId,
+    processedAt: new Date(),
+    payoutRequest: payoutRequest._id,
+    commissionIds: payoutRequest.commissionIds
+  });
+
+  // Lock the commissions; give up if any was refunded or paid in the meantime
+  const locked = await Commission.updateMany(
+    { _id: { $in: payoutRequest.commissionIds }, status: 'available', payoutId: null },
+    { payoutId: payout._id }
+  );
+
+  if (locked.modifiedCount !== payoutRequest.commissionIds.length) {
+    await Commission.updateMany({ payoutId: payout._id }, { $unset: { payoutId: 1 } });
+    return { error: 'Some commissions in this request are no longer available, please create a new request', statusCode: 409 };
+  }
+
+  await payout.save();
+
+  payoutRequest.status = 'processing';
+  payoutRequest.payout = payout._id;
+  payoutRequest.paymentMethod = paymentMethod;
+  await payoutRequest.save();
+
+  return { payout, payoutRequest };
+};
+
+// Step 4a: the money arrived. Commissions are marked paid and the payout is
+// written to the agent ledger.
+const completePayout = async (payout, { adminId, paymentReference, completedAt } = {}) => {
+  if (payout.status !== 'processing') {
+    return { error: `Cannot complete a ${payout.status} payout`, statusCode: 400 };
+  }
+
+  const commissions = await Commission.find({ payoutId: payout._id, status: 'available' });
+  const total = roundAmount(commissions.reduce((sum, commission) => sum + commission.amount, 0));
+  const now = completedAt || new Date(); // Booking date when confirmed from a bank statement
+
+  await Commission.updateMany(
+    { _id: { $in: commissions.map(commission => commission._id) } },
+    {
+      status: 'paid',
+      paidAt: now,
+      paymentMethod: payout.paymentMethod,
+      transferReference: paymentReference || payout.paymentReference
+    }
+  );
+
+  payout.status = 'completed';
+  payout.completedAt = now;
+  payout.totalCommissionsPaid = total;
+  payout.commissionIds = commissions.map(commission => commission._id);
+  if (paymentReference) payout.paymentReference = paymentReference;
+  if (adminId) payout.processedBy = adminId;
+  await payout.save();
+
+  await recordCommissionsPaid(commissions, {
+    payout,
+    description: `${payout.paymentMethod} payout${payout.paymentReference ? ` ${payout.paymentReference}` : ''}`,
+    createdBy: adminId
+  });
+
+  await PayoutRequest.updateOne(
+    { _id: payout.payoutRequest },
+    { status: 'completed', processedDate: now, payoutReference: payout.paymentReference }
+  );
+
+  await notifyAgent(payout);
+
+  return { payout };
+};
+
+// Step 4b: the transfer failed. The commissions go back to the agent's
+// available balance and the request is closed as failed.
+const failPayout = async (payout, { adminId, reason, notify = true } = {}) => {
+  if (payout.status !== 'processing') {
+    return { error: `Cannot fail a ${payout.status} payout`, statusCode: 400 };
+  }
+
+  await Commission.updateMany(
+    { payoutId: payout._id, status: 'available' },
+    { $unset: { payoutId: 1, stripeTransferId: 1 } }
+  );
+
+  payout.status = 'failed';
+  payout.failedAt = new Date();
+  payout.failureReason = reason;
+  if (adminId) payout.processedBy = adminId;
+  await payout.save();
+
+  await PayoutRequest.updateOne(
+    { _id: payout.payoutRequest },
+    { status: 'failed', processedDate: new Date(), rejectionReason: reason }
+  );
+
+  if (notify) await notifyAgent(payout);
+
+  return { payout };
+};
+
+// A completed payout bounced or was reversed: its commissions become available
+// again and the ledger owes the money back to the agent
+const reversePayout = async (payout, { adminId, reason } = {}) => {
+  if (payout.status !== 'completed') {
+    return { error: `Cannot reverse a ${payout.status} payout`, statusCode: 400 };
+  }
+
+  const commissions = await Commission.find({ payoutId: payout._id, status: 'paid' });
+
+  await Commission.updateMany(
+    { _id: { $in: commissions.map(commission => commission._id) } },
+    {
+      status: 'available',
+      $unset: { payoutId: 1, paidAt: 1, transferReference: 1, stripeTransferId: 1 }
+    }
+  );
+
+  await recordPayoutReversed(commissions, {
+    payout,
+    description: `${payout.paymentMethod} payout reversed${reason ? `: ${reason}` : ''}`,
+    createdBy: adminId
+  });
+
+  payout.status = 'reversed';
+  payout.failedAt = new Date();
+  payout.failureReason = reason;
+  await payout.save();
+
+  await PayoutRequest.updateOne(
+    { _id: payout.payoutRequest },
+    { status: 'failed', processedDate: new Date(), rejectionReason: reason }
+  );
+
+  await notifyAgent(payout);
+
+  return { payout };
+};
+
+// Send a processing payout to the agent's Stripe Connect account as a transfer.
+// A transfer moves the money into the connected account as soon as it is
+// created, so the payout completes straight away; a later reversal is handled
+// by the transfer.reversed webhook. A transfer Stripe rejects fails the payout.
+const sendStripeTransfer = async (payout, agent, { adminId, metadata = {} } = {}) => {
+  let transfer;
+  try {
+    transfer = await stripe.transfers.create({
+      amount: Math.round(payout.amount * 100), // Convert to cents
+      currency: payout.currency,
+      destination: agent.stripeAccountId,
+      transfer_group: `payout_${payout._id}`,
+      metadata: {
+        ...metadata,
+        agentId: agent._id.toString(),
+        payoutId: payout._id.toString()
+      }
+    }, {
+      idempotencyKey: `payout-transfer:${payout._id}`
+    });
+  } catch (error) {
+    console.error('Stripe transfer error:', error);
+    await failPayout(payout, { adminId, reason: error.message });
+    return { error: `Stripe transfer failed: ${error.message}`, statusCode: 502 };
+  }
+
+  payout.stripeTransferId = transfer.id;
+  payout.paymentReference = transfer.id;
+  await payout.save();
+  await Commission.updateMany({ payoutId: payout._id }, { stripeTransferId: transfer.id });
+
+  return completePayout(payout, { adminId, paymentReference: transfer.id });
+};
+
+// Admin shortcut that runs request, approve and execute in one go. The caller
+// completes or fails the returned payout once the money has been sent.
+const startPayout = async (agent, {
+  amount,
+  currency,
+  commissionIds,
+  paymentMethod,
+  paymentReference,
+  notes,
+  adminId
+}) => {
+  const requested = await createPayoutRequest(agent, {
+    amount,
+    currency,
+    commissionIds,
+    paymentMethod,
+    notes,
+    enforceMinimum: false
+  });
+  if (requested.error) return requested;
+
+  const approved = await approvePayoutRequest(requested.payoutRequest, { adminId });
+  if (approved.error) return approved;
+
+  return executePayoutRequest(approved.payoutRequest, agent, { adminId, paymentMethod, paymentReference, notes });
+};
+
+module.exports = {
+  checkTaxProfile,
+  checkPayoutDestination,
+  getPayableCommissions,
+  createPayoutRequest,
+  approvePayoutRequest,
+  rejectPayoutRequest,
+  executePayoutRequest,
+  completePayout,
+  failPayout,
+  reversePayout,
+  sendStripeTransfer,
+  startPayout
+};
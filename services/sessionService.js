@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, generateSecureToken, hashToken } = require('../Utils/utils');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const LOGIN_CHALLENGE_EXPIRE = '5m';
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const accessTokenFor = (user, session) => generateToken({
+  userId: user._id,
+  role: user.role,
+  sessionId: session._id
+});
+
+// Sign a user in on a new device. Resolves to { token, refreshToken, session }.
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const refreshToken = generateSecureToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+    twoFactorVerifiedAt: twoFactorVerified ? new Date() : undefined,
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return { token: accessTokenFor(user, session), refreshToken, session };
+};
+
+// Swap a refresh token for a new access token and refresh token. A token that
+// was already rotated out is a sign it leaked, so its session is revoked.
+const refreshSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+  if (reused) {
+    await revokeSession(reused, 'token_reuse');
+    return { error: 'Refresh token has already been used, please log in again', statusCode: 401 };
+  }
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Invalid or expired refresh token', statusCode: 401 };
+  }
+
+  const user = await User.findById(session.user).select('role');
+  if (!user) {
+    await revokeSession(session, 'user_deleted');
+    return { error: 'Invalid or expired refresh token', statusCode: 401 };
+  }
+
+  const nextRefreshToken = generateSecureToken();
+
+  // Only one request can rotate a token; a concurrent one sees it as reused
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousRefreshTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      userAgent: req.headers['user-agent'] || session.userAgent,
+      ipAddress: req.ip,
+      expiresAt: refreshTokenExpiry()
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    return { error: 'Invalid or expired refresh token', statusCode: 401 };
+  }
+
+  return { token: accessTokenFor(user, rotated), refreshToken: nextRefreshToken, session: rotated };
+};
+
+const revokeSession = async (session, reason = 'revoked') => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+  return session;
+};
+
+// Sign a user out everywhere (except, optionally, the current session) after
+// their password or role changed. Access tokens issued before now stop working.
+const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  await User.updateOne({ _id: userId }, { credentialsChangedAt: new Date() });
+};
+
+// Users with 2FA get this instead of a session after their password checks
+// out. It has no session, so it is refused as an access token.
+const createLoginChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: 'two_factor_login' },
+  process.env.JWT_SECRET,
+  { expiresIn: LOGIN_CHALLENGE_EXPIRE }
+);
+
+// Resolves to the user ID, or null when the challenge is invalid or expired
+const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor_login' ? decoded.userId : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  accessTokenFor,
+  createLoginChallenge,
+  verifyLoginChallenge
+};
@@ -0,0 +1,55 @@
+const PlatformSettings = require('../models/PlatformSettings');
+
+// The settings document, created with its defaults the first time it is read
+const getPlatformSettings = async () => {
+  return PlatformSettings.findOneAndUpdate(
+    { key: 'platform' },
+    { $setOnInsert: { key: 'platform' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Scheduled payout runs start at midnight UTC on the chosen day, the first
+// one strictly after `from`
+const getNextPayoutRunAt = (schedule, from = new Date()) => {
+  if (!schedule || schedule.frequency === 'off') return undefined;
+
+  const next = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+
+  if (schedule.frequency === 'weekly') {
+    do {
+      next.setUTCDate(next.getUTCDate() + 1);
+    } while (next.getUTCDay() !== schedule.dayOfWeek);
+    return next;
+  }
+
+  next.setUTCDate(schedule.dayOfMonth);
+  if (next <= from) next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+const updatePlatformSettings = async ({ minimumPayoutAmount, payoutSchedule }, adminId) => {
+  const settings = await getPlatformSettings();
+
+  if (minimumPayoutAmount !== undefined) {
+    settings.minimumPayoutAmount = Number(minimumPayoutAmount);
+  }
+
+  if (payoutSchedule) {
+    ['frequency', 'dayOfWeek', 'dayOfMonth'].forEach(field => {
+      if (payoutSchedule[field] !== undefined) settings.payoutSchedule[field] = payoutSchedule[field];
+    });
+    settings.payoutSchedule.nextRunAt = getNextPayoutRunAt(settings.payoutSchedule);
+  }
+
+  settings.updatedBy = adminId;
+  await settings.save();
+
+  return settings;
+};
+
+module.exports = {
+  getPlatformSettings,
+  getNextPayoutRunAt,
+  updatePlatformSettings
+};
@@ -0,0 +1,18 @@
+const Stripe = require('stripe');
+
+// Shared Stripe client. Set STRIPE_API_URL to send API calls somewhere other
+// than api.stripe.com, e.g. a local stripe-mock at http://localhost:12111.
+const getClientConfig = () => {
+  if (!process.env.STRIPE_API_URL) return {};
+
+  const url = new URL(process.env.STRIPE_API_URL);
+  const protocol = url.protocol.replace(':', '');
+
+  return {
+    host: url.hostname,
+    port: url.port || (protocol === 'http' ? 80 : 443),
+    protocol
+  };
+};
+
+module.exports = Stripe(process.env.STRIPE_SECRET_KEY, getClientConfig());
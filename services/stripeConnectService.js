@@ -0,0 +1,86 @@
+const stripe = require('./stripeClient');
+const User = require('../models/User');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Map a Stripe connected account onto User.stripeAccountStatus:
+// - disabled: Stripe rejected the account
+// - active: onboarding finished and transfers can be received
+// - restricted: onboarding finished but Stripe needs more information
+// - pending: onboarding not finished yet
+const getAccountStatus = (account) => {
+  const disabledReason = account.requirements && account.requirements.disabled_reason;
+  if (disabledReason && disabledReason.startsWith('rejected')) return 'disabled';
+
+  const transfersActive = account.capabilities && account.capabilities.transfers === 'active';
+  if (account.details_submitted && account.payouts_enabled && transfersActive) return 'active';
+
+  if (account.details_submitted) return 'restricted';
+
+  return 'pending';
+};
+
+// Store the status of a connected account on the agent it belongs to.
+// Resolves to the updated user, or null when no agent has this account.
+const syncAccountStatus = async (account) => {
+  const stripeAccountStatus = getAccountStatus(account);
+
+  const user = await User.findOneAndUpdate(
+    { stripeAccountId: account.id },
+    { stripeAccountStatus },
+    { new: true }
+  ).select('-password');
+
+  if (!user) {
+    console.warn(`Stripe account ${account.id} does not belong to any agent`);
+  }
+
+  return user;
+};
+
+// Create an Express connected account for an agent, unless they already have one
+const ensureConnectedAccount = async (user, country) => {
+  if (user.stripeAccountId) return user.stripeAccountId;
+
+  const account = await stripe.accounts.create({
+    type: 'express',
+    email: user.email,
+    ...(country ? { country: country.toUpperCase() } : {}),
+    capabilities: { transfers: { requested: true } },
+    business_type: 'individual',
+    metadata: { userId: user._id.toString() }
+  }, {
+    idempotencyKey: `connect-account:${user._id}`
+  });
+
+  user.stripeAccountId = account.id;
+  user.stripeAccountStatus = getAccountStatus(account);
+  await user.save();
+
+  return account.id;
+};
+
+// One-time link to Stripe's hosted onboarding. Links expire after a few
+// minutes, so the frontend asks for a new one from the refresh URL.
+const createOnboardingLink = async (user, country) => {
+  const accountId = await ensureConnectedAccount(user, country);
+
+  const accountLink = await stripe.accountLinks.create({
+    account: accountId,
+    refresh_url: `${FRONTEND_URL}/agent/stripe/refresh`,
+    return_url: `${FRONTEND_URL}/agent/stripe/return`,
+    type: 'account_onboarding'
+  });
+
+  return {
+    accountId,
+    url: accountLink.url,
+    expiresAt: new Date(accountLink.expires_at * 1000)
+  };
+};
+
+module.exports = {
+  getAccountStatus,
+  syncAccountStatus,
+  createOnboardingLink
+};
@@ -0,0 +1,150 @@
+// Annual agent earnings reports for tax filing. Totals are payouts completed
+// in the calendar year (UTC); reversed payouts are no longer completed and so
+// drop out. US agents' USD payouts are reported with 1099-NEC style fields,
+// everything else in a generic format.
+
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { DEFAULT_CURRENCY, toCSV } = require('../Utils/utils');
+
+const TAX_REPORT_TYPES = ['1099-nec', 'generic'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const isUsAgent = (agent) => !!(agent.taxProfile && agent.taxProfile.address && agent.taxProfile.address.country === 'US');
+
+// One row per agent and currency: { agent, currency, total, payoutCount }
+const getAnnualPayoutTotals = async (year) => {
+  const totals = await Payout.aggregate([
+    {
+      $match: {
+        status: 'completed',
+        completedAt: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+      }
+    },
+    {
+      $group: {
+        _id: { agent: '$agent', currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] } },
+        total: { $sum: '$amount' },
+        payoutCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const agents = await User.find({ _id: { $in: totals.map(row => row._id.agent) } })
+    .select('-password +taxProfile.taxId');
+  const agentsById = new Map(agents.map(agent => [agent._id.toString(), agent]));
+
+  return totals
+    .filter(row => agentsById.has(row._id.agent.toString()))
+    .map(row => ({
+      agent: agentsById.get(row._id.agent.toString()),
+      currency: row._id.currency,
+      total: roundAmount(row.total),
+      payoutCount: row.payoutCount
+    }))
+    .sort((a, b) => a.agent.lastName.localeCompare(b.agent.lastName) || a.currency.localeCompare(b.currency));
+};
+
+const taxProfileOf = (agent) => agent.taxProfile || {};
+const addressOf = (agent) => taxProfileOf(agent).address || {};
+
+const recipientName = (agent) => taxProfileOf(agent).legalName || `${agent.firstName} ${agent.lastName}`;
+
+const build1099Report = (rows) => {
+  const header = [
+    'Recipient TIN',
+    'Recipient Name',
+    'Recipient Business Name',
+    'Street Address',
+    'City',
+    'State',
+    'ZIP Code',
+    'Account Number',
+    'Box 1 Nonemployee Compensation',
+    'Box 4 Federal Income Tax Withheld',
+    'Tax Profile Verified'
+  ];
+
+  const records = rows.map(({ agent, total }) => {
+    const address = addressOf(agent);
+    return [
+      taxProfileOf(agent).taxId,
+      recipientName(agent),
+      taxProfileOf(agent).businessName,
+      [address.line1, address.line2].filter(Boolean).join(', '),
+      address.city,
+      address.state,
+      address.postalCode,
+      agent._id,
+      total.toFixed(2),
+      '0.00',
+      taxProfileOf(agent).isVerified ? 'yes' : 'no'
+    ];
+  });
+
+  return toCSV([header, ...records]);
+};
+
+const buildGenericReport = (rows) => {
+  const header = [
+    'Agent ID',
+    'Legal Name',
+    'Email',
+    'Entity Type',
+    'Business Name',
+    'Tax ID',
+    'VAT Number',
+    'Address Line 1',
+    'Address Line 2',
+    'City',
+    'State / Region',
+    'Postal Code',
+    'Country',
+    'Currency',
+    'Total Paid',
+    'Payouts',
+    'Tax Profile Verified'
+  ];
+
+  const records = rows.map(({ agent, currency, total, payoutCount }) => {
+    const taxProfile = taxProfileOf(agent);
+    const address = addressOf(agent);
+    return [
+      agent._id,
+      recipientName(agent),
+      agent.email,
+      taxProfile.entityType,
+      taxProfile.businessName,
+      taxProfile.taxId,
+      taxProfile.vatNumber,
+      address.line1,
+      address.line2,
+      address.city,
+      address.state,
+      address.postalCode,
+      address.country || agent.country,
+      currency.toUpperCase(),
+      total.toFixed(2),
+      payoutCount,
+      taxProfile.isVerified ? 'yes' : 'no'
+    ];
+  });
+
+  return toCSV([header, ...records]);
+};
+
+// Every agent and currency lands in exactly one of the two reports
+const buildTaxReport = async (year, type) => {
+  const rows = await getAnnualPayoutTotals(year);
+  const is1099 = (row) => isUsAgent(row.agent) && row.currency === 'usd';
+
+  return type === '1099-nec'
+    ? build1099Report(rows.filter(is1099))
+    : buildGenericReport(rows.filter(row => !is1099(row)));
+};
+
+module.exports = {
+  TAX_REPORT_TYPES,
+  buildTaxReport
+};
@@ -0,0 +1,212 @@
+// TOTP two-factor authentication (RFC 6238: HMAC-SHA1, 6 digits, 30 second
+// steps). Secrets are base32 so any authenticator app can scan the otpauth URI.
+// Recovery codes are single-use and stored as SHA-256 hashes.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const { generateSecureToken, hashToken } = require('../Utils/utils');
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept the previous and next code for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  let bits = '';
+  for (const char of value.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Resolves to the matching time step, or null
+const findCodeStep = (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const buildOtpauthUri = (user, secret) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Course Portal';
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Codes look like "a1b2c-3d4e5"; the dash and case are ignored when used
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateSecureToken().slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+const loadUserWithSecrets = (userId) => User.findById(userId)
+  .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep');
+
+// Start enrolment. The secret only becomes active once a code from it is confirmed.
+const startEnrolment = async (userId) => {
+  const user = await loadUserWithSecrets(userId);
+  if (!user) {
+    return { error: 'User not found', statusCode: 404 };
+  }
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return { error: 'Two-factor authentication is already enabled', statusCode: 400 };
+  }
+
+  const secret = generateSecret();
+  user.set('twoFactor.pendingSecret', secret);
+  await user.save();
+
+  return { secret, otpauthUri: buildOtpauthUri(user, secret) };
+};
+
+// Confirm enrolment with a code from the pending secret. Resolves to the
+// recovery codes, which are only ever shown this once.
+const confirmEnrolment = async (userId, code) => {
+  const user = await loadUserWithSecrets(userId);
+  if (!user) {
+    return { error: 'User not found', statusCode: 404 };
+  }
+
+  const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+  if (!pendingSecret) {
+    return { error: 'Start two-factor setup first', statusCode: 400 };
+  }
+
+  const step = findCodeStep(pendingSecret, code);
+  if (step === null) {
+    return { error: 'Invalid authentication code', statusCode: 400 };
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.set('twoFactor', {
+    enabled: true,
+    secret: pendingSecret,
+    recoveryCodeHashes: hashes,
+    lastUsedStep: step,
+    enabledAt: new Date()
+  });
+  await user.save();
+
+  return { recoveryCodes: codes };
+};
+
+// Check a TOTP code, or a recovery code when `allowRecoveryCode` is set. Each
+// TOTP code and each recovery code works once; the conditional updates make
+// that hold even for concurrent requests.
+const verifyTwoFactor = async (userId, { code, recoveryCode } = {}, { allowRecoveryCode = false } = {}) => {
+  const user = await loadUserWithSecrets(userId);
+  if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+    return { error: 'Two-factor authentication is not enabled', statusCode: 400 };
+  }
+
+  if (recoveryCode !== undefined && allowRecoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.recoveryCodeHashes': codeHash },
+      { $pull: { 'twoFactor.recoveryCodeHashes': codeHash } },
+      { new: true }
+    ).select('+twoFactor.recoveryCodeHashes');
+
+    if (!updated) {
+      return { error: 'Invalid recovery code', statusCode: 401 };
+    }
+
+    return { user, usedRecoveryCode: true, recoveryCodesLeft: updated.twoFactor.recoveryCodeHashes.length };
+  }
+
+  const step = findCodeStep(user.twoFactor.secret, code);
+  if (step === null) {
+    return { error: 'Invalid authentication code', statusCode: 401 };
+  }
+
+  const claimed = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null }
+      ]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { error: 'Authentication code already used, wait for the next one', statusCode: 401 };
+  }
+
+  return { user, usedRecoveryCode: false };
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { 'twoFactor.recoveryCodeHashes': hashes });
+  return codes;
+};
+
+const disableTwoFactor = async (userId) => {
+  await User.updateOne({ _id: userId }, { $unset: { twoFactor: 1 } });
+};
+
+module.exports = {
+  startEnrolment,
+  confirmEnrolment,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
@@ -0,0 +1,164 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidIban,
+  checkBankDetailsForFormat,
+  checkOriginatorConfig,
+  buildBatchFile
+} = require('../services/bankFileService');
+
+const buildItem = (amount, bankDetails = {}, agentFields = {}) => ({
+  payout: { _id: `payout${amount}`, amount, currency: 'gbp' },
+  agent: {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    bankDetails: {
+      bankName: 'Test Bank',
+      routingNumber: '12-34-56',
+      accountNumber: '12345678',
+      iban: 'DE89 3704 0044 0532 0130 00',
+      ...bankDetails
+    },
+    ...agentFields
+  }
+});
+
+const buildBatch = (format) => ({
+  reference: 'PB-20260301-0001',
+  format,
+  sequence: 7,
+  createdAt: new Date('2026-03-01T10:00:00Z'),
+  processingDate: new Date('2026-03-03T00:00:00Z')
+});
+
+beforeEach(() => {
+  process.env.BACS_SERVICE_USER_NUMBER = '123456';
+  process.env.BACS_ORIGINATOR_SORT_CODE = '65-43-21';
+  process.env.BACS_ORIGINATOR_ACCOUNT_NUMBER = '87654321';
+  process.env.BACS_ORIGINATOR_NAME = 'Course Portal Ltd';
+  process.env.SEPA_DEBTOR_NAME = 'Course Portal GmbH';
+  process.env.SEPA_DEBTOR_IBAN = 'GB82 WEST 1234 5698 7654 32';
+  process.env.SEPA_DEBTOR_BIC = 'DEUTDEFF';
+});
+
+describe('isValidIban', () => {
+  test('accepts valid IBANs with spaces and in lower case', () => {
+    assert.equal(isValidIban('GB82 WEST 1234 5698 7654 32'), true);
+    assert.equal(isValidIban('de89370400440532013000'), true);
+  });
+
+  test('rejects a wrong checksum, a bad shape or nothing', () => {
+    assert.equal(isValidIban('GB82WEST12345698765431'), false);
+    assert.equal(isValidIban('1234WEST12345698765432'), false);
+    assert.equal(isValidIban('GB82'), false);
+    assert.equal(isValidIban(undefined), false);
+  });
+});
+
+describe('checkBankDetailsForFormat', () => {
+  test('needs a 6 digit sort code and 8 digit account number for BACS', () => {
+    assert.equal(checkBankDetailsForFormat({ routingNumber: '12-34-56', accountNumber: '12345678' }, 'bacs18'), null);
+    assert.equal(checkBankDetailsForFormat({ routingNumber: '12345', accountNumber: '12345678' }, 'bacs18'), 'BACS needs a 6 digit sort code in routingNumber');
+    assert.equal(checkBankDetailsForFormat({ routingNumber: '123456', accountNumber: '1234567' }, 'bacs18'), 'BACS needs an 8 digit account number');
+  });
+
+  test('needs a valid IBAN for SEPA', () => {
+    assert.equal(checkBankDetailsForFormat({ iban: 'GB82WEST12345698765431' }, 'sepa'), 'SEPA needs a valid IBAN');
+  });
+});
+
+describe('checkOriginatorConfig', () => {
+  test('reports missing BACS originator details', () => {
+    delete process.env.BACS_ORIGINATOR_NAME;
+
+    assert.match(checkOriginatorConfig('bacs18'), /^BACS originator details are not configured/);
+    assert.equal(checkOriginatorConfig('csv'), null);
+  });
+});
+
+describe('BACS Standard 18 files', () => {
+  const buildLines = (items) => {
+    const { content } = buildBatchFile(buildBatch('bacs18'), items);
+    assert.ok(content.endsWith('\r\n'));
+    return content.slice(0, -2).split('\r\n');
+  };
+
+  test('uses 80 character labels and 100 character detail records', () => {
+    const lines = buildLines([buildItem(12.5), buildItem(100)]);
+
+    assert.deepEqual(lines.map(line => line.slice(0, 4)), ['VOL1', 'HDR1', 'HDR2', 'UHL1', '1234', '1234', '6543', 'EOF1', 'EOF2', 'UTL1']);
+    for (const line of [...lines.slice(0, 4), ...lines.slice(-3)]) {
+      assert.equal(line.length, 80);
+    }
+    for (const line of lines.slice(4, -3)) {
+      assert.equal(line.length, 100);
+    }
+  });
+
+  test('writes each credit and a contra debit for the total', () => {
+    const lines = buildLines([buildItem(12.5), buildItem(100)]);
+    const [first, , contra] = lines.slice(4, -3);
+
+    assert.equal(first.slice(0, 14), '12345612345678');
+    assert.equal(first.slice(15, 17), '99');
+    assert.equal(first.slice(35, 46), '00000001250');
+    assert.equal(first.slice(64, 82), 'PB-20260301-0001  ');
+    assert.equal(first.slice(82), 'ADA LOVELACE      ');
+    assert.equal(contra.slice(15, 17), '17');
+    assert.equal(contra.slice(35, 46), '00000011250');
+    assert.equal(contra.slice(64, 82), 'CONTRA            ');
+  });
+
+  test('totals the debits and credits in the UTL1 label', () => {
+    const lines = buildLines([buildItem(12.5), buildItem(100), buildItem(0.1)]);
+    const utl1 = lines[lines.length - 1];
+
+    assert.equal(utl1.slice(4, 17), '0000000011260');
+    assert.equal(utl1.slice(17, 30), '0000000011260');
+    assert.equal(utl1.slice(30, 37), '0000001');
+    assert.equal(utl1.slice(37, 44), '0000003');
+  });
+
+  test('dates the UHL1 label with the Julian processing date', () => {
+    const lines = buildLines([buildItem(10)]);
+
+    assert.equal(lines[3].slice(4, 10), ' 26062');
+  });
+
+  test('keeps only the characters BACS allows in names', () => {
+    const lines = buildLines([buildItem(10, { accountHolderName: 'Zoë O\'Brien & Co_' })]);
+
+    assert.equal(lines[4].slice(82), 'ZO OBRIEN & CO    ');
+  });
+});
+
+describe('SEPA credit transfer files', () => {
+  test('totals the transfers and fills in both accounts', () => {
+    const { fileName, contentType, content } = buildBatchFile(buildBatch('sepa'), [buildItem(12.5), buildItem(100)]);
+
+    assert.equal(fileName, 'PB-20260301-0001.xml');
+    assert.equal(contentType, 'application/xml');
+    assert.equal(content.match(/<NbOfTxs>2<\/NbOfTxs>/g).length, 2);
+    assert.equal(content.match(/<CtrlSum>112.50<\/CtrlSum>/g).length, 2);
+    assert.ok(content.includes('<ReqdExctnDt>2026-03-03</ReqdExctnDt>'));
+    assert.ok(content.includes('<DbtrAcct><Id><IBAN>GB82WEST12345698765432</IBAN></Id></DbtrAcct>'));
+    assert.ok(content.includes('<CdtrAcct><Id><IBAN>DE89370400440532013000</IBAN></Id></CdtrAcct>'));
+  });
+
+  test('escapes names and drops characters outside the SEPA set', () => {
+    const item = buildItem(10, { accountHolderName: 'José O\'Brien & <Søn>' });
+
+    const { content } = buildBatchFile(buildBatch('sepa'), [item]);
+
+    assert.ok(content.includes('<Cdtr><Nm>Jose O&apos;Brien  Sn</Nm></Cdtr>'));
+  });
+
+  test('adds the creditor agent only when a BIC is known', () => {
+    const withBic = buildBatchFile(buildBatch('sepa'), [buildItem(10, { swiftCode: 'cobadeff xxx' })]).content;
+    const withoutBic = buildBatchFile(buildBatch('sepa'), [buildItem(10)]).content;
+
+    assert.ok(withBic.includes('<CdtrAgt><FinInstnId><BIC>COBADEFFXXX</BIC></FinInstnId></CdtrAgt>'));
+    assert.ok(!withoutBic.includes('<CdtrAgt>'));
+  });
+});
@@ -0,0 +1,210 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { parseStatement, findMatch } = require('../services/bankStatementService');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildPayout = (fields = {}) => ({
+  _id: objectId(),
+  amount: 50,
+  currency: 'gbp',
+  status: 'processing',
+  ...fields
+});
+
+const buildLine = (amount, reference, fields = {}) => ({
+  lineNumber: 1,
+  direction: 'debit',
+  amount,
+  currency: 'gbp',
+  reference,
+  ...fields
+});
+
+describe('parseStatement with CSV exports', () => {
+  test('reads a signed amount column and skips blank rows', () => {
+    const csv = [
+      'Date,Description,Amount,Currency',
+      '2026-03-04,"PB-20260301-0001, commission",-112.50,GBP',
+      '',
+      '2026-03-05,Course sale,49.99,GBP'
+    ].join('\r\n');
+
+    const { format, lines } = parseStatement(csv, 'statement.csv');
+
+    assert.equal(format, 'csv');
+    assert.equal(lines.length, 2);
+    assert.deepEqual(lines[0], {
+      lineNumber: 2,
+      direction: 'debit',
+      amount: 112.5,
+      currency: 'gbp',
+      bookedAt: new Date(Date.UTC(2026, 2, 4)),
+      reference: '2026-03-04 PB-20260301-0001, commission GBP'
+    });
+    assert.equal(lines[1].direction, 'credit');
+    assert.equal(lines[1].lineNumber, 4);
+  });
+
+  test('detects semicolons, decimal commas and separate debit and credit columns', () => {
+    const csv = [
+      'Buchungstag;Verwendungszweck;Money Out;Money In',
+      '15.03.2026;PB-20260301-0002;1.234,56;',
+      '16.03.2026;Refund;;"12,5"'
+    ].join('\n');
+
+    const { lines } = parseStatement(csv, 'export.csv');
+
+    assert.equal(lines[0].direction, 'debit');
+    assert.equal(lines[0].amount, 1234.56);
+    assert.equal(lines[0].bookedAt, undefined);
+    assert.equal(lines[0].reference, '15.03.2026 PB-20260301-0002');
+    assert.equal(lines[1].direction, 'credit');
+    assert.equal(lines[1].amount, 12.5);
+  });
+
+  test('uses a debit/credit indicator column when there is one', () => {
+    const csv = 'Booking Date,Amount,DrCr,Reference\n13/03/2026,25.00,DR,Payout\n';
+
+    const { lines } = parseStatement(csv, 'export.csv');
+
+    assert.equal(lines[0].direction, 'debit');
+    assert.deepEqual(lines[0].bookedAt, new Date(Date.UTC(2026, 2, 13)));
+  });
+
+  test('refuses a CSV without an amount or debit column', () => {
+    const result = parseStatement('Date,Description\n2026-03-04,Nothing', 'export.csv');
+
+    assert.equal(result.error, 'Could not find an amount or debit column in the CSV header');
+  });
+});
+
+describe('parseStatement with CAMT.053 statements', () => {
+  const camt = (entries) => `\uFEFF<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Id>STMT-2026-03</Id>
+      <Acct><Id><IBAN>GB82WEST12345698765432</IBAN></Id><Ccy>EUR</Ccy></Acct>
+      ${entries}
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+  test('splits a batch booking into its transaction details', () => {
+    const xml = camt(`
+      <Ntry>
+        <Amt Ccy="EUR">150.00</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><Dt>2026-03-06</Dt></BookgDt>
+        <NtryDtls>
+          <Btch><NbOfTxs>2</NbOfTxs></Btch>
+          <TxDtls>
+            <Refs><EndToEndId>payout-one</EndToEndId></Refs>
+            <AmtDtls><TxAmt><Amt Ccy="EUR">100.00</Amt></TxAmt></AmtDtls>
+          </TxDtls>
+          <TxDtls>
+            <Refs><EndToEndId>payout-two</EndToEndId></Refs>
+            <AmtDtls><TxAmt><Amt Ccy="EUR">50.00</Amt></TxAmt></AmtDtls>
+            <RmtInf><Ustrd>Smith &amp; Sons</Ustrd></RmtInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>`);
+
+    const { format, statementId, lines } = parseStatement(xml, 'statement.xml');
+
+    assert.equal(format, 'camt053');
+    assert.equal(statementId, 'STMT-2026-03');
+    assert.deepEqual(lines.map(line => line.amount), [100, 50]);
+    assert.ok(lines.every(line => line.direction === 'debit' && line.currency === 'eur' && line.lineNumber === 1));
+    assert.deepEqual(lines[0].bookedAt, new Date(Date.UTC(2026, 2, 6)));
+    assert.equal(lines[1].reference, 'payout-two 50.00 Smith & Sons');
+  });
+
+  test('keeps an entry whole when it has a single transaction', () => {
+    const xml = camt(`
+      <Ntry>
+        <Amt>75.50</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <NtryDtls><TxDtls><RmtInf><Ustrd>PB-20260301-0003</Ustrd></RmtInf></TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">20.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+      </Ntry>`);
+
+    const { lines } = parseStatement(xml, 'statement.xml');
+
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].amount, 75.5);
+    assert.equal(lines[0].currency, 'eur');
+    assert.ok(lines[0].reference.includes('PB-20260301-0003'));
+    assert.equal(lines[1].direction, 'credit');
+    assert.equal(lines[1].lineNumber, 2);
+  });
+
+  test('refuses XML that is not a statement', () => {
+    const result = parseStatement('<Document></Document>', 'file.xml');
+
+    assert.equal(result.error, 'The XML file is not a CAMT.053 statement');
+  });
+});
+
+describe('findMatch', () => {
+  test('matches a payout by its id and amount', () => {
+    const payout = buildPayout();
+    const other = buildPayout();
+
+    const match = findMatch(buildLine(50, `Commission ${payout._id}`), [other, payout], []);
+
+    assert.deepEqual(match, { payouts: [payout] });
+  });
+
+  test('matches a payout reference however the bank spaced it', () => {
+    const payout = buildPayout({ paymentReference: 'BANK-REF-42' });
+
+    const match = findMatch(buildLine(50, 'bank ref 42'), [payout], []);
+
+    assert.deepEqual(match.payouts, [payout]);
+  });
+
+  test('ignores references with the wrong amount or currency', () => {
+    const payout = buildPayout({ paymentReference: 'BANK-REF-42' });
+
+    assert.equal(findMatch(buildLine(49.99, 'BANK-REF-42'), [payout], []), null);
+    assert.equal(findMatch(buildLine(50, 'BANK-REF-42', { currency: 'eur' }), [payout], []), null);
+  });
+
+  test('pays the whole batch when the debit is the batch total', () => {
+    const batch = { _id: objectId(), reference: 'PB-20260301-0001' };
+    const first = buildPayout({ amount: 12.5, payoutBatch: batch._id });
+    const second = buildPayout({ amount: 100, payoutBatch: batch._id });
+    const unbatched = buildPayout({ amount: 112.5 });
+
+    const match = findMatch(buildLine(112.5, 'PB 20260301 0001'), [first, unbatched, second], [batch]);
+
+    assert.deepEqual(match.payouts, [first, second]);
+    assert.equal(match.payoutBatch, batch);
+  });
+
+  test('pays one payout of a batch listed line by line', () => {
+    const batch = { _id: objectId(), reference: 'PB-20260301-0001' };
+    const first = buildPayout({ amount: 12.5, payoutBatch: batch._id });
+    const second = buildPayout({ amount: 100, payoutBatch: batch._id });
+
+    const match = findMatch(buildLine(100, 'PB-20260301-0001'), [first, second], [batch]);
+
+    assert.deepEqual(match.payouts, [second]);
+    assert.equal(match.payoutBatch, batch);
+  });
+
+  test('leaves a batch debit that matches neither the total nor a payout', () => {
+    const batch = { _id: objectId(), reference: 'PB-20260301-0001' };
+    const payout = buildPayout({ amount: 12.5, payoutBatch: batch._id });
+
+    assert.equal(findMatch(buildLine(30, 'PB-20260301-0001'), [payout], [batch]), null);
+  });
+});
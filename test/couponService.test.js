@@ -0,0 +1,234 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder';
+
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Payment = require('../models/Payment');
+const stripe = require('../services/stripeClient');
+const { fakeModel } = require('./helpers');
+const {
+  findRedeemableCoupon,
+  calculateDiscount,
+  reserveRedemption,
+  releaseRedemption,
+  releaseExpiredRedemptions,
+  recordRedemption
+} = require('../services/couponService');
+
+const buildCoupon = (fields = {}) => ({
+  _id: 'coupon1',
+  code: 'SPRING20',
+  discountType: 'percent',
+  discountValue: 20,
+  maxRedemptionsPerUser: 1,
+  courses: [],
+  timesRedeemed: 0,
+  isActive: true,
+  ...fields
+});
+
+let coupons;
+let redemptions;
+let payments;
+
+beforeEach(() => {
+  coupons = fakeModel(Coupon);
+  redemptions = fakeModel(CouponRedemption);
+  payments = fakeModel(Payment);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('calculateDiscount', () => {
+  test('takes a percentage off', () => {
+    assert.equal(calculateDiscount(buildCoupon({ discountValue: 15 }), 49.99), 7.5);
+  });
+
+  test('never discounts more than the amount', () => {
+    assert.equal(calculateDiscount(buildCoupon({ discountType: 'fixed', discountValue: 80 }), 50), 50);
+  });
+});
+
+describe('findRedeemableCoupon', () => {
+  test('accepts a valid code in any case', async () => {
+    coupons.push(buildCoupon());
+
+    const result = await findRedeemableCoupon(' spring20 ', 'user1', 'course1', 'usd');
+
+    assert.equal(result.coupon._id, 'coupon1');
+  });
+
+  test('rejects expired coupons', async () => {
+    coupons.push(buildCoupon({ expiresAt: new Date(Date.now() - 1000) }));
+
+    const result = await findRedeemableCoupon('SPRING20', 'user1', 'course1', 'usd');
+
+    assert.equal(result.error, 'This coupon has expired');
+  });
+
+  test('rejects courses the coupon does not cover', async () => {
+    coupons.push(buildCoupon({ courses: ['course2'] }));
+
+    const result = await findRedeemableCoupon('SPRING20', 'user1', 'course1', 'usd');
+
+    assert.equal(result.error, 'This coupon is not valid for this course');
+  });
+
+  test('rejects fixed-off coupons in another currency', async () => {
+    coupons.push(buildCoupon({ discountType: 'fixed', discountValue: 10, currency: 'gbp' }));
+
+    const result = await findRedeemableCoupon('SPRING20', 'user1', 'course1', 'usd');
+
+    assert.equal(result.error, 'This coupon can only be used for GBP payments');
+  });
+
+  test('rejects a buyer who already used it', async () => {
+    coupons.push(buildCoupon());
+    payments.push({ _id: 'payment1', user: 'user1', coupon: 'coupon1', status: 'completed' });
+
+    const result = await findRedeemableCoupon('SPRING20', 'user1', 'course1', 'usd');
+
+    assert.equal(result.error, 'You have already used this coupon');
+  });
+});
+
+describe('reserveRedemption', () => {
+  test('lets only one of two concurrent checkouts take the last use', async () => {
+    const coupon = buildCoupon({ maxRedemptions: 1 });
+    coupons.push({ ...coupon });
+
+    const results = await Promise.all([
+      reserveRedemption(coupon, 'user1'),
+      reserveRedemption(coupon, 'user2')
+    ]);
+
+    assert.equal(results.filter(result => result.reservation).length, 1);
+    assert.equal(results.filter(result => result.error).length, 1);
+    assert.equal(coupons[0].timesRedeemed, 1);
+  });
+
+  test('lets only one of two concurrent checkouts by the same buyer through', async () => {
+    const coupon = buildCoupon({ maxRedemptions: 10 });
+    coupons.push({ ...coupon });
+    mock.method(CouponRedemption, 'find', () => Promise.resolve([]));
+
+    const results = await Promise.all([
+      reserveRedemption(coupon, 'user1'),
+      reserveRedemption(coupon, 'user1')
+    ]);
+
+    const held = redemptions.filter(redemption => redemption.status === 'reserved');
+    assert.ok(results.some(result => result.error === 'You have already used this coupon'));
+    assert.ok(held.length <= 1);
+    assert.equal(coupons[0].timesRedeemed, held.length);
+  });
+
+  test('gives back the use held by the buyer\'s earlier checkout', async () => {
+    const coupon = buildCoupon({ maxRedemptions: 1 });
+    coupons.push({ ...coupon });
+
+    const first = await reserveRedemption(coupon, 'user1');
+    const second = await reserveRedemption(coupon, 'user1');
+
+    assert.ok(second.reservation);
+    assert.equal(redemptions.find(redemption => redemption._id === first.reservation._id).status, 'released');
+    assert.equal(coupons[0].timesRedeemed, 1);
+  });
+});
+
+describe('releaseRedemption', () => {
+  test('gives the use back once', async () => {
+    const coupon = buildCoupon();
+    coupons.push({ ...coupon });
+    const { reservation } = await reserveRedemption(coupon, 'user1');
+
+    await releaseRedemption(reservation._id);
+    await releaseRedemption(reservation._id);
+
+    assert.equal(coupons[0].timesRedeemed, 0);
+  });
+});
+
+describe('releaseExpiredRedemptions', () => {
+  const reserveExpired = async (paymentIntentId) => {
+    const { reservation } = await reserveRedemption(buildCoupon(), `user-${paymentIntentId}`);
+    reservation.paymentIntentId = paymentIntentId;
+    reservation.expiresAt = new Date(Date.now() - 1000);
+    return reservation;
+  };
+
+  test('cancels the abandoned intent and gives the use back', async () => {
+    coupons.push(buildCoupon());
+    const reservation = await reserveExpired('pi_1');
+    const cancel = mock.method(stripe.paymentIntents, 'cancel', async (id) => ({ id, status: 'canceled' }));
+
+    const released = await releaseExpiredRedemptions();
+
+    assert.equal(released, 1);
+    assert.equal(cancel.mock.calls[0].arguments[0], 'pi_1');
+    assert.equal(reservation.status, 'released');
+    assert.equal(coupons[0].timesRedeemed, 0);
+  });
+
+  test('keeps the reservation of an intent that was paid meanwhile', async () => {
+    coupons.push(buildCoupon());
+    const reservation = await reserveExpired('pi_1');
+    mock.method(stripe.paymentIntents, 'cancel', async () => {
+      throw new Error('This PaymentIntent could not be canceled');
+    });
+    mock.method(stripe.paymentIntents, 'retrieve', async (id) => ({ id, status: 'succeeded' }));
+
+    const released = await releaseExpiredRedemptions();
+
+    assert.equal(released, 0);
+    assert.equal(reservation.status, 'reserved');
+    assert.equal(coupons[0].timesRedeemed, 1);
+  });
+
+  test('leaves reservations that have not expired', async () => {
+    const coupon = buildCoupon();
+    coupons.push({ ...coupon });
+    await reserveRedemption(coupon, 'user1');
+
+    const released = await releaseExpiredRedemptions();
+
+    assert.equal(released, 0);
+    assert.equal(coupons[0].timesRedeemed, 1);
+  });
+});
+
+describe('recordRedemption', () => {
+  test('keeps the use already held by the reservation', async () => {
+    const coupon = buildCoupon();
+    coupons.push({ ...coupon });
+    const { reservation } = await reserveRedemption(coupon, 'user1');
+
+    await recordRedemption('coupon1', reservation._id);
+    await recordRedemption('coupon1', reservation._id);
+
+    assert.equal(coupons[0].timesRedeemed, 1);
+    assert.equal(redemptions[0].status, 'redeemed');
+  });
+
+  test('takes the use again when the reservation was released', async () => {
+    const coupon = buildCoupon();
+    coupons.push({ ...coupon });
+    const { reservation } = await reserveRedemption(coupon, 'user1');
+    await releaseRedemption(reservation._id);
+
+    await recordRedemption('coupon1', reservation._id);
+
+    assert.equal(coupons[0].timesRedeemed, 1);
+  });
+
+  test('counts intents created without a reservation', async () => {
+    coupons.push(buildCoupon({ timesRedeemed: 3 }));
+
+    await recordRedemption('coupon1');
+
+    assert.equal(coupons[0].timesRedeemed, 4);
+  });
+});
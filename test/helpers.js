@@ -0,0 +1,162 @@
+// In-memory stand-ins for the Mongoose calls the services make, so they can be
+// tested without a database. Only the query operators the services use are
+// supported.
+
+const { mock } = require('node:test');
+
+const sameValue = (a, b) => String(a) === String(b);
+
+const matchesCondition = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition) || !Object.keys(condition).some(key => key.startsWith('$'))) {
+    if (condition === null) return value === null || value === undefined;
+    return Array.isArray(value) && !Array.isArray(condition)
+      ? value.some(item => sameValue(item, condition))
+      : sameValue(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.some(item => matchesCondition(value, item));
+      case '$nin': return !operand.some(item => matchesCondition(value, item));
+      case '$ne': return !matchesCondition(value, operand);
+      case '$lt': return value < operand;
+      case '$lte': return value <= operand;
+      case '$gt': return value > operand;
+      case '$gte': return value >= operand;
+      case '$exists': return (value !== undefined) === operand;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+  if (key === '$and') return condition.every(branch => matches(doc, branch));
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+const getPath = (doc, path) => doc.get
+  ? doc.get(path)
+  : path.split('.').reduce((current, part) => current == null ? undefined : current[part], doc);
+
+const setPath = (doc, path, value) => {
+  if (doc.set) return doc.set(path, value);
+
+  const parts = path.split('.');
+  const parent = parts.slice(0, -1).reduce((current, part) => {
+    if (current[part] == null) current[part] = {};
+    return current[part];
+  }, doc);
+  if (value === undefined) delete parent[parts[parts.length - 1]];
+  else parent[parts[parts.length - 1]] = value;
+};
+
+const applyUpdate = (doc, update) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$inc') {
+      for (const [path, amount] of Object.entries(value)) setPath(doc, path, (getPath(doc, path) || 0) + amount);
+    } else if (key === '$set') {
+      for (const [path, fieldValue] of Object.entries(value)) setPath(doc, path, fieldValue);
+    } else if (key === '$unset') {
+      for (const path of Object.keys(value)) setPath(doc, path, undefined);
+    } else if (key === '$push') {
+      for (const [path, item] of Object.entries(value)) setPath(doc, path, [...(getPath(doc, path) || []), item]);
+    } else if (key === '$pull') {
+      for (const [path, item] of Object.entries(value)) {
+        setPath(doc, path, (getPath(doc, path) || []).filter(existing => !sameValue(existing, item)));
+      }
+    } else if (!key.startsWith('$')) {
+      setPath(doc, key, value);
+    }
+  }
+  return doc;
+};
+
+const compareBy = (spec) => (a, b) => {
+  for (const [field, direction] of Object.entries(spec)) {
+    if (a[field] < b[field]) return -direction;
+    if (a[field] > b[field]) return direction;
+  }
+  return 0;
+};
+
+// Query results that can be chained like a Mongoose query before awaiting
+const chainable = (results, { single = false } = {}) => {
+  let found = [...results];
+  const query = {
+    select: () => query,
+    populate: () => query,
+    session: () => query,
+    lean: () => query,
+    sort: (spec) => {
+      found.sort(compareBy(spec));
+      return query;
+    },
+    limit: (count) => {
+      found = found.slice(0, count);
+      return query;
+    },
+    then: (resolve, reject) => Promise.resolve(single ? found[0] || null : found).then(resolve, reject)
+  };
+  return query;
+};
+
+let nextId = 1;
+const newId = () => `id${nextId++}`;
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Replace a model's statics and `save` with versions backed by `docs`. Returns
+// the array so tests can seed and inspect it. `unique` lists the field sets of
+// the model's unique indexes; like sparse indexes, unset fields never clash.
+const fakeModel = (Model, docs = [], { unique = [] } = {}) => {
+  const checkUnique = (doc) => {
+    for (const fields of unique) {
+      if (fields.some(field => doc[field] === undefined || doc[field] === null)) continue;
+      const clash = docs.some(other => other !== doc && fields.every(field => sameValue(other[field], doc[field])));
+      if (clash) throw duplicateKeyError();
+    }
+  };
+
+  mock.method(Model, 'find', (filter) => chainable(docs.filter(doc => matches(doc, filter))));
+  mock.method(Model, 'findOne', (filter) => chainable(docs.filter(doc => matches(doc, filter)), { single: true }));
+  mock.method(Model, 'findById', (id) => chainable(docs.filter(doc => sameValue(doc._id, id)), { single: true }));
+  mock.method(Model, 'countDocuments', async (filter) => docs.filter(doc => matches(doc, filter)).length);
+  mock.method(Model, 'exists', async (filter) => docs.some(doc => matches(doc, filter)) ? { _id: true } : null);
+  mock.method(Model, 'create', async (data) => {
+    const doc = { ...new Model(data).toObject(), ...data, _id: data._id || newId() };
+    checkUnique(doc);
+    docs.push(doc);
+    return doc;
+  });
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (!doc) return chainable([], { single: true });
+    const before = doc.toObject ? doc.toObject() : { ...doc };
+    applyUpdate(doc, update);
+    return chainable([options.new ? doc : before], { single: true });
+  });
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options = {}) => Model.findOneAndUpdate({ _id: id }, update, options));
+  mock.method(Model, 'updateOne', async (filter, update) => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Model, 'updateMany', async (filter, update) => {
+    const found = docs.filter(doc => matches(doc, filter));
+    found.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: found.length, modifiedCount: found.length };
+  });
+  mock.method(Model.prototype, 'save', async function () {
+    checkUnique(this);
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  });
+  return docs;
+};
+
+module.exports = {
+  matches,
+  fakeModel,
+  newId
+};
@@ -0,0 +1,136 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AgentLedgerEntry = require('../models/AgentLedgerEntry');
+const Commission = require('../models/Commission');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { fakeModel } = require('./helpers');
+const {
+  recordLedgerEntry,
+  recordCommissionsPaid,
+  reconcileAgentLedgers
+} = require('../services/ledgerService');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+let entries;
+let agent;
+
+beforeEach(() => {
+  entries = fakeModel(AgentLedgerEntry, [], { unique: [['agent', 'currency', 'sequence'], ['reference']] });
+  agent = objectId();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('recordLedgerEntry', () => {
+  test('keeps a running balance per agent and currency', async () => {
+    await recordLedgerEntry({ agent, type: 'commission_earned', amount: 10, currency: 'usd' });
+    await recordLedgerEntry({ agent, type: 'commission_earned', amount: 5, currency: 'gbp' });
+    const reversal = await recordLedgerEntry({ agent, type: 'commission_reversal', amount: 2.5, currency: 'usd' });
+
+    assert.equal(reversal.sequence, 2);
+    assert.equal(reversal.balance, 7.5);
+    assert.equal(reversal.debitAccount, 'agent_payable');
+    assert.equal(reversal.creditAccount, 'commission_expense');
+    assert.equal(entries.find(entry => entry.currency === 'gbp').balance, 5);
+  });
+
+  test('skips zero amounts', async () => {
+    const entry = await recordLedgerEntry({ agent, type: 'commission_earned', amount: 0.001, currency: 'usd' });
+
+    assert.equal(entry, null);
+    assert.equal(entries.length, 0);
+  });
+
+  test('retries when another entry takes the same sequence number', async () => {
+    const [first, second] = await Promise.all([
+      recordLedgerEntry({ agent, type: 'commission_earned', amount: 10, currency: 'usd' }),
+      recordLedgerEntry({ agent, type: 'commission_earned', amount: 4, currency: 'usd' })
+    ]);
+
+    assert.deepEqual([first.sequence, second.sequence].sort(), [1, 2]);
+    assert.equal(entries.find(entry => entry.sequence === 2).balance, 14);
+  });
+
+  test('records an entry with a reference only once', async () => {
+    const first = await recordLedgerEntry({ agent, type: 'payout', amount: 10, currency: 'usd', reference: 'payout:1:usd' });
+    const again = await recordLedgerEntry({ agent, type: 'payout', amount: 10, currency: 'usd', reference: 'payout:1:usd' });
+
+    assert.equal(again, first);
+    assert.equal(entries.length, 1);
+  });
+});
+
+describe('recordCommissionsPaid', () => {
+  test('writes one entry per agent and currency', async () => {
+    const otherAgent = objectId();
+    const payout = { _id: objectId() };
+    const commissions = [
+      { _id: objectId(), agent, amount: 10, currency: 'usd' },
+      { _id: objectId(), agent, amount: -2, currency: 'usd' },
+      { _id: objectId(), agent, amount: 7, currency: 'gbp' },
+      { _id: objectId(), agent: otherAgent, amount: 3, currency: 'usd' }
+    ];
+
+    const paid = await recordCommissionsPaid(commissions, { payout });
+
+    assert.equal(paid.length, 3);
+    const usd = paid.find(entry => String(entry.agent) === String(agent) && entry.currency === 'usd');
+    assert.equal(usd.amount, 8);
+    assert.equal(usd.balance, -8);
+    assert.equal(usd.commissions.length, 2);
+    assert.equal(usd.reference, `payout:${payout._id}:usd`);
+  });
+});
+
+describe('reconcileAgentLedgers', () => {
+  const useTotals = ({ ledger = [], unpaid = [], payouts = [], users = [] }) => {
+    mock.method(AgentLedgerEntry, 'aggregate', async () => ledger);
+    mock.method(Commission, 'aggregate', async () => unpaid);
+    mock.method(Payout, 'aggregate', async () => payouts);
+    fakeModel(User, users);
+  };
+
+  test('passes agents whose ledger matches their records', async () => {
+    useTotals({
+      ledger: [
+        { _id: { agent, currency: 'usd', type: 'commission_earned' }, total: 30 },
+        { _id: { agent, currency: 'usd', type: 'payout' }, total: 20 }
+      ],
+      unpaid: [{ _id: { agent, currency: 'usd' }, total: 10 }],
+      payouts: [{ _id: { agent, currency: 'usd' }, total: 20 }],
+      users: [{ _id: agent, username: 'agent', totalCommission: 30 }]
+    });
+
+    const report = await reconcileAgentLedgers();
+
+    assert.equal(report.agentsChecked, 1);
+    assert.deepEqual(report.discrepancies, []);
+  });
+
+  test('lists every check an agent fails', async () => {
+    useTotals({
+      ledger: [
+        { _id: { agent, currency: 'usd', type: 'commission_earned' }, total: 30 },
+        { _id: { agent, currency: 'usd', type: 'adjustment' }, total: 5 },
+        { _id: { agent, currency: 'usd', type: 'payout' }, total: 20 }
+      ],
+      unpaid: [{ _id: { agent, currency: 'usd' }, total: 10 }],
+      payouts: [{ _id: { agent, currency: 'usd' }, total: 15 }],
+      users: [{ _id: agent, username: 'agent', totalCommission: 30 }]
+    });
+
+    const report = await reconcileAgentLedgers();
+
+    assert.deepEqual(report.discrepancies[0].issues.map(issue => issue.check), [
+      'unpaid_commissions',
+      'payouts',
+      'total_commission'
+    ]);
+    assert.deepEqual(report.discrepancies[0].issues[0], { check: 'unpaid_commissions', currency: 'usd', ledger: 5, stored: 10 });
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const FailedLogin = require('../models/FailedLogin');
+const User = require('../models/User');
+const { fakeModel } = require('./helpers');
+const { verifyTwoFactorAttempt } = require('../services/loginProtectionService');
+
+const req = { ip: '203.0.113.5', headers: { 'user-agent': 'test' } };
+
+let failedLogins;
+let user;
+
+beforeEach(() => {
+  failedLogins = fakeModel(FailedLogin);
+  user = new User({
+    username: 'finance',
+    email: 'finance@example.com',
+    password: 'x',
+    firstName: 'F',
+    lastName: 'Inance',
+    phone: '1',
+    country: 'GB',
+    staffRoles: ['finance'],
+    twoFactor: { enabled: true, secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' }
+  });
+  fakeModel(User, [user]);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('verifyTwoFactorAttempt', () => {
+  test('counts a wrong code against the account', async () => {
+    const result = await verifyTwoFactorAttempt(req, user, { code: '000000' });
+
+    assert.equal(result.error, 'Invalid authentication code');
+    assert.equal(user.failedLoginAttempts, 1);
+    assert.equal(failedLogins[0].reason, 'invalid_two_factor');
+    assert.equal(failedLogins[0].ipAddress, '203.0.113.5');
+  });
+
+  test('backs off after repeated wrong codes', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await verifyTwoFactorAttempt(req, user, { code: '000000' });
+    }
+
+    const result = await verifyTwoFactorAttempt(req, user, { code: '000000' });
+
+    assert.equal(result.statusCode, 429);
+    assert.ok(result.retryAfter > 0);
+    assert.equal(failedLogins[failedLogins.length - 1].reason, 'account_locked');
+    assert.equal(user.failedLoginAttempts, 3);
+  });
+
+  test('clears the count after a correct code', async () => {
+    mock.method(Date, 'now', () => 59 * 1000);
+    user.failedLoginAttempts = 2;
+    user.lastFailedLoginAt = new Date(0);
+
+    const result = await verifyTwoFactorAttempt(req, user, { code: '287082' });
+
+    assert.ok(!result.error);
+    assert.equal(user.failedLoginAttempts, 0);
+  });
+});
@@ -0,0 +1,165 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AgentLedgerEntry = require('../models/AgentLedgerEntry');
+const Commission = require('../models/Commission');
+const Course = require('../models/Course');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { fakeModel } = require('./helpers');
+const {
+  applyRefund,
+  reversePayment,
+  restoreCourseAccess
+} = require('../services/paymentReversalService');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+let commissions;
+let ledgerEntries;
+let users;
+let agent;
+let buyer;
+let course;
+let payment;
+
+const buildCommission = (fields = {}) => {
+  const commission = new Commission({
+    agent: agent._id,
+    referral: buyer._id,
+    payment: payment._id,
+    amount: 10,
+    originalAmount: 100,
+    status: 'pending',
+    ...fields
+  });
+  commissions.push(commission);
+  return commission;
+};
+
+beforeEach(() => {
+  commissions = fakeModel(Commission);
+  ledgerEntries = fakeModel(AgentLedgerEntry, [], { unique: [['agent', 'currency', 'sequence'], ['reference']] });
+  users = fakeModel(User);
+  fakeModel(Payment);
+  const courses = fakeModel(Course);
+
+  course = new Course({ title: 'Visa basics', description: 'Course', price: 100, duration: '4 weeks', category: 'visa' });
+  courses.push(course);
+
+  agent = new User({ username: 'agent', email: 'agent@example.com', password: 'x', firstName: 'A', lastName: 'Gent', phone: '1', country: 'GB', role: 'agent', totalCommission: 10 });
+  buyer = new User({
+    username: 'buyer', email: 'buyer@example.com', password: 'x', firstName: 'B', lastName: 'Uyer', phone: '2', country: 'GB',
+    coursesEnrolled: [course._id],
+    coursesPurchased: [{ courseId: course._id, purchasedAt: new Date() }]
+  });
+  users.push(agent, buyer);
+
+  payment = new Payment({
+    user: buyer._id,
+    course: course._id,
+    amount: 100,
+    paymentMethod: 'stripe',
+    transactionId: 'pi_1',
+    status: 'completed',
+    referralAgent: agent._id
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('applyRefund', () => {
+  test('reduces an unpaid commission in proportion to a partial refund', async () => {
+    const commission = buildCommission();
+
+    await applyRefund(payment, 25, 'Partial refund');
+
+    assert.equal(payment.status, 'completed');
+    assert.equal(payment.refundedAmount, 25);
+    assert.equal(commission.amount, 7.5);
+    assert.equal(agent.totalCommission, 7.5);
+    assert.equal(ledgerEntries.length, 1);
+    assert.equal(ledgerEntries[0].type, 'commission_reversal');
+    assert.equal(ledgerEntries[0].amount, 2.5);
+    assert.equal(buyer.coursesEnrolled.length, 1);
+  });
+
+  test('cancels unpaid commissions and revokes the course on a full refund', async () => {
+    const commission = buildCommission({ status: 'available' });
+
+    await applyRefund(payment, 100, 'Full refund');
+
+    assert.equal(payment.status, 'refunded');
+    assert.equal(commission.status, 'cancelled');
+    assert.ok(commission.reversedAt);
+    assert.equal(buyer.coursesEnrolled.length, 0);
+    assert.equal(buyer.coursesPurchased.length, 0);
+  });
+
+  test('claws back a commission locked into a payout instead of editing it', async () => {
+    const commission = buildCommission({ status: 'available', payoutId: objectId() });
+
+    await applyRefund(payment, 100, 'Full refund');
+
+    assert.equal(commission.status, 'available');
+    assert.equal(commission.amount, 10);
+    const adjustment = commissions.find(candidate => candidate.type === 'adjustment');
+    assert.equal(adjustment.amount, -10);
+    assert.equal(String(adjustment.adjusts), String(commission._id));
+    assert.equal(ledgerEntries[0].type, 'adjustment');
+  });
+
+  test('only claws back what earlier adjustments left on a paid commission', async () => {
+    const commission = buildCommission({ status: 'paid', payoutId: objectId() });
+    buildCommission({ type: 'adjustment', amount: -4, status: 'available', adjusts: commission._id });
+
+    await applyRefund(payment, 100, 'Full refund');
+
+    const adjustments = commissions.filter(candidate => candidate.type === 'adjustment');
+    assert.equal(adjustments.length, 2);
+    assert.equal(adjustments[1].amount, -6);
+    assert.equal(agent.totalCommission, 4);
+  });
+
+  test('never refunds more than is left on the payment', async () => {
+    payment.refundedAmount = 90;
+
+    await applyRefund(payment, 50, 'Refund');
+    await applyRefund(payment, 50, 'Refund again');
+
+    assert.equal(payment.refundedAmount, 100);
+    assert.equal(payment.refunds.length, 1);
+    assert.equal(payment.refunds[0].amount, 10);
+  });
+
+  test('only takes back the time a refunded renewal added', async () => {
+    course.accessDurationDays = 30;
+    const expires = new Date('2027-03-01T00:00:00Z');
+    buyer.coursesPurchased[0].accessExpires = expires;
+    payment.purchaseType = 'renewal';
+
+    await applyRefund(payment, 100, 'Renewal refund');
+
+    assert.equal(buyer.coursesEnrolled.length, 1);
+    assert.equal(buyer.coursesPurchased[0].accessExpires.getTime(), expires.getTime() - 30 * 24 * 60 * 60 * 1000);
+  });
+});
+
+describe('reversePayment and restoreCourseAccess', () => {
+  test('a won dispute gives back the access a new dispute took away', async () => {
+    buildCommission();
+
+    await reversePayment(payment, 'disputed', 'Chargeback');
+
+    assert.equal(payment.status, 'disputed');
+    assert.equal(buyer.coursesEnrolled.length, 0);
+    assert.equal(agent.totalCommission, 0);
+
+    await restoreCourseAccess(payment);
+
+    assert.equal(buyer.coursesEnrolled.length, 1);
+    assert.equal(String(buyer.coursesPurchased[0].courseId), String(course._id));
+  });
+});
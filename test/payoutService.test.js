@@ -0,0 +1,268 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder';
+
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AgentLedgerEntry = require('../models/AgentLedgerEntry');
+const Commission = require('../models/Commission');
+const Payout = require('../models/Payout');
+const PayoutRequest = require('../models/PayoutRequest');
+const PlatformSettings = require('../models/PlatformSettings');
+const User = require('../models/User');
+const stripe = require('../services/stripeClient');
+const { fakeModel } = require('./helpers');
+const {
+  createPayoutRequest,
+  approvePayoutRequest,
+  executePayoutRequest,
+  completePayout,
+  failPayout,
+  reversePayout,
+  sendStripeTransfer,
+  startPayout
+} = require('../services/payoutService');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+let commissions;
+let payoutRequests;
+let ledgerEntries;
+let settings;
+let agent;
+
+const buildCommission = (fields = {}) => {
+  const commission = new Commission({
+    agent: agent._id,
+    referral: objectId(),
+    payment: objectId(),
+    amount: 10,
+    originalAmount: 100,
+    currency: 'usd',
+    status: 'available',
+    ...fields
+  });
+  commissions.push(commission);
+  return commission;
+};
+
+beforeEach(() => {
+  commissions = fakeModel(Commission);
+  payoutRequests = fakeModel(PayoutRequest);
+  ledgerEntries = fakeModel(AgentLedgerEntry, [], { unique: [['agent', 'currency', 'sequence'], ['reference']] });
+  fakeModel(Payout);
+  // The agent is not found when emails are sent, so nothing is emailed
+  fakeModel(User);
+  settings = fakeModel(PlatformSettings, [{ _id: 'settings', key: 'platform', minimumPayoutAmount: 0 }]);
+
+  agent = {
+    _id: objectId(),
+    role: 'agent',
+    isActiveAgent: true,
+    emailVerifiedAt: new Date(),
+    taxProfile: { submittedAt: new Date() },
+    bankDetails: { accountNumber: '12345678', bankName: 'Test Bank', isVerified: true },
+    stripeAccountId: 'acct_1',
+    stripeAccountStatus: 'active'
+  };
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('createPayoutRequest', () => {
+  test('refuses agents who have not verified their email', async () => {
+    agent.emailVerifiedAt = undefined;
+
+    const result = await createPayoutRequest(agent);
+
+    assert.equal(result.statusCode, 403);
+  });
+
+  test('refuses agents without a tax profile', async () => {
+    agent.taxProfile = undefined;
+
+    const result = await createPayoutRequest(agent);
+
+    assert.equal(result.error, 'Agent must submit a tax profile before receiving payouts');
+  });
+
+  test('only draws on available commissions not reserved by another request', async () => {
+    const reserved = buildCommission();
+    const free = buildCommission({ amount: 15 });
+    buildCommission({ status: 'pending' });
+    buildCommission({ payoutId: objectId() });
+    buildCommission({ currency: 'gbp' });
+    payoutRequests.push({ _id: 'request0', agent: agent._id, status: 'pending', commissionIds: [reserved._id] });
+
+    const { payoutRequest } = await createPayoutRequest(agent);
+
+    assert.equal(payoutRequest.amount, 15);
+    assert.deepEqual(payoutRequest.commissionIds.map(String), [String(free._id)]);
+  });
+
+  test('nets clawback adjustments off the requested commissions', async () => {
+    buildCommission({ amount: 20 });
+    buildCommission({ amount: 20 });
+    buildCommission({ type: 'adjustment', amount: -5 });
+
+    const { payoutRequest } = await createPayoutRequest(agent, { amount: 16 });
+
+    assert.equal(payoutRequest.amount, 15);
+    assert.equal(payoutRequest.commissionIds.length, 2);
+  });
+
+  test('refuses amounts above the available balance', async () => {
+    buildCommission();
+
+    const result = await createPayoutRequest(agent, { amount: 50 });
+
+    assert.match(result.error, /^Amount exceeds available commission/);
+  });
+
+  test('enforces the minimum payout only when asked to', async () => {
+    settings[0].minimumPayoutAmount = 50;
+    buildCommission();
+
+    const refused = await createPayoutRequest(agent);
+    const adminPayout = await createPayoutRequest(agent, { enforceMinimum: false });
+
+    assert.equal(refused.error, 'Minimum payout is $50.00');
+    assert.equal(adminPayout.payoutRequest.amount, 10);
+  });
+});
+
+describe('executePayoutRequest', () => {
+  test('locks the commissions to a processing payout', async () => {
+    const commission = buildCommission();
+    const { payoutRequest } = await createPayoutRequest(agent);
+    await approvePayoutRequest(payoutRequest, { adminId: objectId() });
+
+    const { payout } = await executePayoutRequest(payoutRequest, agent);
+
+    assert.equal(payout.status, 'processing');
+    assert.equal(payoutRequest.status, 'processing');
+    assert.equal(String(commission.payoutId), String(payout._id));
+  });
+
+  test('gives up if a commission was taken in the meantime', async () => {
+    const taken = buildCommission();
+    const kept = buildCommission();
+    const { payoutRequest } = await createPayoutRequest(agent);
+    await approvePayoutRequest(payoutRequest, {});
+    taken.status = 'cancelled';
+
+    const result = await executePayoutRequest(payoutRequest, agent);
+
+    assert.equal(result.statusCode, 409);
+    assert.equal(kept.payoutId, undefined);
+    assert.equal(payoutRequest.status, 'approved');
+  });
+
+  test('refuses unverified bank details', async () => {
+    buildCommission();
+    const { payoutRequest } = await createPayoutRequest(agent);
+    await approvePayoutRequest(payoutRequest, {});
+    agent.bankDetails.isVerified = false;
+
+    const result = await executePayoutRequest(payoutRequest, agent);
+
+    assert.equal(result.error, 'Agent bank details must be verified before processing bank transfer');
+  });
+});
+
+describe('completing, failing and reversing payouts', () => {
+  const startBankTransfer = async () => {
+    const { payout, payoutRequest } = await startPayout(agent, { paymentMethod: 'bank_transfer' });
+    return { payout, payoutRequest };
+  };
+
+  test('completing marks the commissions paid and records the payout once', async () => {
+    const commission = buildCommission();
+    const { payout, payoutRequest } = await startBankTransfer();
+
+    await completePayout(payout, { paymentReference: 'BANK-1' });
+    const again = await completePayout(payout);
+
+    assert.equal(payout.status, 'completed');
+    assert.equal(payout.amount, 10);
+    assert.equal(payout.totalCommissionsPaid, 10);
+    assert.equal(commission.status, 'paid');
+    assert.equal(commission.transferReference, 'BANK-1');
+    assert.equal(payoutRequest.status, 'completed');
+    assert.equal(again.statusCode, 400);
+    assert.equal(ledgerEntries.length, 1);
+    assert.equal(ledgerEntries[0].type, 'payout');
+    assert.equal(ledgerEntries[0].balance, -10);
+  });
+
+  test('completing leaves the sent amount alone when a commission was refunded meanwhile', async () => {
+    buildCommission();
+    const refunded = buildCommission();
+    const { payout } = await startBankTransfer();
+    refunded.status = 'cancelled';
+
+    await completePayout(payout);
+
+    assert.equal(payout.amount, 20);
+    assert.equal(payout.totalCommissionsPaid, 10);
+  });
+
+  test('failing releases the commissions for another payout', async () => {
+    const commission = buildCommission();
+    const { payout, payoutRequest } = await startBankTransfer();
+
+    await failPayout(payout, { reason: 'Account closed' });
+
+    assert.equal(payout.status, 'failed');
+    assert.equal(commission.payoutId, undefined);
+    assert.equal(payoutRequest.status, 'failed');
+    assert.equal(ledgerEntries.length, 0);
+  });
+
+  test('reversing a completed payout owes the money to the agent again', async () => {
+    const commission = buildCommission();
+    const { payout } = await startBankTransfer();
+    await completePayout(payout);
+
+    await reversePayout(payout, { reason: 'Bounced' });
+
+    assert.equal(payout.status, 'reversed');
+    assert.equal(commission.status, 'available');
+    assert.equal(commission.payoutId, undefined);
+    assert.equal(ledgerEntries[1].type, 'payout_reversal');
+    assert.equal(ledgerEntries[1].balance, 0);
+  });
+});
+
+describe('sendStripeTransfer', () => {
+  test('completes the payout once Stripe creates the transfer', async () => {
+    const commission = buildCommission();
+    const { payout } = await startPayout(agent, { paymentMethod: 'stripe_payout' });
+    mock.method(stripe.transfers, 'create', async () => ({ id: 'tr_1' }));
+
+    await sendStripeTransfer(payout, agent);
+
+    assert.equal(payout.status, 'completed');
+    assert.equal(payout.stripeTransferId, 'tr_1');
+    assert.equal(commission.status, 'paid');
+    assert.equal(commission.stripeTransferId, 'tr_1');
+    assert.equal(commission.transferReference, 'tr_1');
+    assert.equal(ledgerEntries.length, 1);
+  });
+
+  test('fails the payout when Stripe rejects the transfer', async () => {
+    const commission = buildCommission();
+    const { payout } = await startPayout(agent, { paymentMethod: 'stripe_payout' });
+    mock.method(stripe.transfers, 'create', async () => {
+      throw new Error('Insufficient funds');
+    });
+    mock.method(console, 'error', () => {});
+
+    const result = await sendStripeTransfer(payout, agent);
+
+    assert.equal(result.statusCode, 502);
+    assert.equal(payout.status, 'failed');
+    assert.equal(commission.payoutId, undefined);
+  });
+});
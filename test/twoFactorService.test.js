@@ -0,0 +1,144 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const User = require('../models/User');
+const { fakeModel } = require('./helpers');
+const {
+  startEnrolment,
+  confirmEnrolment,
+  verifyTwoFactor,
+  disableTwoFactor
+} = require('../services/twoFactorService');
+
+// RFC 6238 test secret: the ASCII bytes "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const base32ToBuffer = (value) => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = [...value].map(char => alphabet.indexOf(char).toString(2).padStart(5, '0')).join('');
+  return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+};
+
+// Independent TOTP implementation to produce codes for the tests
+const totp = (secret, time = Date.now()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / 30)));
+  const hmac = crypto.createHmac('sha1', base32ToBuffer(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
+let users;
+let user;
+
+const enableTwoFactor = async () => {
+  const { secret } = await startEnrolment(user._id);
+  const { recoveryCodes } = await confirmEnrolment(user._id, totp(secret));
+  return { secret, recoveryCodes };
+};
+
+beforeEach(() => {
+  users = fakeModel(User);
+  user = new User({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'x',
+    firstName: 'A',
+    lastName: 'Dmin',
+    phone: '1',
+    country: 'GB',
+    role: 'admin'
+  });
+  users.push(user);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('enrolment', () => {
+  test('returns an otpauth URI for the new secret', async () => {
+    const { secret, otpauthUri } = await startEnrolment(user._id);
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.ok(otpauthUri.startsWith('otpauth://totp/'));
+    assert.ok(otpauthUri.includes(`secret=${secret}`));
+    assert.equal(user.twoFactor.enabled, false);
+  });
+
+  test('only enables 2FA once a code from the new secret is confirmed', async () => {
+    await startEnrolment(user._id);
+
+    const wrong = await confirmEnrolment(user._id, '000000');
+    assert.equal(wrong.error, 'Invalid authentication code');
+    assert.equal(user.twoFactor.enabled, false);
+
+    const { recoveryCodes } = await enableTwoFactor();
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal(user.twoFactor.enabled, true);
+    assert.equal(user.twoFactor.pendingSecret, undefined);
+  });
+
+  test('refuses to start again while enabled', async () => {
+    await enableTwoFactor();
+
+    const result = await startEnrolment(user._id);
+
+    assert.equal(result.statusCode, 400);
+  });
+});
+
+describe('verifyTwoFactor', () => {
+  test('accepts the RFC 6238 test vector', async () => {
+    user.set('twoFactor', { enabled: true, secret: RFC_SECRET });
+    mock.method(Date, 'now', () => 59 * 1000);
+
+    const result = await verifyTwoFactor(user._id, { code: '287082' });
+
+    assert.equal(result.usedRecoveryCode, false);
+    assert.equal(totp(RFC_SECRET, 59 * 1000), '287082');
+  });
+
+  test('accepts a code from the previous time step but not older ones', async () => {
+    const { secret } = await enableTwoFactor();
+    user.twoFactor.lastUsedStep = 0;
+
+    assert.ok(!(await verifyTwoFactor(user._id, { code: totp(secret, Date.now() - 30 * 1000) })).error);
+    assert.equal((await verifyTwoFactor(user._id, { code: totp(secret, Date.now() - 90 * 1000) })).error, 'Invalid authentication code');
+  });
+
+  test('refuses a code that was already used', async () => {
+    const { secret } = await enableTwoFactor();
+    user.twoFactor.lastUsedStep = 0;
+    const code = totp(secret);
+
+    const first = await verifyTwoFactor(user._id, { code });
+    const replay = await verifyTwoFactor(user._id, { code });
+
+    assert.ok(!first.error);
+    assert.equal(replay.error, 'Authentication code already used, wait for the next one');
+  });
+
+  test('takes each recovery code once, and only where allowed', async () => {
+    const { recoveryCodes } = await enableTwoFactor();
+    const recoveryCode = recoveryCodes[0].toUpperCase();
+
+    const notAllowed = await verifyTwoFactor(user._id, { recoveryCode });
+    const used = await verifyTwoFactor(user._id, { recoveryCode }, { allowRecoveryCode: true });
+    const again = await verifyTwoFactor(user._id, { recoveryCode }, { allowRecoveryCode: true });
+
+    assert.equal(notAllowed.error, 'Invalid authentication code');
+    assert.equal(used.usedRecoveryCode, true);
+    assert.equal(used.recoveryCodesLeft, 9);
+    assert.equal(again.error, 'Invalid recovery code');
+  });
+
+  test('refuses users without 2FA, including after it is disabled', async () => {
+    assert.equal((await verifyTwoFactor(user._id, { code: '123456' })).statusCode, 400);
+
+    const { secret } = await enableTwoFactor();
+    await disableTwoFactor(user._id);
+
+    assert.equal((await verifyTwoFactor(user._id, { code: totp(secret) })).statusCode, 400);
+  });
+});